@@ -0,0 +1,3360 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { diffLines } = require('diff');
+const { uniqueSlug, escapeRegex } = require('./lib/slug');
+const { renderBlog, invalidateRendered, escapeHtml } = require('./lib/markdown');
+const { parseGithubUrl, createGithubFetcher } = require('./lib/github');
+const { scoreSubmission } = require('./lib/spam');
+const { createMailer, createTransport, fillPlaceholders } = require('./lib/mail');
+const { createTracker, openGeoLookup, visitorFingerprint } = require('./lib/analytics');
+const { createReports, parseReportQuery, ReportQueryError } = require('./lib/reports');
+const { toCsv } = require('./lib/csv');
+const { createAuth, resolveJwtSecret, AuthError } = require('./lib/auth');
+const { generateSecret, verifyCode, otpauthUrl } = require('./lib/totp');
+const { createAuditLogger } = require('./lib/audit');
+const { createFeeds } = require('./lib/feeds');
+const { renderPostPage, renderBlogIndex, renderNotFoundPage } = require('./lib/blog-pages');
+const { createSearch, parseSearchQuery } = require('./lib/search');
+const { createNewsletter } = require('./lib/newsletter');
+const { createMediaLibrary, createStorage, MediaError } = require('./lib/media');
+const { createBackups, parseBundle, BundleError } = require('./lib/backup');
+const { createWebhooks, generateSigningSecret, WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { createResume, renderHtml: renderResumeHtml, renderPdf: renderResumePdf } = require('./lib/resume');
+const { createBookings, formatSlot, BookingError } = require('./lib/booking');
+const { validate } = require('./lib/schema');
+const { buildOpenApiDocument, renderDocsPage } = require('./lib/openapi');
+const { loadConfig } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+
+// Models
+const {
+    Contact,
+    ReplySnippet,
+    Visitor,
+    PageView,
+    AnalyticsSalt,
+    Project,
+    Blog,
+    BlogRevision,
+    Admin,
+    RefreshToken,
+    EmailOutbox,
+    AuditLog,
+    Media,
+    Comment,
+    BlogLike,
+    Subscriber,
+    Campaign,
+    Experience,
+    Education,
+    Skill,
+    Webhook,
+    WebhookDelivery,
+    Availability,
+    Booking
+} = require('./models');
+
+// Request schemas, shared by route validation and the API docs
+const schemas = require('./schemas');
+
+const REQUEST_ID = /^[\w.-]{1,100}$/;
+
+const formatFileSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${Number((bytes / (1024 * 1024)).toFixed(1))}MB`
+    : `${Math.ceil(bytes / 1024)}KB`);
+
+// Builds the Express app. Connecting to MongoDB and listening are left to the caller (see server.js).
+// `config` is the validated object from lib/config, not raw environment variables.
+const createApp = ({
+    db = mongoose.connection,
+    transport,
+    clock = () => new Date(),
+    config = loadConfig(),
+    logger = createLogger({ level: config.LOG_LEVEL, file: config.LOG_FILE }),
+    githubFetcher
+} = {}) => {
+    const app = express();
+    app.set('trust proxy', config.TRUST_PROXY);
+
+    // Swappable so tests can stub GitHub: app.set('githubFetcher', async (owner, repo) => ({ ... }))
+    app.set('githubFetcher', githubFetcher || createGithubFetcher({ token: config.GITHUB_TOKEN }));
+
+    // Middleware
+    // Every request gets an ID (kept from a proxy's X-Request-Id when present) and a logger carrying it
+    app.use((req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+        next();
+    });
+
+    // Access log. Query strings are left out since some carry tokens (e.g. unsubscribe links).
+    app.use(morgan((tokens, req, res) => logger.format('info', 'Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: Number(tokens.status(req, res)) || null,
+        durationMs: Number(tokens['response-time'](req, res)) || null,
+        contentLength: Number(tokens.res(req, res, 'content-length')) || 0
+    }), {
+        stream: { write: logger.write },
+        skip: () => !logger.isLevelEnabled('info')
+    }));
+
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+                scriptSrc: ["'self'", "https://cdnjs.cloudflare.com"],
+                imgSrc: ["'self'", "data:", "https:"],
+                connectSrc: ["'self'"],
+                fontSrc: ["'self'", "https://cdnjs.cloudflare.com"],
+            },
+        },
+        // The portfolio page embeds /uploads images from another origin
+        crossOriginResourcePolicy: { policy: 'cross-origin' },
+    }));
+
+    app.use(cors({
+        origin: config.ALLOWED_ORIGINS,
+        credentials: true
+    }));
+
+    app.use(express.json({ limit: '10mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Rate limiting
+    const limiter = rateLimit({
+        windowMs: config.RATE_LIMIT_WINDOW_MS,
+        max: config.RATE_LIMIT_MAX_REQUESTS,
+        message: 'Too many requests from this IP, please try again later.'
+    });
+
+    const contactLimiter = rateLimit({
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: config.CONTACT_RATE_LIMIT_MAX, // contact form submissions per IP per hour
+        message: 'Too many contact form submissions, please try again later.'
+    });
+
+    const commentLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 5, // limit each IP to 5 comments per windowMs
+        message: 'Too many comments, please try again later.'
+    });
+
+    const likeLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 30, // limit each IP to 30 likes/unlikes per windowMs
+        message: 'Too many requests, please try again later.'
+    });
+
+    app.use(limiter);
+
+    // Email Configuration
+    const transporter = transport || createTransport({
+        transport: config.EMAIL_TRANSPORT,
+        outputDir: config.EMAIL_OUTPUT_DIR,
+        host: config.EMAIL_HOST,
+        port: config.EMAIL_PORT,
+        secure: config.EMAIL_SECURE,
+        user: config.EMAIL_USER,
+        pass: config.EMAIL_PASS
+    });
+
+    const mailer = createMailer({
+        transport: transporter,
+        Outbox: EmailOutbox,
+        from: config.EMAIL_FROM || config.EMAIL_USER,
+        clock,
+        logger
+    });
+
+    const CONTACT_NOTIFY_EMAIL = config.CONTACT_NOTIFY_EMAIL || config.EMAIL_USER;
+
+    // File Upload Configuration
+    // Uploads are kept in memory only until the media library has validated and processed them
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: config.MAX_FILE_SIZE,
+        },
+        fileFilter: (req, file, cb) => {
+            const allowedTypes = /jpeg|jpg|png|gif|webp|avif/;
+            const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+            const mimetype = allowedTypes.test(file.mimetype);
+            
+            if (mimetype && extname) {
+                return cb(null, true);
+            } else {
+                cb(new MediaError('Only image files are allowed!'));
+            }
+        }
+    });
+
+    // Media Library
+    const mediaStorage = createStorage({
+        driver: config.MEDIA_STORAGE,
+        dir: config.UPLOAD_DIR,
+        publicPath: '/uploads'
+    });
+
+    // Everything that can point at an uploaded file. Revisions count too, so
+    // restoring an old revision never brings back a broken image.
+    const findMediaReferences = async () => {
+        const [projects, blogs, revisions] = await Promise.all([
+            Project.find().select('image').lean(),
+            Blog.find().select('featuredImage content').lean(),
+            BlogRevision.find().select('featuredImage content').lean()
+        ]);
+        
+        return [
+            ...projects.map(project => project.image),
+            ...blogs.flatMap(blog => [blog.featuredImage, blog.content]),
+            ...revisions.flatMap(revision => [revision.featuredImage, revision.content])
+        ];
+    };
+
+    const mediaLibrary = createMediaLibrary({
+        Media,
+        storage: mediaStorage,
+        findReferences: findMediaReferences,
+        graceMs: config.MEDIA_ORPHAN_GRACE_HOURS * 60 * 60 * 1000,
+        clock,
+        logger
+    });
+
+    // Backups
+    // Media records travel with their files, or a restored upload would look like a stray to the sweep.
+    // Left out on purpose: sessions (RefreshToken), the daily analytics salt (it expires so old
+    // visitor hashes can't be recomputed, and a copy would defeat that), and the mail outbox
+    // and audit log, which are a queue and a history rather than site content. Webhooks are
+    // included with their signing secrets (the bundle is read straight from the collections);
+    // their delivery log is not.
+    const backups = createBackups({
+        collections: {
+            admins: Admin,
+            projects: Project,
+            blogs: Blog,
+            blogRevisions: BlogRevision,
+            comments: Comment,
+            blogLikes: BlogLike,
+            contacts: Contact,
+            replySnippets: ReplySnippet,
+            visitors: Visitor,
+            pageViews: PageView,
+            subscribers: Subscriber,
+            campaigns: Campaign,
+            media: Media,
+            experiences: Experience,
+            education: Education,
+            skills: Skill,
+            webhooks: Webhook,
+            availability: Availability,
+            bookings: Booking
+        },
+        storage: mediaStorage,
+        dir: config.BACKUP_DIR,
+        retentionDays: config.BACKUP_RETENTION_DAYS,
+        interval: config.BACKUP_INTERVAL,
+        clock,
+        logger
+    });
+
+    // Import bundles arrive as a file: JSON bodies are capped well below a site with its uploads
+    const bundleUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: config.IMPORT_MAX_SIZE }
+    }).single('bundle');
+
+    // Webhooks
+    const webhooks = createWebhooks({ Webhook, Delivery: WebhookDelivery, clock, logger });
+
+    // Queues an event for the registered webhooks. A webhook problem never fails the request itself.
+    const notifyWebhooks = async (event, data, options) => {
+        try {
+            await webhooks.emit(event, data, options);
+        } catch (error) {
+            logger.error('Webhook queue error', { event, error });
+        }
+    };
+
+    const contactEventData = (contact) => ({
+        id: String(contact._id),
+        name: contact.name,
+        email: contact.email,
+        subject: contact.subject,
+        message: contact.message,
+        status: contact.status,
+        createdAt: contact.createdAt
+    });
+
+
+    // Middleware Functions
+    // Authentication
+    const JWT_SECRET = resolveJwtSecret(config, logger);
+
+    const auth = createAuth({
+        Admin,
+        RefreshToken,
+        secret: JWT_SECRET,
+        accessTokenTtl: config.JWT_EXPIRES_IN,
+        refreshTokenTtlDays: config.REFRESH_TOKEN_TTL_DAYS,
+        clock
+    });
+
+    const { authenticateToken, optionalAuth, requirePermission } = auth;
+
+    const audit = createAuditLogger({ AuditLog, clock, logger });
+    app.use(audit.middleware);
+
+    // Visitor Analytics
+    let geoLookup = () => ({});
+    openGeoLookup(config.GEOIP_DB_PATH)
+        .then(lookup => { geoLookup = lookup; })
+        .catch(error => logger.error('GeoIP database error', { error }));
+
+    const tracker = createTracker({
+        Visitor,
+        PageView,
+        AnalyticsSalt,
+        enabled: config.ANALYTICS_ENABLED,
+        requireConsent: config.ANALYTICS_REQUIRE_CONSENT,
+        retentionDays: config.ANALYTICS_RETENTION_DAYS,
+        geoLookup: (ip) => geoLookup(ip),
+        clock,
+        logger
+    });
+
+    const trackVisitor = tracker.middleware;
+
+    // HTTP Caching
+    // Cache-Control for public GETs. Express gives every response an ETag and answers a
+    // matching If-None-Match with 304, so at max-age=0 browsers and the service worker
+    // revalidate on every use but only download what changed. Signed-in requests can
+    // include drafts and are never stored.
+    const cacheable = ({ maxAge = 0, scope = 'public' } = {}) => (req, res, next) => {
+        res.vary('Authorization');
+        res.set('Cache-Control', req.get('Authorization') ? 'private, no-store' : `${scope}, max-age=${maxAge}, must-revalidate`);
+        next();
+    };
+
+    // Helpers
+    // Adds the request's uploaded image to the media library
+    const storeUpload = (req, details = {}) => mediaLibrary.ingest(req.file.buffer, {
+        originalName: req.file.originalname,
+        uploadedBy: req.user && req.user.username,
+        ...details
+    });
+
+    // Deletes an image (given its public URL) once nothing references it any more
+    const releaseUpload = (url) => {
+        if (!url) return;
+        mediaLibrary.release(url).catch(error => logger.error('Upload cleanup error', { url, error }));
+    };
+
+    const syncProjectFromGithub = async (project, fetchRepo) => {
+        const repo = parseGithubUrl(project.githubUrl);
+        if (!repo) throw new Error('Project has no valid githubUrl');
+        
+        const metadata = await fetchRepo(repo.owner, repo.repo);
+        project.github = {
+            stars: metadata.stars,
+            language: metadata.language,
+            pushedAt: metadata.pushedAt,
+            topics: metadata.topics || [],
+            syncedAt: clock()
+        };
+        await project.save();
+        return project;
+    };
+
+    // Blog posts are public once published and their publishedAt (if any) has passed,
+    // which is what makes scheduled publishing work without a background job.
+    const liveBlogQuery = (now = clock()) => ({
+        published: true,
+        $or: [{ publishedAt: { $lte: now } }, { publishedAt: null }]
+    });
+
+    const isBlogLive = (blog, now = clock()) => {
+        return Boolean(blog.published && (!blog.publishedAt || blog.publishedAt <= now));
+    };
+
+    const BLOG_REVISION_FIELDS = ['title', 'slug', 'content', 'excerpt', 'featuredImage', 'tags', 'published', 'publishedAt'];
+    const BLOG_TEXT_FIELDS = ['title', 'slug', 'content', 'excerpt', 'featuredImage'];
+
+    const snapshotBlog = (blog) => {
+        const snapshot = {};
+        BLOG_REVISION_FIELDS.forEach(field => {
+            snapshot[field] = blog[field];
+        });
+        return snapshot;
+    };
+
+    const saveBlogRevision = async (blog, req, note) => {
+        const latest = await BlogRevision.findOne({ blog: blog._id })
+            .sort({ version: -1 })
+            .select('version');
+        
+        return BlogRevision.create({
+            ...snapshotBlog(blog),
+            blog: blog._id,
+            version: latest ? latest.version + 1 : 1,
+            editedBy: req.user && req.user.username,
+            note
+        });
+    };
+
+    // Picks the blog fields from a validated body (see schemas.blogAdmin). An empty
+    // slug means "keep or generate one"; null clears the excerpt and featured image.
+    const readBlogInput = (body) => {
+        const input = {};
+        
+        BLOG_REVISION_FIELDS.forEach(field => {
+            if (body[field] !== undefined) input[field] = body[field];
+        });
+        
+        if (!input.slug) delete input.slug;
+        ['excerpt', 'featuredImage'].forEach(field => {
+            if (input[field] === null) input[field] = '';
+        });
+        
+        return input;
+    };
+
+    // Applies validated input to a blog document, resolving the slug and publish date
+    const applyBlogInput = async (blog, input) => {
+        const wasPublished = blog.published;
+        
+        Object.keys(input).forEach(field => {
+            if (field !== 'slug') blog[field] = input[field];
+        });
+        
+        if (input.slug !== undefined) {
+            blog.slug = await uniqueSlug(Blog, input.slug, blog._id);
+        } else if (!blog.slug) {
+            blog.slug = await uniqueSlug(Blog, blog.title, blog._id);
+        }
+        
+        // Publishing without a date means "now"; a future date schedules the post
+        if (blog.published && !blog.publishedAt) {
+            blog.publishedAt = clock();
+        } else if (!wasPublished && blog.published && input.publishedAt === undefined && blog.publishedAt < clock()) {
+            blog.publishedAt = clock();
+        }
+        
+        blog.updatedAt = clock();
+    };
+
+    const diffBlogSnapshots = (from, to) => {
+        const changes = {};
+        
+        BLOG_REVISION_FIELDS.forEach(field => {
+            if (BLOG_TEXT_FIELDS.includes(field)) {
+                const before = from[field] || '';
+                const after = to[field] || '';
+                if (before !== after) {
+                    changes[field] = diffLines(before, after).map(part => ({
+                        value: part.value,
+                        added: Boolean(part.added),
+                        removed: Boolean(part.removed)
+                    }));
+                }
+                return;
+            }
+            
+            const before = field === 'publishedAt' ? (from[field] ? new Date(from[field]).toISOString() : null) : from[field];
+            const after = field === 'publishedAt' ? (to[field] ? new Date(to[field]).toISOString() : null) : to[field];
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                changes[field] = { from: before, to: after };
+            }
+        });
+        
+        return changes;
+    };
+
+    // Routes
+
+    // Health Check
+    app.get('/api/health', validate(schemas.system.health), (req, res) => {
+        res.json({ 
+            status: 'OK', 
+            timestamp: clock().toISOString(),
+            database: mongoose.STATES[db.readyState],
+            version: '1.0.0'
+        });
+    });
+
+    // Contact Form
+    // Signed timestamp handed to a form on load, used to spot instant (bot) submissions
+    const issueFormToken = (purpose) => jwt.sign(
+        { purpose, iat: Math.floor(clock().getTime() / 1000) },
+        JWT_SECRET
+    );
+
+    const readFormToken = (token, purpose = 'contact-form') => {
+        try {
+            const payload = jwt.verify(String(token || ''), JWT_SECRET);
+            return payload.purpose === purpose ? new Date(payload.iat * 1000) : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    app.get('/api/contact/token', validate(schemas.contact.token), (req, res) => {
+        const token = issueFormToken('contact-form');
+        res.set('Cache-Control', 'no-store');
+        res.json({ token });
+    });
+
+    app.post('/api/contact', contactLimiter, trackVisitor, validate(schemas.contact.submit), async (req, res) => {
+        try {
+            const { name, email, subject, message } = req.body;
+            
+            const spamCheck = scoreSubmission({
+                honeypot: req.body.website,
+                formIssuedAt: readFormToken(req.body.formToken),
+                email,
+                text: `${subject} ${message}`,
+                now: clock()
+            });
+            
+            // Save to database
+            const contact = new Contact({
+                name,
+                email,
+                subject,
+                message,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                status: spamCheck.spam ? 'spam' : 'new',
+                spamScore: spamCheck.score,
+                spamReasons: spamCheck.reasons
+            });
+            
+            await contact.save();
+            
+            // Suspected spam is kept for review but gets the normal response and no emails
+            if (spamCheck.spam) {
+                return res.status(200).json({ 
+                    message: 'Message sent successfully! You will receive a confirmation email shortly.' 
+                });
+            }
+            
+            await notifyWebhooks('contact.created', contactEventData(contact));
+            
+            // Emails are queued; delivery problems are retried and never fail the request
+            const mailData = {
+                name,
+                email,
+                subject,
+                message,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                timestamp: clock().toLocaleString()
+            };
+            
+            try {
+                await mailer.send({
+                    template: 'contact-notification',
+                    data: mailData,
+                    to: CONTACT_NOTIFY_EMAIL,
+                    replyTo: email,
+                    subject: `Portfolio Contact: ${subject}`
+                });
+                await mailer.send({
+                    template: 'contact-auto-reply',
+                    data: mailData,
+                    to: email,
+                    subject: 'Thank you for contacting Sujal Javeri'
+                });
+            } catch (error) {
+                req.log.error('Contact email queue error', { error });
+            }
+            
+            res.status(200).json({ 
+                message: 'Message sent successfully! You will receive a confirmation email shortly.' 
+            });
+            
+        } catch (error) {
+            req.log.error('Contact form error', { error });
+            res.status(500).json({ 
+                message: 'Failed to send message. Please try again later.' 
+            });
+        }
+    });
+
+    // Analytics
+    const reports = createReports({ Visitor, PageView, Contact });
+
+    // Query: from, to (ISO dates, default last 30 days), granularity (hour|day|week|month),
+    // timezone (IANA name) and limit (rows in "top" breakdowns)
+    app.get('/api/analytics', authenticateToken, requirePermission('analytics:read'), validate(schemas.analytics.summary), async (req, res) => {
+        try {
+            const range = parseReportQuery(req.query, clock());
+            const names = Object.keys(reports);
+            const results = await Promise.all(names.map(name => reports[name](range)));
+            
+            const totalVisitors = await Visitor.countDocuments();
+            const totalContacts = await Contact.countDocuments({ status: { $ne: 'spam' } });
+            const recentContacts = await Contact.find({ status: { $ne: 'spam' } })
+                .sort({ createdAt: -1 })
+                .limit(10)
+                .select('name email subject status createdAt');
+            
+            const breakdowns = {};
+            names.forEach((name, index) => {
+                breakdowns[name] = results[index];
+            });
+            
+            res.json({
+                range,
+                totalVisitors,
+                totalContacts,
+                recentContacts,
+                ...breakdowns,
+                conversion: breakdowns.conversion[0],
+                contactStats: breakdowns.contacts
+            });
+            
+        } catch (error) {
+            if (error instanceof ReportQueryError) {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Analytics error', { error });
+            res.status(500).json({ message: 'Failed to fetch analytics' });
+        }
+    });
+
+    // A single breakdown, as JSON (default) or CSV with ?format=csv
+    app.get('/api/analytics/:breakdown', authenticateToken, requirePermission('analytics:read'), validate(schemas.analytics.breakdown), async (req, res) => {
+        try {
+            const report = Object.prototype.hasOwnProperty.call(reports, req.params.breakdown) && reports[req.params.breakdown];
+            
+            if (!report) {
+                return res.status(404).json({ 
+                    message: `Unknown breakdown. Available: ${Object.keys(reports).join(', ')}` 
+                });
+            }
+            
+            const { format } = req.query;
+            const range = parseReportQuery(req.query, clock());
+            const rows = await report(range);
+            
+            if (format === 'csv') {
+                const fileName = `${req.params.breakdown}-${range.from.toISOString().slice(0, 10)}-${range.to.toISOString().slice(0, 10)}.csv`;
+                res.type('text/csv');
+                res.attachment(fileName);
+                return res.send(toCsv(rows));
+            }
+            
+            res.json({ range, rows });
+        } catch (error) {
+            if (error instanceof ReportQueryError) {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Analytics export error', { error });
+            res.status(500).json({ message: 'Failed to export analytics' });
+        }
+    });
+
+    // Projects CRUD
+    app.get('/api/projects', cacheable(), trackVisitor, validate(schemas.projects.list), async (req, res) => {
+        try {
+            const { featured, status, limit } = req.query;
+            let query = {};
+            
+            if (featured) query.featured = true;
+            if (status) query.status = status;
+            
+            const projects = await Project.find(query)
+                .sort({ order: 1, createdAt: -1 })
+                .limit(limit || 0);
+                
+            res.json(projects);
+        } catch (error) {
+            req.log.error('Projects fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch projects' });
+        }
+    });
+
+    app.post('/api/projects', authenticateToken, requirePermission('projects:write'), upload.single('image'), validate(schemas.projects.create), async (req, res) => {
+        let media = null;
+        
+        try {
+            if (req.file) media = await storeUpload(req, { alt: req.body.title, tags: ['project'] });
+            
+            const project = new Project({
+                ...req.body,
+                image: media ? media.url : null
+            });
+            
+            await project.save();
+            feeds.invalidate();
+            await notifyWebhooks('project.created', {
+                id: String(project._id),
+                title: project.title,
+                description: project.description,
+                technologies: project.technologies,
+                status: project.status,
+                githubUrl: project.githubUrl,
+                liveUrl: project.liveUrl,
+                image: project.image && new URL(project.image, `${API_URL}/`).href,
+                createdAt: project.createdAt
+            });
+            await audit.record(req, { action: 'project.create', model: 'Project', after: project });
+            
+            res.status(201).json({ message: 'Project created successfully', project });
+        } catch (error) {
+            if (media) releaseUpload(media.url);
+            if (error instanceof MediaError) {
+                return res.status(error.status).json({ message: error.message });
+            }
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Project creation error', { error });
+            res.status(500).json({ message: 'Failed to create project' });
+        }
+    });
+
+    // Sets `order` from the position of each id in the submitted list
+    app.put('/api/projects/order', authenticateToken, requirePermission('projects:write'), validate(schemas.projects.reorder), async (req, res) => {
+        try {
+            const { ids } = req.body;
+            
+            await Project.bulkWrite(ids.map((id, index) => ({
+                updateOne: {
+                    filter: { _id: id },
+                    update: { $set: { order: index, updatedAt: clock() } }
+                }
+            })));
+            feeds.invalidate();
+            await audit.record(req, { action: 'project.reorder', model: 'Project', metadata: { ids } });
+            
+            const projects = await Project.find().sort({ order: 1, createdAt: -1 });
+            res.json({ message: 'Projects reordered successfully', projects });
+        } catch (error) {
+            req.log.error('Project reorder error', { error });
+            res.status(500).json({ message: 'Failed to reorder projects' });
+        }
+    });
+
+    // Refreshes GitHub metadata for every project that links a repository
+    app.post('/api/projects/sync', authenticateToken, requirePermission('projects:write'), validate(schemas.projects.syncAll), async (req, res) => {
+        try {
+            const fetchRepo = req.app.get('githubFetcher');
+            const projects = await Project.find({ githubUrl: { $nin: [null, ''] } });
+            const results = [];
+            
+            for (const project of projects) {
+                try {
+                    await syncProjectFromGithub(project, fetchRepo);
+                    results.push({ id: project._id, title: project.title, synced: true, github: project.github });
+                } catch (error) {
+                    results.push({ id: project._id, title: project.title, synced: false, error: error.message });
+                }
+            }
+            
+            const synced = results.filter(result => result.synced).length;
+            await audit.record(req, { action: 'project.sync_all', model: 'Project', metadata: { synced, failed: results.length - synced } });
+            
+            res.json({
+                message: 'GitHub sync completed',
+                synced,
+                failed: results.length - synced,
+                results
+            });
+        } catch (error) {
+            req.log.error('Projects sync error', { error });
+            res.status(500).json({ message: 'Failed to sync projects' });
+        }
+    });
+
+    app.post('/api/projects/:id/sync', authenticateToken, requirePermission('projects:write'), validate(schemas.projects.sync), async (req, res) => {
+        try {
+            const project = await Project.findById(req.params.id);
+            
+            if (!project) {
+                return res.status(404).json({ message: 'Project not found' });
+            }
+            if (!parseGithubUrl(project.githubUrl)) {
+                return res.status(400).json({ message: 'Project has no GitHub repository URL' });
+            }
+            
+            const before = project.toObject();
+            await syncProjectFromGithub(project, req.app.get('githubFetcher'));
+            await audit.record(req, { action: 'project.sync', model: 'Project', before, after: project });
+            
+            res.json({ message: 'Project synced successfully', project });
+        } catch (error) {
+            req.log.error('Project sync error', { error });
+            res.status(502).json({ message: 'Failed to sync project from GitHub' });
+        }
+    });
+
+    // PUT and PATCH differ only in their schemas (PUT resets omitted optional fields)
+    const updateProject = async (req, res) => {
+        let media = null;
+        
+        try {
+            const { removeImage, ...input } = req.body;
+            const project = await Project.findById(req.params.id);
+            if (!project) {
+                return res.status(404).json({ message: 'Project not found' });
+            }
+            
+            const before = project.toObject();
+            const oldImage = project.image;
+            Object.assign(project, input);
+            
+            if (req.file) media = await storeUpload(req, { alt: project.title, tags: ['project'] });
+            
+            if (media) project.image = media.url;
+            else if (removeImage) project.image = null;
+            
+            project.updatedAt = clock();
+            await project.save();
+            feeds.invalidate();
+            await audit.record(req, { action: 'project.update', model: 'Project', before, after: project });
+            
+            // Only drop the old file once the new one is safely referenced
+            if (oldImage && oldImage !== project.image) releaseUpload(oldImage);
+            
+            res.json({ message: 'Project updated successfully', project });
+        } catch (error) {
+            if (media) releaseUpload(media.url);
+            if (error instanceof MediaError) {
+                return res.status(error.status).json({ message: error.message });
+            }
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Project update error', { error });
+            res.status(500).json({ message: 'Failed to update project' });
+        }
+    };
+
+    app.put('/api/projects/:id', authenticateToken, requirePermission('projects:write'), upload.single('image'), validate(schemas.projects.replace), updateProject);
+    app.patch('/api/projects/:id', authenticateToken, requirePermission('projects:write'), upload.single('image'), validate(schemas.projects.update), updateProject);
+
+    app.delete('/api/projects/:id', authenticateToken, requirePermission('projects:delete'), validate(schemas.projects.delete), async (req, res) => {
+        try {
+            const project = await Project.findByIdAndDelete(req.params.id);
+            
+            if (!project) {
+                return res.status(404).json({ message: 'Project not found' });
+            }
+            
+            releaseUpload(project.image);
+            feeds.invalidate();
+            await audit.record(req, { action: 'project.delete', model: 'Project', before: project });
+            
+            res.json({ message: 'Project deleted successfully' });
+        } catch (error) {
+            req.log.error('Project deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete project' });
+        }
+    });
+
+    // Blog CRUD
+    app.get('/api/blog', cacheable(), optionalAuth, trackVisitor, validate(schemas.blog.list), async (req, res) => {
+        try {
+            const { published, limit } = req.query;
+            let query = {};
+            
+            // Drafts and scheduled posts are only listed for admins
+            if (published || !req.user) query = liveBlogQuery();
+            
+            const blogs = await Blog.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit || 0)
+                .select('title slug excerpt featuredImage tags published publishedAt views likes createdAt');
+                
+            res.json(blogs);
+        } catch (error) {
+            req.log.error('Blog fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch blog posts' });
+        }
+    });
+
+    // Private: the response says whether this visitor liked the post
+    app.get('/api/blog/:slug', cacheable({ scope: 'private' }), optionalAuth, trackVisitor, validate(schemas.blog.get), async (req, res) => {
+        try {
+            const blog = await Blog.findOne({ slug: req.params.slug });
+            const isLive = blog && isBlogLive(blog);
+            
+            // Unpublished drafts look exactly like missing posts to the public
+            if (!blog || (!isLive && !req.user)) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            // Increment view count (admin previews of drafts don't count)
+            if (isLive) {
+                blog.views += 1;
+                await blog.save();
+            }
+            
+            // Content is authored in Markdown and served as sanitized HTML
+            const rendered = renderBlog(blog);
+            const [liked, commentCount] = await Promise.all([
+                BlogLike.exists({ blog: blog._id, fingerprint: visitorFingerprint(req, JWT_SECRET) }),
+                Comment.countDocuments({ blog: blog._id, status: 'approved' })
+            ]);
+            
+            res.json({
+                ...blog.toObject(),
+                excerpt: blog.excerpt || rendered.excerpt,
+                html: rendered.html,
+                toc: rendered.toc,
+                wordCount: rendered.wordCount,
+                readingTime: rendered.readingTime,
+                liked: Boolean(liked),
+                commentCount
+            });
+        } catch (error) {
+            req.log.error('Blog fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch blog post' });
+        }
+    });
+
+    // Blog Likes
+    // Liking is idempotent: each visitor fingerprint counts once per post
+    const findLiveBlog = (slug) => Blog.findOne({ ...liveBlogQuery(), slug });
+
+    app.post('/api/blog/:slug/like', likeLimiter, validate(schemas.blog.like), async (req, res) => {
+        try {
+            const blog = await findLiveBlog(req.params.slug);
+            
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            let likes = blog.likes;
+            try {
+                const result = await BlogLike.updateOne(
+                    { blog: blog._id, fingerprint: visitorFingerprint(req, JWT_SECRET) },
+                    { $setOnInsert: { createdAt: clock() } },
+                    { upsert: true }
+                );
+                if (result.upsertedCount) {
+                    ({ likes } = await Blog.findByIdAndUpdate(blog._id, { $inc: { likes: 1 } }, { new: true }).select('likes'));
+                }
+            } catch (error) {
+                // A concurrent like from the same visitor won the upsert
+                if (error.code !== 11000) throw error;
+            }
+            
+            res.json({ liked: true, likes });
+        } catch (error) {
+            req.log.error('Blog like error', { error });
+            res.status(500).json({ message: 'Failed to like blog post' });
+        }
+    });
+
+    app.delete('/api/blog/:slug/like', likeLimiter, validate(schemas.blog.unlike), async (req, res) => {
+        try {
+            const blog = await findLiveBlog(req.params.slug);
+            
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            let likes = blog.likes;
+            const result = await BlogLike.deleteOne({ blog: blog._id, fingerprint: visitorFingerprint(req, JWT_SECRET) });
+            if (result.deletedCount) {
+                ({ likes } = await Blog.findOneAndUpdate(
+                    { _id: blog._id, likes: { $gt: 0 } },
+                    { $inc: { likes: -1 } },
+                    { new: true }
+                ).select('likes') || blog);
+            }
+            
+            res.json({ liked: false, likes });
+        } catch (error) {
+            req.log.error('Blog unlike error', { error });
+            res.status(500).json({ message: 'Failed to unlike blog post' });
+        }
+    });
+
+    // Blog Comments
+    const MAX_COMMENT_DEPTH = 4;
+
+    // Nests approved comments under their parents; replies to hidden comments are dropped
+    const buildCommentTree = (comments) => {
+        const byId = new Map(comments.map(comment => [String(comment._id), { ...comment, replies: [] }]));
+        const roots = [];
+        
+        byId.forEach(comment => {
+            if (!comment.parent) roots.push(comment);
+            else if (byId.has(String(comment.parent))) byId.get(String(comment.parent)).replies.push(comment);
+        });
+        
+        return roots;
+    };
+
+    app.get('/api/comments/token', validate(schemas.comments.token), (req, res) => {
+        const token = issueFormToken('comment-form');
+        res.set('Cache-Control', 'no-store');
+        res.json({ token });
+    });
+
+    app.get('/api/blog/:slug/comments', cacheable(), validate(schemas.comments.list), async (req, res) => {
+        try {
+            const blog = await findLiveBlog(req.params.slug);
+            
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            const comments = await Comment.find({ blog: blog._id, status: 'approved' })
+                .sort({ createdAt: 1 })
+                .select('parent depth name content createdAt')
+                .lean();
+            
+            res.json({ comments: buildCommentTree(comments), total: comments.length });
+        } catch (error) {
+            req.log.error('Comments fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch comments' });
+        }
+    });
+
+    app.post('/api/blog/:slug/comments', commentLimiter, validate(schemas.comments.create), async (req, res) => {
+        try {
+            const { name, email, content, parentId } = req.body;
+            const blog = await findLiveBlog(req.params.slug);
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            let parent = null;
+            if (parentId) {
+                parent = await Comment.findOne({ _id: parentId, blog: blog._id, status: 'approved' });
+                if (!parent) {
+                    return res.status(400).json({ message: 'Please correct the highlighted fields', errors: { parentId: 'Invalid parent comment' } });
+                }
+                // Past the maximum depth, replies join the parent's own thread while it is still visible
+                if (parent.depth >= MAX_COMMENT_DEPTH) {
+                    const grandparent = await Comment.findOne({ _id: parent.parent, blog: blog._id, status: 'approved' });
+                    if (grandparent) parent = grandparent;
+                }
+            }
+            
+            const spamCheck = scoreSubmission({
+                honeypot: req.body.website,
+                formIssuedAt: readFormToken(req.body.formToken, 'comment-form'),
+                email,
+                text: content,
+                now: clock()
+            });
+            
+            // Suspected spam goes straight to "rejected" so it never clutters the queue
+            const comment = await Comment.create({
+                blog: blog._id,
+                parent: parent ? parent._id : null,
+                depth: parent ? parent.depth + 1 : 0,
+                name,
+                email,
+                content,
+                status: spamCheck.spam ? 'rejected' : 'pending',
+                spamScore: spamCheck.score,
+                spamReasons: spamCheck.reasons,
+                fingerprint: visitorFingerprint(req, JWT_SECRET),
+                userAgent: req.get('User-Agent')
+            });
+            
+            if (!spamCheck.spam) {
+                try {
+                    await mailer.send({
+                        template: 'comment-notification',
+                        data: {
+                            blogTitle: blog.title,
+                            name,
+                            email,
+                            content,
+                            inReplyTo: parent ? parent.name : '(top-level comment)',
+                            commentId: String(comment._id),
+                            timestamp: clock().toLocaleString()
+                        },
+                        to: CONTACT_NOTIFY_EMAIL,
+                        replyTo: email,
+                        subject: `New comment on "${blog.title}"`
+                    });
+                } catch (error) {
+                    req.log.error('Comment email queue error', { error });
+                }
+            }
+            
+            res.status(201).json({ message: 'Thanks! Your comment will appear once it has been approved.' });
+        } catch (error) {
+            req.log.error('Comment submission error', { error });
+            res.status(500).json({ message: 'Failed to submit comment. Please try again later.' });
+        }
+    });
+
+    // Public URLs
+    const SITE_URL = config.SITE_URL.replace(/\/+$/, '');
+    // Links in emails and posts point at the API; API_URL defaults to the site when both share an origin
+    const API_URL = (config.API_URL || SITE_URL).replace(/\/+$/, '');
+    // Posts are pages of this server (see Blog Pages) unless BLOG_URL says otherwise
+    const BLOG_URL = (config.BLOG_URL || `${API_URL}/blog`).replace(/\/+$/, '');
+    const SITE_TITLE = 'Sujal Javeri';
+    const SITE_DESCRIPTION = 'Posts by Sujal Javeri on entrepreneurship, AI and building things.';
+    const postUrl = (blog) => `${BLOG_URL}/${encodeURIComponent(blog.slug)}`;
+
+    // Search
+    const siteSearch = createSearch({ Blog, Project, liveQuery: liveBlogQuery, render: renderBlog, postUrl });
+
+    // Query: q (required), type (blog|project), tag, technology, page, limit
+    app.get('/api/search', cacheable(), trackVisitor, validate(schemas.search.query), async (req, res) => {
+        try {
+            res.json(await siteSearch.search(parseSearchQuery(req.query)));
+        } catch (error) {
+            req.log.error('Search error', { error });
+            res.status(500).json({ message: 'Search failed' });
+        }
+    });
+
+    // Feeds and Sitemap
+    const feeds = createFeeds({
+        Blog,
+        Project,
+        liveQuery: liveBlogQuery,
+        render: renderBlog,
+        siteUrl: SITE_URL,
+        apiUrl: API_URL,
+        blogUrl: BLOG_URL,
+        title: SITE_TITLE,
+        description: SITE_DESCRIPTION,
+        author: 'Sujal Javeri',
+        clock
+    });
+
+    // Served with validators so readers polling the feed mostly get a 304
+    const sendFeed = (kind) => async (req, res) => {
+        try {
+            const document = await feeds.get(kind);
+            
+            res.set({
+                'Content-Type': document.contentType,
+                'Cache-Control': 'public, max-age=900',
+                'ETag': document.etag
+            });
+            if (document.lastModified.getTime()) res.set('Last-Modified', document.lastModified.toUTCString());
+            
+            // res.send answers with 304 when the request's validators still match
+            res.send(document.body);
+        } catch (error) {
+            req.log.error('Feed generation error', { error });
+            res.status(500).json({ message: 'Failed to generate feed' });
+        }
+    };
+
+    app.get('/feed.xml', validate(schemas.feeds.rss), sendFeed('rss'));
+    app.get('/atom.xml', validate(schemas.feeds.atom), sendFeed('atom'));
+    app.get('/feed.json', validate(schemas.feeds.json), sendFeed('json'));
+    app.get('/sitemap.xml', validate(schemas.feeds.sitemap), sendFeed('sitemap'));
+
+    // For crawlers of this host; the static site's robots.txt points at the same sitemap
+    app.get('/robots.txt', validate(schemas.feeds.robots), (req, res) => {
+        res.type('text/plain').set('Cache-Control', 'public, max-age=86400').send([
+            'User-agent: *',
+            'Disallow: /api/',
+            'Allow: /blog',
+            `Sitemap: ${API_URL}/sitemap.xml`,
+            ''
+        ].join('\n'));
+    });
+
+    // Blog Pages
+    const pageContext = {
+        blogUrl: BLOG_URL,
+        siteUrl: SITE_URL,
+        siteTitle: SITE_TITLE,
+        feedUrl: `${API_URL}/feed.xml`
+    };
+
+    app.get('/blog', cacheable(), trackVisitor, validate(schemas.blogPages.index), async (req, res) => {
+        try {
+            const blogs = await Blog.find(liveBlogQuery())
+                .sort({ publishedAt: -1, createdAt: -1 })
+                .select('title slug content excerpt publishedAt createdAt updatedAt');
+            
+            res.type('html').send(renderBlogIndex({
+                ...pageContext,
+                url: BLOG_URL,
+                description: SITE_DESCRIPTION,
+                posts: blogs.map(blog => ({ post: blog, excerpt: blog.excerpt || renderBlog(blog).excerpt, url: postUrl(blog) }))
+            }));
+        } catch (error) {
+            req.log.error('Blog page error', { error });
+            res.status(500).json({ message: 'Failed to render the blog' });
+        }
+    });
+
+    app.get('/blog/:slug', cacheable(), trackVisitor, validate(schemas.blogPages.post), async (req, res) => {
+        try {
+            const blog = await findLiveBlog(req.params.slug);
+            if (!blog) {
+                return res.status(404).type('html').send(renderNotFoundPage(pageContext));
+            }
+            
+            blog.views += 1;
+            await blog.save();
+            
+            res.type('html').send(renderPostPage({
+                ...pageContext,
+                post: blog,
+                rendered: renderBlog(blog),
+                url: postUrl(blog),
+                imageUrl: (src) => (/^https?:\/\//i.test(src) ? src : `${API_URL}${src.startsWith('/') ? '' : '/'}${src}`)
+            }));
+        } catch (error) {
+            req.log.error('Blog page error', { error });
+            res.status(500).json({ message: 'Failed to render the blog post' });
+        }
+    });
+
+    // Resume
+    const resume = createResume({
+        Experience,
+        Education,
+        Skill,
+        basics: {
+            name: 'Sujal Javeri',
+            label: 'B.Tech Student & Aspiring Entrepreneur',
+            email: 'sujal309206@gmail.com',
+            url: SITE_URL,
+            summary: 'B.Tech student, aspiring entrepreneur and AI enthusiast. Founder of WishVault and Innovate Together, and a 100K+ YouTube creator.',
+            location: { city: 'Pune', region: 'Maharashtra', countryCode: 'IN' },
+            profiles: [
+                { network: 'LinkedIn', username: 'sujal-javeri-b50638282', url: 'https://www.linkedin.com/in/sujal-javeri-b50638282/' },
+                { network: 'Instagram', username: 'sujal_javeri', url: 'https://instagram.com/sujal_javeri' }
+            ]
+        },
+        canonical: `${SITE_URL}/#resume`,
+        clock
+    });
+
+    app.get('/api/resume', cacheable({ maxAge: 300 }), validate(schemas.resume.get), async (req, res) => {
+        try {
+            res.json(await resume.build());
+        } catch (error) {
+            req.log.error('Resume fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch resume' });
+        }
+    });
+
+    app.get('/api/resume.pdf', cacheable({ maxAge: 300 }), validate(schemas.resume.pdf), async (req, res) => {
+        try {
+            const pdf = await renderResumePdf(await resume.build());
+            res.type('application/pdf');
+            res.set('Content-Disposition', 'inline; filename="sujal-javeri-resume.pdf"');
+            res.send(pdf);
+        } catch (error) {
+            req.log.error('Resume PDF error', { error });
+            res.status(500).json({ message: 'Failed to generate resume PDF' });
+        }
+    });
+
+    app.get('/api/resume.html', cacheable({ maxAge: 300 }), validate(schemas.resume.html), async (req, res) => {
+        try {
+            res.type('html').send(renderResumeHtml(await resume.build()));
+        } catch (error) {
+            req.log.error('Resume page error', { error });
+            res.status(500).json({ message: 'Failed to render resume' });
+        }
+    });
+
+    // Admin CRUD for one kind of resume entry, e.g. /api/admin/resume/experience
+    const resumeRoutes = (section, Model, sectionSchemas) => {
+        const base = `/api/admin/resume/${section}`;
+        const guard = [authenticateToken, requirePermission('resume:write')];
+        
+        app.get(base, ...guard, validate(sectionSchemas.list), async (req, res) => {
+            try {
+                const entries = await Model.find().sort({ order: 1, startDate: -1, createdAt: 1 });
+                res.json(entries);
+            } catch (error) {
+                req.log.error('Resume entries fetch error', { section, error });
+                res.status(500).json({ message: 'Failed to fetch resume entries' });
+            }
+        });
+        
+        app.post(base, ...guard, validate(sectionSchemas.create), async (req, res) => {
+            try {
+                const entry = await Model.create({ ...req.body, createdAt: clock(), updatedAt: clock() });
+                await audit.record(req, { action: `${section}.create`, model: Model.modelName, after: entry });
+                
+                res.status(201).json({ message: 'Resume entry created successfully', entry });
+            } catch (error) {
+                req.log.error('Resume entry creation error', { section, error });
+                res.status(500).json({ message: 'Failed to create resume entry' });
+            }
+        });
+        
+        app.patch(`${base}/:id`, ...guard, validate(sectionSchemas.update), async (req, res) => {
+            try {
+                const entry = await Model.findById(req.params.id);
+                if (!entry) {
+                    return res.status(404).json({ message: 'Resume entry not found' });
+                }
+                
+                const before = entry.toObject();
+                entry.set(req.body);
+                entry.updatedAt = clock();
+                await entry.save();
+                await audit.record(req, { action: `${section}.update`, model: Model.modelName, before, after: entry });
+                
+                res.json({ message: 'Resume entry updated successfully', entry });
+            } catch (error) {
+                req.log.error('Resume entry update error', { section, error });
+                res.status(500).json({ message: 'Failed to update resume entry' });
+            }
+        });
+        
+        app.delete(`${base}/:id`, ...guard, validate(sectionSchemas.delete), async (req, res) => {
+            try {
+                const entry = await Model.findByIdAndDelete(req.params.id);
+                if (!entry) {
+                    return res.status(404).json({ message: 'Resume entry not found' });
+                }
+                
+                await audit.record(req, { action: `${section}.delete`, model: Model.modelName, before: entry });
+                res.json({ message: 'Resume entry deleted successfully' });
+            } catch (error) {
+                req.log.error('Resume entry deletion error', { section, error });
+                res.status(500).json({ message: 'Failed to delete resume entry' });
+            }
+        });
+    };
+
+    resumeRoutes('experience', Experience, schemas.experience);
+    resumeRoutes('education', Education, schemas.education);
+    resumeRoutes('skills', Skill, schemas.skills);
+
+    // Booking
+    // Bookings stay closed until there is an address to send them to and invite from
+    const OWNER = { name: 'Sujal Javeri', email: CONTACT_NOTIFY_EMAIL };
+    if (!OWNER.email) logger.warn('Call booking is disabled: set CONTACT_NOTIFY_EMAIL or EMAIL_USER');
+    const BOOKING_SLOTS_DAYS = 14;
+
+    const bookings = createBookings({
+        Availability,
+        Booking,
+        organizer: OWNER,
+        uidDomain: new URL(SITE_URL).hostname,
+        clock
+    });
+
+    // Template data and the calendar attachment for a booking's emails, with times in `timezone`
+    const bookingMail = (booking, availability, timezone) => ({
+        data: {
+            name: booking.name,
+            email: booking.email,
+            notes: booking.notes || '(none)',
+            when: formatSlot(booking.start, booking.end, timezone),
+            location: availability.location || 'The meeting link will follow by email',
+            reason: booking.cancelReason || 'No reason given'
+        },
+        attachments: [bookings.invite(booking, { location: availability.location })]
+    });
+
+    app.get('/api/booking/token', validate(schemas.booking.token), (req, res) => {
+        const token = issueFormToken('booking-form');
+        res.set('Cache-Control', 'no-store');
+        res.json({ token });
+    });
+
+    app.get('/api/booking/slots', validate(schemas.booking.slots), async (req, res) => {
+        try {
+            const from = req.query.from || clock();
+            const to = req.query.to || new Date(from.getTime() + BOOKING_SLOTS_DAYS * 24 * 60 * 60 * 1000);
+            const { availability, slots } = await bookings.openSlots({ from, to });
+            
+            res.json({
+                open: bookings.isOpen(availability),
+                timezone: availability.timezone,
+                slotMinutes: availability.slotMinutes,
+                slots
+            });
+        } catch (error) {
+            if (error instanceof BookingError) {
+                return res.status(error.status).json({ message: error.message });
+            }
+            req.log.error('Booking slots error', { error });
+            res.status(500).json({ message: 'Failed to fetch open slots' });
+        }
+    });
+
+    // Every booking is also a contact message, so it shows up (and can be replied to) in the inbox
+    app.post('/api/booking', contactLimiter, trackVisitor, validate(schemas.booking.create), async (req, res) => {
+        try {
+            const { start, name, email, notes } = req.body;
+            
+            const spamCheck = scoreSubmission({
+                honeypot: req.body.website,
+                formIssuedAt: readFormToken(req.body.formToken, 'booking-form'),
+                email,
+                text: notes || '',
+                now: clock()
+            });
+            const contactFields = {
+                name,
+                email,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                spamScore: spamCheck.score,
+                spamReasons: spamCheck.reasons
+            };
+            
+            // Suspected spam is kept for review, but unlike a message a booking can't
+            // pretend to succeed: a real visitor would wait for a call that never comes
+            if (spamCheck.spam) {
+                await Contact.create({
+                    ...contactFields,
+                    subject: 'Call booking',
+                    message: notes || `Tried to book a call at ${start.toISOString()}`,
+                    status: 'spam'
+                });
+                return res.status(400).json({ message: 'We could not confirm this booking. Please try again or use the contact form.' });
+            }
+            
+            // The slot is claimed before the contact is saved, so a taken slot leaves nothing behind
+            const contactId = new mongoose.Types.ObjectId();
+            const availability = await bookings.getAvailability();
+            const timezone = req.body.timezone || availability.timezone;
+            const booking = await bookings.reserve(start, { contact: contactId, name, email, notes, timezone });
+            
+            const ownerMail = bookingMail(booking, availability, availability.timezone);
+            let contact;
+            try {
+                contact = await Contact.create({
+                    ...contactFields,
+                    _id: contactId,
+                    subject: `Call booking: ${ownerMail.data.when}`,
+                    message: notes || 'Booked a call through the site.',
+                    status: 'new'
+                });
+            } catch (error) {
+                // Nobody has heard of the booking yet, so the slot is simply freed again
+                await bookings.release(booking._id);
+                throw error;
+            }
+            await notifyWebhooks('contact.created', contactEventData(contact));
+            
+            // Emails are queued; delivery problems are retried and never fail the request
+            try {
+                await mailer.send({
+                    template: 'booking-notification',
+                    ...ownerMail,
+                    to: CONTACT_NOTIFY_EMAIL,
+                    replyTo: email,
+                    subject: `New call booked: ${name}`
+                });
+                await mailer.send({
+                    template: 'booking-confirmation',
+                    ...bookingMail(booking, availability, timezone),
+                    to: email,
+                    replyTo: CONTACT_NOTIFY_EMAIL,
+                    subject: 'Your call with Sujal Javeri is booked'
+                });
+            } catch (error) {
+                req.log.error('Booking email queue error', { error });
+            }
+            
+            res.status(201).json({
+                message: 'Your call is booked! A calendar invite is on its way to your inbox.',
+                booking: {
+                    _id: booking._id,
+                    start: booking.start,
+                    end: booking.end,
+                    timezone: booking.timezone,
+                    status: booking.status
+                }
+            });
+        } catch (error) {
+            if (error instanceof BookingError) {
+                return res.status(error.status).json({ message: error.message });
+            }
+            req.log.error('Booking error', { error });
+            res.status(500).json({ message: 'Failed to book the call. Please try again later.' });
+        }
+    });
+
+    // Newsletter
+    const subscribeLimiter = rateLimit({
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 5, // limit each IP to 5 subscription requests per hour
+        message: 'Too many subscription requests, please try again later.'
+    });
+
+    const newsletter = createNewsletter({
+        Subscriber,
+        Campaign,
+        Blog,
+        Outbox: EmailOutbox,
+        mailer,
+        secret: JWT_SECRET,
+        links: {
+            confirm: (token) => `${API_URL}/api/subscribe/confirm?token=${encodeURIComponent(token)}`,
+            unsubscribe: (token) => `${API_URL}/api/unsubscribe?token=${encodeURIComponent(token)}`,
+            post: postUrl
+        },
+        isLive: isBlogLive,
+        render: renderBlog,
+        options: {
+            batchSize: config.NEWSLETTER_BATCH_SIZE,
+            batchIntervalMs: config.NEWSLETTER_BATCH_INTERVAL_SECONDS * 1000
+        },
+        clock,
+        logger
+    });
+
+    // Keeps the blog.published webhooks in step with a post: queued the first time it is
+    // published (held back until publishedAt when scheduled), requeued with the current
+    // details while that announcement is still waiting, and withdrawn when the post is
+    // unpublished or deleted before it went out.
+    const syncPostWebhooks = async (blog, { wasPublished = true, deleted = false } = {}) => {
+        const id = String(blog._id);
+        try {
+            if (deleted || !blog.published) {
+                await webhooks.withdraw('blog.published', id);
+                return;
+            }
+            
+            const withdrawn = await webhooks.withdraw('blog.published', id, { untried: true });
+            if (!withdrawn && (wasPublished || await webhooks.wasEmitted('blog.published', id))) return;
+            
+            await webhooks.emit('blog.published', {
+                id,
+                title: blog.title,
+                slug: blog.slug,
+                excerpt: blog.excerpt,
+                tags: blog.tags,
+                url: postUrl(blog),
+                publishedAt: blog.publishedAt
+            }, { notBefore: blog.publishedAt });
+        } catch (error) {
+            logger.error('Webhook queue error', { event: 'blog.published', blogId: id, error });
+        }
+    };
+
+    // Queues the newsletter announcement the first time a post is published (or
+    // scheduled) and syncs its webhooks. A newsletter or webhook problem never fails
+    // the blog request itself.
+    const announcePost = async (blog, wasPublished) => {
+        if (blog.published && !wasPublished) {
+            try {
+                await newsletter.announce(blog);
+            } catch (error) {
+                logger.error('Newsletter announcement error', { blogId: String(blog._id), error });
+            }
+        }
+        
+        await syncPostWebhooks(blog, { wasPublished });
+    };
+
+    // Confirmation and unsubscribe links are opened in a browser, so they answer with a small page
+    const sendNewsletterPage = (res, status, title, message, action) => {
+        const form = action
+            ? `<form method="post" action="${escapeHtml(action.url)}"><button type="submit">${escapeHtml(action.label)}</button></form>`
+            : `<p><a href="${escapeHtml(SITE_URL)}/">Back to the site</a></p>`;
+        
+        res.status(status).type('html').send(`<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta name="robots" content="noindex">
+        <title>${escapeHtml(title)}</title>
+        <style>
+            body { font-family: Arial, sans-serif; max-width: 480px; margin: 15vh auto; padding: 0 1.5rem; color: #333; text-align: center; }
+            h1 { color: #667eea; }
+            button { background: #667eea; color: #fff; border: 0; padding: 12px 24px; border-radius: 25px; font-size: 1rem; cursor: pointer; }
+            a { color: #667eea; }
+        </style>
+    </head>
+    <body>
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+        ${form}
+    </body>
+    </html>`);
+    };
+
+    app.post('/api/subscribe', subscribeLimiter, validate(schemas.newsletter.subscribe), async (req, res) => {
+        try {
+            const { email, source, website } = req.body;
+            
+            // Bots filling the honeypot get the normal response without an email being sent
+            if (!website) {
+                await newsletter.subscribe(email, { source });
+            }
+            
+            // Same answer whether or not the address was already subscribed
+            res.json({ message: 'Almost done! Check your inbox to confirm your subscription.' });
+        } catch (error) {
+            req.log.error('Subscribe error', { error });
+            res.status(500).json({ message: 'Failed to subscribe. Please try again later.' });
+        }
+    });
+
+    app.get('/api/subscribe/confirm', validate(schemas.newsletter.confirm), async (req, res) => {
+        try {
+            const subscriber = await newsletter.confirm(req.query.token);
+            
+            if (!subscriber) {
+                return sendNewsletterPage(res, 400, 'Link expired', 'This confirmation link is invalid or has expired. Please subscribe again.');
+            }
+            
+            sendNewsletterPage(res, 200, 'Subscription confirmed', "Thanks! You'll get an email whenever a new post is published.");
+        } catch (error) {
+            req.log.error('Subscription confirm error', { error });
+            sendNewsletterPage(res, 500, 'Something went wrong', 'Please try again later.');
+        }
+    });
+
+    // Opening the link asks for confirmation, so mail scanners that follow links don't unsubscribe anyone
+    app.get('/api/unsubscribe', validate(schemas.newsletter.unsubscribePage), (req, res) => {
+        sendNewsletterPage(res, 200, 'Unsubscribe', 'Stop receiving emails about new posts?', {
+            url: `/api/unsubscribe?token=${encodeURIComponent(req.query.token || '')}`,
+            label: 'Unsubscribe'
+        });
+    });
+
+    // Also the RFC 8058 one-click target used by mail clients (List-Unsubscribe-Post)
+    app.post('/api/unsubscribe', validate(schemas.newsletter.unsubscribe), async (req, res) => {
+        try {
+            const subscriber = await newsletter.unsubscribe(req.query.token || req.body.token);
+            
+            if (!subscriber) {
+                return sendNewsletterPage(res, 400, 'Invalid link', 'This unsubscribe link is invalid.');
+            }
+            
+            sendNewsletterPage(res, 200, 'Unsubscribed', "You won't receive any more emails about new posts.");
+        } catch (error) {
+            req.log.error('Unsubscribe error', { error });
+            sendNewsletterPage(res, 500, 'Something went wrong', 'Please try again later.');
+        }
+    });
+
+    // Admin Authentication
+    const MAX_FAILED_LOGINS = 5;
+    const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+    // Compared against when the username doesn't exist, so both cases take as long
+    const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
+    const loginLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 20, // limit each IP to 20 login attempts per windowMs
+        message: 'Too many login attempts, please try again later.'
+    });
+
+    const adminProfile = (admin) => ({
+        id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        twoFactorEnabled: admin.totpEnabled
+    });
+
+    // Counts a failed attempt and locks the account once MAX_FAILED_LOGINS is reached
+    const recordFailedLogin = async (admin) => {
+        admin.failedLoginAttempts += 1;
+        if (admin.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+            admin.lockUntil = new Date(clock().getTime() + LOGIN_LOCK_MS);
+            admin.failedLoginAttempts = 0;
+        }
+        await admin.save();
+    };
+
+    const auditLogin = (req, admin, username, failure) => audit.record(req, {
+        action: failure ? 'auth.login_failed' : 'auth.login',
+        model: 'Admin',
+        targetId: admin && admin._id,
+        actor: admin ? { id: admin._id, username: admin.username, role: admin.role } : { username },
+        metadata: failure ? { reason: failure } : undefined
+    });
+
+    app.post('/api/admin/login', loginLimiter, validate(schemas.auth.login), async (req, res) => {
+        try {
+            const { username, password, totp } = req.body;
+            
+            const admin = await Admin.findOne({ username });
+            if (!admin) {
+                await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+                await auditLogin(req, null, username, 'unknown_user');
+                return res.status(401).json({ message: 'Invalid credentials' });
+            }
+            
+            if (admin.lockUntil && admin.lockUntil > clock()) {
+                await auditLogin(req, admin, username, 'locked');
+                return res.status(423).json({ 
+                    message: 'Account temporarily locked after too many failed logins. Please try again later.',
+                    lockedUntil: admin.lockUntil
+                });
+            }
+            
+            const isValidPassword = await admin.comparePassword(password);
+            if (!isValidPassword) {
+                await recordFailedLogin(admin);
+                await auditLogin(req, admin, username, 'invalid_password');
+                return res.status(401).json({ message: 'Invalid credentials' });
+            }
+            
+            if (admin.totpEnabled) {
+                if (!totp) {
+                    return res.status(401).json({ message: 'Two-factor code required', twoFactorRequired: true });
+                }
+                
+                // Each code can only be used once
+                const step = verifyCode(admin.totpSecret, totp);
+                if (step === null || step <= (admin.totpLastStep || 0)) {
+                    await recordFailedLogin(admin);
+                    await auditLogin(req, admin, username, 'invalid_totp');
+                    return res.status(401).json({ message: 'Invalid two-factor code', twoFactorRequired: true });
+                }
+                admin.totpLastStep = step;
+            }
+            
+            admin.failedLoginAttempts = 0;
+            admin.lockUntil = undefined;
+            admin.lastLogin = clock();
+            await admin.save();
+            
+            const tokens = await auth.issueTokens(admin, req);
+            await auditLogin(req, admin, username);
+            
+            res.json({
+                message: 'Login successful',
+                ...tokens,
+                user: adminProfile(admin)
+            });
+            
+        } catch (error) {
+            req.log.error('Admin login error', { error });
+            res.status(500).json({ message: 'Login failed' });
+        }
+    });
+
+    // Exchanges a refresh token for a new access/refresh token pair
+    app.post('/api/admin/token/refresh', loginLimiter, validate(schemas.auth.refresh), async (req, res) => {
+        try {
+            const { admin, tokens } = await auth.rotateRefreshToken(req.body.refreshToken, req);
+            
+            res.json({ ...tokens, user: adminProfile(admin) });
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return res.status(error.status).json({ message: error.message });
+            }
+            req.log.error('Token refresh error', { error });
+            res.status(500).json({ message: 'Failed to refresh token' });
+        }
+    });
+
+    app.post('/api/admin/logout', validate(schemas.auth.logout), async (req, res) => {
+        try {
+            await auth.revokeRefreshToken(req.body.refreshToken);
+            res.json({ message: 'Logged out successfully' });
+        } catch (error) {
+            req.log.error('Logout error', { error });
+            res.status(500).json({ message: 'Logout failed' });
+        }
+    });
+
+    // Own Account
+    app.get('/api/admin/me', authenticateToken, validate(schemas.account.me), async (req, res) => {
+        try {
+            const admin = await Admin.findById(req.user.userId);
+            
+            if (!admin) {
+                return res.status(404).json({ message: 'Account not found' });
+            }
+            
+            res.json(adminProfile(admin));
+        } catch (error) {
+            req.log.error('Account fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch account' });
+        }
+    });
+
+    // Changing the password signs out every other session
+    app.patch('/api/admin/me/password', authenticateToken, validate(schemas.account.changePassword), async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+            const admin = await Admin.findById(req.user.userId);
+            
+            if (!admin) {
+                return res.status(404).json({ message: 'Account not found' });
+            }
+            if (!(await admin.comparePassword(currentPassword))) {
+                return res.status(400).json({ message: 'Current password is incorrect' });
+            }
+            
+            admin.password = newPassword;
+            await admin.save();
+            await auth.revokeAllSessions(admin._id);
+            await audit.record(req, { action: 'admin.password_change', model: 'Admin', targetId: admin._id });
+            
+            const tokens = await auth.issueTokens(admin, req);
+            res.json({ message: 'Password changed successfully', ...tokens });
+        } catch (error) {
+            req.log.error('Password change error', { error });
+            res.status(500).json({ message: 'Failed to change password' });
+        }
+    });
+
+    app.get('/api/admin/me/sessions', authenticateToken, validate(schemas.account.sessions), async (req, res) => {
+        try {
+            const sessions = await auth.listSessions(req.user.userId);
+            res.json(sessions);
+        } catch (error) {
+            req.log.error('Sessions fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch sessions' });
+        }
+    });
+
+    app.delete('/api/admin/me/sessions/:family', authenticateToken, validate(schemas.account.revokeSession), async (req, res) => {
+        try {
+            const result = await RefreshToken.updateMany(
+                { admin: req.user.userId, family: req.params.family, revokedAt: null },
+                { $set: { revokedAt: clock() } }
+            );
+            
+            if (!result.modifiedCount) {
+                return res.status(404).json({ message: 'Session not found' });
+            }
+            
+            await audit.record(req, { action: 'admin.session_revoke', model: 'Admin', targetId: req.user.userId, metadata: { family: req.params.family } });
+            res.json({ message: 'Session revoked successfully' });
+        } catch (error) {
+            req.log.error('Session revoke error', { error });
+            res.status(500).json({ message: 'Failed to revoke session' });
+        }
+    });
+
+    // Two-Factor Authentication (TOTP)
+    app.post('/api/admin/me/2fa/setup', authenticateToken, validate(schemas.account.twoFactorSetup), async (req, res) => {
+        try {
+            const admin = await Admin.findById(req.user.userId);
+            
+            if (!admin) {
+                return res.status(404).json({ message: 'Account not found' });
+            }
+            if (admin.totpEnabled) {
+                return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+            }
+            
+            admin.totpPendingSecret = generateSecret();
+            await admin.save();
+            await audit.record(req, { action: 'admin.2fa_setup', model: 'Admin', targetId: admin._id });
+            
+            res.json({
+                secret: admin.totpPendingSecret,
+                otpauthUrl: otpauthUrl({ secret: admin.totpPendingSecret, account: admin.username, issuer: 'Sujal Javeri Portfolio' })
+            });
+        } catch (error) {
+            req.log.error('2FA setup error', { error });
+            res.status(500).json({ message: 'Failed to set up two-factor authentication' });
+        }
+    });
+
+    app.post('/api/admin/me/2fa/enable', authenticateToken, validate(schemas.account.twoFactorEnable), async (req, res) => {
+        try {
+            const admin = await Admin.findById(req.user.userId);
+            
+            if (!admin || !admin.totpPendingSecret) {
+                return res.status(400).json({ message: 'Start two-factor setup first' });
+            }
+            
+            const step = verifyCode(admin.totpPendingSecret, req.body.code);
+            if (step === null) {
+                return res.status(400).json({ message: 'Invalid two-factor code' });
+            }
+            
+            admin.totpSecret = admin.totpPendingSecret;
+            admin.totpPendingSecret = undefined;
+            admin.totpEnabled = true;
+            admin.totpLastStep = step;
+            await admin.save();
+            await audit.record(req, { action: 'admin.2fa_enable', model: 'Admin', targetId: admin._id });
+            
+            res.json({ message: 'Two-factor authentication enabled' });
+        } catch (error) {
+            req.log.error('2FA enable error', { error });
+            res.status(500).json({ message: 'Failed to enable two-factor authentication' });
+        }
+    });
+
+    app.post('/api/admin/me/2fa/disable', authenticateToken, validate(schemas.account.twoFactorDisable), async (req, res) => {
+        try {
+            const admin = await Admin.findById(req.user.userId);
+            
+            if (!admin || !admin.totpEnabled) {
+                return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+            }
+            // Like at login, a code that was already used (e.g. to sign in) is refused
+            const step = verifyCode(admin.totpSecret, req.body.code);
+            if (!(await admin.comparePassword(req.body.password)) || step === null || step <= (admin.totpLastStep || 0)) {
+                return res.status(400).json({ message: 'Invalid password or two-factor code' });
+            }
+            
+            admin.totpEnabled = false;
+            admin.totpSecret = undefined;
+            admin.totpLastStep = undefined;
+            await admin.save();
+            await audit.record(req, { action: 'admin.2fa_disable', model: 'Admin', targetId: admin._id });
+            
+            res.json({ message: 'Two-factor authentication disabled' });
+        } catch (error) {
+            req.log.error('2FA disable error', { error });
+            res.status(500).json({ message: 'Failed to disable two-factor authentication' });
+        }
+    });
+
+    // Admin Account Management
+    app.get('/api/admin/admins', authenticateToken, requirePermission('admins:manage'), validate(schemas.admins.list), async (req, res) => {
+        try {
+            const admins = await Admin.find().sort({ createdAt: 1 });
+            res.json(admins);
+        } catch (error) {
+            req.log.error('Admins fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch admins' });
+        }
+    });
+
+    app.post('/api/admin/admins', authenticateToken, requirePermission('admins:manage'), validate(schemas.admins.create), async (req, res) => {
+        try {
+            const { username, email, password, role } = req.body;
+            const admin = await Admin.create({ username, email, password, role });
+            await audit.record(req, { action: 'admin.create', model: 'Admin', after: admin });
+            
+            res.status(201).json({ message: 'Admin created successfully', admin });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'Username or email is already in use' });
+            }
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Admin creation error', { error });
+            res.status(500).json({ message: 'Failed to create admin' });
+        }
+    });
+
+    // Accepts email, role, password (reset) and unlock
+    app.patch('/api/admin/admins/:id', authenticateToken, requirePermission('admins:manage'), validate(schemas.admins.update), async (req, res) => {
+        try {
+            const { email, role, password, unlock } = req.body;
+            const admin = await Admin.findById(req.params.id);
+            
+            if (!admin) {
+                return res.status(404).json({ message: 'Admin not found' });
+            }
+            
+            if (role && role !== 'admin' && admin.role === 'admin' && await Admin.countDocuments({ role: 'admin' }) <= 1) {
+                return res.status(400).json({ message: 'Cannot demote the last admin' });
+            }
+            
+            const before = admin.toObject();
+            
+            if (password !== undefined) admin.password = password;
+            if (email !== undefined) admin.email = email;
+            if (role !== undefined) admin.role = role;
+            if (unlock) {
+                admin.lockUntil = undefined;
+                admin.failedLoginAttempts = 0;
+            }
+            
+            await admin.save();
+            
+            // A new password or role should not keep old sessions alive
+            if (password !== undefined || role !== undefined) await auth.revokeAllSessions(admin._id);
+            await audit.record(req, { action: 'admin.update', model: 'Admin', before, after: admin });
+            
+            res.json({ message: 'Admin updated successfully', admin });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'Email is already in use' });
+            }
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Admin update error', { error });
+            res.status(500).json({ message: 'Failed to update admin' });
+        }
+    });
+
+    app.post('/api/admin/admins/:id/revoke-sessions', authenticateToken, requirePermission('admins:manage'), validate(schemas.admins.revokeSessions), async (req, res) => {
+        try {
+            await auth.revokeAllSessions(req.params.id);
+            await audit.record(req, { action: 'admin.sessions_revoke', model: 'Admin', targetId: req.params.id });
+            
+            res.json({ message: 'Sessions revoked successfully' });
+        } catch (error) {
+            req.log.error('Session revoke error', { error });
+            res.status(500).json({ message: 'Failed to revoke sessions' });
+        }
+    });
+
+    app.delete('/api/admin/admins/:id', authenticateToken, requirePermission('admins:manage'), validate(schemas.admins.delete), async (req, res) => {
+        try {
+            if (req.params.id === String(req.user.userId)) {
+                return res.status(400).json({ message: 'You cannot delete your own account' });
+            }
+            
+            const admin = await Admin.findById(req.params.id);
+            if (!admin) {
+                return res.status(404).json({ message: 'Admin not found' });
+            }
+            if (admin.role === 'admin' && await Admin.countDocuments({ role: 'admin' }) <= 1) {
+                return res.status(400).json({ message: 'Cannot delete the last admin' });
+            }
+            
+            await admin.deleteOne();
+            await RefreshToken.deleteMany({ admin: admin._id });
+            await audit.record(req, { action: 'admin.delete', model: 'Admin', before: admin });
+            
+            res.json({ message: 'Admin deleted successfully' });
+        } catch (error) {
+            req.log.error('Admin deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete admin' });
+        }
+    });
+
+    // Contact Management
+    app.get('/api/admin/contacts', authenticateToken, requirePermission('contacts:read'), validate(schemas.contacts.list), async (req, res) => {
+        try {
+            const { status, page = 1, limit = 10 } = req.query;
+            let query = {};
+            
+            // Suspected spam stays out of the inbox unless asked for explicitly
+            if (status) query.status = status;
+            else query.status = { $ne: 'spam' };
+            
+            const contacts = await Contact.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .select('-thread.message');
+                
+            const total = await Contact.countDocuments(query);
+            
+            res.json({
+                contacts: contacts.map(contact => ({
+                    ...contact.toObject(),
+                    threadLength: contact.thread.length,
+                    lastActivityAt: contact.lastActivityAt || contact.createdAt
+                })),
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalContacts: total
+            });
+        } catch (error) {
+            req.log.error('Contacts fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch contacts' });
+        }
+    });
+
+    app.patch('/api/admin/contacts/:id', authenticateToken, requirePermission('contacts:write'), validate(schemas.contacts.update), async (req, res) => {
+        try {
+            const { status } = req.body;
+            const contact = await Contact.findById(req.params.id);
+            
+            if (!contact) {
+                return res.status(404).json({ message: 'Contact not found' });
+            }
+            
+            const before = contact.toObject();
+            contact.status = status;
+            if (status === 'read') contact.readAt = clock();
+            contact.lastActivityAt = clock();
+            await contact.save();
+            if (before.status !== status) {
+                await notifyWebhooks('contact.status_changed', { ...contactEventData(contact), previousStatus: before.status });
+            }
+            await audit.record(req, { action: 'contact.update', model: 'Contact', before, after: contact });
+            
+            res.json({ message: 'Contact updated successfully', contact });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Contact update error', { error });
+            res.status(500).json({ message: 'Failed to update contact' });
+        }
+    });
+
+    app.get('/api/admin/contacts/:id', authenticateToken, requirePermission('contacts:read'), validate(schemas.contacts.get), async (req, res) => {
+        try {
+            const contact = await Contact.findById(req.params.id)
+                .populate('thread.outbox', 'status attempts lastError sentAt');
+            
+            if (!contact) {
+                return res.status(404).json({ message: 'Contact not found' });
+            }
+            
+            res.json(contact);
+        } catch (error) {
+            req.log.error('Contact fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch contact' });
+        }
+    });
+
+    // Emails a reply to the sender and appends it to the contact's thread.
+    // The body comes from `message` or a saved snippet (`snippetId`); either may use
+    // {{ name }}, {{ email }} and {{ subject }} placeholders.
+    app.post('/api/admin/contacts/:id/reply', authenticateToken, requirePermission('contacts:write'), validate(schemas.contacts.reply), async (req, res) => {
+        try {
+            const contact = await Contact.findById(req.params.id);
+            
+            if (!contact) {
+                return res.status(404).json({ message: 'Contact not found' });
+            }
+            
+            let snippet = null;
+            if (req.body.snippetId) {
+                snippet = await ReplySnippet.findById(req.body.snippetId);
+                if (!snippet) {
+                    return res.status(404).json({ message: 'Reply snippet not found' });
+                }
+            }
+            
+            const placeholders = { name: contact.name, email: contact.email, subject: contact.subject };
+            const message = fillPlaceholders(req.body.message || (snippet && snippet.body) || '', placeholders).trim();
+            const subject = fillPlaceholders(
+                req.body.subject || (snippet && snippet.subject) || `Re: ${contact.subject}`,
+                placeholders
+            ).trim();
+            
+            if (!message) {
+                return res.status(400).json({ message: 'Reply message is required' });
+            }
+            
+            const outbox = await mailer.send({
+                template: 'contact-reply',
+                data: { name: contact.name, message, originalMessage: contact.message, originalDate: contact.createdAt.toLocaleString() },
+                to: contact.email,
+                replyTo: CONTACT_NOTIFY_EMAIL,
+                subject
+            });
+            
+            const now = clock();
+            const previousStatus = contact.status;
+            contact.thread.push({ subject, message, sentBy: req.user.username, outbox: outbox._id, sentAt: now });
+            contact.status = 'replied';
+            contact.readAt = contact.readAt || now;
+            contact.repliedAt = now;
+            contact.lastActivityAt = now;
+            await contact.save();
+            if (previousStatus !== 'replied') {
+                await notifyWebhooks('contact.status_changed', { ...contactEventData(contact), previousStatus });
+            }
+            await audit.record(req, {
+                action: 'contact.reply',
+                model: 'Contact',
+                targetId: contact._id,
+                metadata: { subject, snippetId: snippet && snippet._id, outboxId: outbox._id }
+            });
+            
+            res.status(201).json({ message: 'Reply sent successfully', contact });
+        } catch (error) {
+            req.log.error('Contact reply error', { error });
+            res.status(500).json({ message: 'Failed to send reply' });
+        }
+    });
+
+    // Reply Snippets
+    app.get('/api/admin/reply-snippets', authenticateToken, requirePermission('contacts:read'), validate(schemas.replySnippets.list), async (req, res) => {
+        try {
+            const snippets = await ReplySnippet.find().sort({ name: 1 });
+            res.json(snippets);
+        } catch (error) {
+            req.log.error('Reply snippets fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch reply snippets' });
+        }
+    });
+
+    app.post('/api/admin/reply-snippets', authenticateToken, requirePermission('contacts:write'), validate(schemas.replySnippets.create), async (req, res) => {
+        try {
+            const { name, subject, body } = req.body;
+            
+            if (!name || !body) {
+                return res.status(400).json({ message: 'Name and body are required' });
+            }
+            
+            const snippet = await ReplySnippet.create({ name, subject, body, createdBy: req.user.username });
+            await audit.record(req, { action: 'reply_snippet.create', model: 'ReplySnippet', after: snippet });
+            
+            res.status(201).json({ message: 'Reply snippet created successfully', snippet });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'A reply snippet with this name already exists' });
+            }
+            req.log.error('Reply snippet creation error', { error });
+            res.status(500).json({ message: 'Failed to create reply snippet' });
+        }
+    });
+
+    app.patch('/api/admin/reply-snippets/:id', authenticateToken, requirePermission('contacts:write'), validate(schemas.replySnippets.update), async (req, res) => {
+        try {
+            const update = { updatedAt: clock() };
+            ['name', 'subject', 'body'].forEach(field => {
+                if (req.body[field] !== undefined) update[field] = req.body[field];
+            });
+            
+            const before = await ReplySnippet.findById(req.params.id);
+            
+            if (!before) {
+                return res.status(404).json({ message: 'Reply snippet not found' });
+            }
+            
+            const snippet = await ReplySnippet.findByIdAndUpdate(
+                req.params.id,
+                update,
+                { new: true, runValidators: true }
+            );
+            await audit.record(req, { action: 'reply_snippet.update', model: 'ReplySnippet', before, after: snippet });
+            
+            res.json({ message: 'Reply snippet updated successfully', snippet });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'A reply snippet with this name already exists' });
+            }
+            req.log.error('Reply snippet update error', { error });
+            res.status(500).json({ message: 'Failed to update reply snippet' });
+        }
+    });
+
+    app.delete('/api/admin/reply-snippets/:id', authenticateToken, requirePermission('contacts:write'), validate(schemas.replySnippets.delete), async (req, res) => {
+        try {
+            const snippet = await ReplySnippet.findByIdAndDelete(req.params.id);
+            
+            if (!snippet) {
+                return res.status(404).json({ message: 'Reply snippet not found' });
+            }
+            
+            await audit.record(req, { action: 'reply_snippet.delete', model: 'ReplySnippet', before: snippet });
+            res.json({ message: 'Reply snippet deleted successfully' });
+        } catch (error) {
+            req.log.error('Reply snippet deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete reply snippet' });
+        }
+    });
+
+    // Booking Management
+    // Filters: status, from/to (start of the call)
+    app.get('/api/admin/bookings', authenticateToken, requirePermission('bookings:read'), validate(schemas.bookings.list), async (req, res) => {
+        try {
+            const { status, from, to, page = 1, limit = 20 } = req.query;
+            const query = {};
+            
+            if (status) query.status = status;
+            if (from || to) {
+                query.start = {};
+                if (from) query.start.$gte = from;
+                if (to) query.start.$lt = to;
+            }
+            
+            const [list, total] = await Promise.all([
+                Booking.find(query)
+                    .sort({ start: 1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .populate('contact', 'subject status'),
+                Booking.countDocuments(query)
+            ]);
+            
+            res.json({
+                bookings: list,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalBookings: total
+            });
+        } catch (error) {
+            req.log.error('Bookings fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch bookings' });
+        }
+    });
+
+    app.get('/api/admin/bookings/availability', authenticateToken, requirePermission('bookings:read'), validate(schemas.bookings.availability), async (req, res) => {
+        try {
+            res.json(await bookings.getAvailability());
+        } catch (error) {
+            req.log.error('Availability fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch availability' });
+        }
+    });
+
+    app.put('/api/admin/bookings/availability', authenticateToken, requirePermission('bookings:write'), validate(schemas.bookings.updateAvailability), async (req, res) => {
+        try {
+            const before = await Availability.findOne();
+            const availability = await bookings.updateAvailability(req.body, req.user.username);
+            await audit.record(req, { action: 'availability.update', model: 'Availability', before, after: availability });
+            
+            res.json({ message: 'Availability updated successfully', availability });
+        } catch (error) {
+            req.log.error('Availability update error', { error });
+            res.status(500).json({ message: 'Failed to update availability' });
+        }
+    });
+
+    // The visitor gets a cancellation that removes the call from their calendar
+    app.post('/api/admin/bookings/:id/cancel', authenticateToken, requirePermission('bookings:write'), validate(schemas.bookings.cancel), async (req, res) => {
+        try {
+            const { reason, notify } = req.body;
+            const before = await Booking.findById(req.params.id);
+            
+            if (!before) {
+                return res.status(404).json({ message: 'Booking not found' });
+            }
+            
+            const booking = await bookings.cancel(before._id, { cancelledBy: req.user.username, reason });
+            if (!booking) {
+                return res.status(409).json({ message: 'Booking is already cancelled' });
+            }
+            
+            if (notify) {
+                const availability = await bookings.getAvailability();
+                await mailer.send({
+                    template: 'booking-cancellation',
+                    ...bookingMail(booking, availability, booking.timezone || availability.timezone),
+                    to: booking.email,
+                    replyTo: CONTACT_NOTIFY_EMAIL,
+                    subject: 'Your call with Sujal Javeri is cancelled'
+                });
+            }
+            await audit.record(req, {
+                action: 'booking.cancel',
+                model: 'Booking',
+                before,
+                after: booking,
+                metadata: { notified: notify }
+            });
+            
+            res.json({ message: 'Booking cancelled successfully', booking });
+        } catch (error) {
+            req.log.error('Booking cancellation error', { error });
+            res.status(500).json({ message: 'Failed to cancel booking' });
+        }
+    });
+
+    // Comment Moderation
+    // Defaults to the pending queue; ?status=all lists everything
+    app.get('/api/admin/comments', authenticateToken, requirePermission('comments:read'), validate(schemas.moderation.list), async (req, res) => {
+        try {
+            const { status = 'pending', blog, page = 1, limit = 20 } = req.query;
+            let query = {};
+            
+            if (status !== 'all') query.status = status;
+            if (blog) query.blog = blog;
+            
+            const comments = await Comment.find(query)
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .populate('blog', 'title slug')
+                .populate('parent', 'name content');
+                
+            const total = await Comment.countDocuments(query);
+            
+            res.json({
+                comments,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalComments: total
+            });
+        } catch (error) {
+            req.log.error('Comments fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch comments' });
+        }
+    });
+
+    // Sets the status of several comments at once: { ids, status }
+    app.post('/api/admin/comments/moderate', authenticateToken, requirePermission('comments:write'), validate(schemas.moderation.moderate), async (req, res) => {
+        try {
+            const { ids, status } = req.body;
+            
+            const result = await Comment.updateMany(
+                { _id: { $in: ids } },
+                { $set: { status, moderatedBy: req.user.username, moderatedAt: clock() } }
+            );
+            await audit.record(req, { action: 'comment.moderate', model: 'Comment', metadata: { ids, status } });
+            
+            res.json({ message: 'Comments updated successfully', updated: result.modifiedCount });
+        } catch (error) {
+            req.log.error('Comment moderation error', { error });
+            res.status(500).json({ message: 'Failed to update comments' });
+        }
+    });
+
+    app.patch('/api/admin/comments/:id', authenticateToken, requirePermission('comments:write'), validate(schemas.moderation.update), async (req, res) => {
+        try {
+            const { status } = req.body;
+            const comment = await Comment.findById(req.params.id);
+            
+            if (!comment) {
+                return res.status(404).json({ message: 'Comment not found' });
+            }
+            
+            const before = comment.toObject();
+            comment.status = status;
+            comment.moderatedBy = req.user.username;
+            comment.moderatedAt = clock();
+            await comment.save();
+            await audit.record(req, { action: 'comment.moderate', model: 'Comment', before, after: comment });
+            
+            res.json({ message: 'Comment updated successfully', comment });
+        } catch (error) {
+            req.log.error('Comment update error', { error });
+            res.status(500).json({ message: 'Failed to update comment' });
+        }
+    });
+
+    // Deletes a comment together with all of its replies
+    app.delete('/api/admin/comments/:id', authenticateToken, requirePermission('comments:delete'), validate(schemas.moderation.delete), async (req, res) => {
+        try {
+            const comment = await Comment.findById(req.params.id);
+            
+            if (!comment) {
+                return res.status(404).json({ message: 'Comment not found' });
+            }
+            
+            const ids = [comment._id];
+            let level = [comment._id];
+            while (level.length) {
+                const replies = await Comment.find({ parent: { $in: level } }).select('_id');
+                level = replies.map(reply => reply._id);
+                ids.push(...level);
+            }
+            
+            await Comment.deleteMany({ _id: { $in: ids } });
+            await audit.record(req, { action: 'comment.delete', model: 'Comment', before: comment, metadata: { deleted: ids.length } });
+            
+            res.json({ message: 'Comment deleted successfully', deleted: ids.length });
+        } catch (error) {
+            req.log.error('Comment deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete comment' });
+        }
+    });
+
+    // Blog Management
+    app.get('/api/admin/blog', authenticateToken, requirePermission('blog:read'), validate(schemas.blogAdmin.list), async (req, res) => {
+        try {
+            const { status, page = 1, limit = 10 } = req.query;
+            let query = {};
+            const now = clock();
+            
+            if (status === 'draft') query.published = false;
+            if (status === 'scheduled') query = { published: true, publishedAt: { $gt: now } };
+            if (status === 'published') query = liveBlogQuery(now);
+            
+            const blogs = await Blog.find(query)
+                .sort({ updatedAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .select('-content');
+                
+            const total = await Blog.countDocuments(query);
+            
+            res.json({
+                blogs,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalBlogs: total
+            });
+        } catch (error) {
+            req.log.error('Admin blog fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch blog posts' });
+        }
+    });
+
+    app.get('/api/admin/blog/:id', authenticateToken, requirePermission('blog:read'), validate(schemas.blogAdmin.get), async (req, res) => {
+        try {
+            const blog = await Blog.findById(req.params.id);
+            
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            res.json(blog);
+        } catch (error) {
+            req.log.error('Admin blog fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch blog post' });
+        }
+    });
+
+    app.post('/api/admin/blog', authenticateToken, requirePermission('blog:write'), validate(schemas.blogAdmin.create), async (req, res) => {
+        try {
+            const blog = new Blog();
+            await applyBlogInput(blog, readBlogInput(req.body));
+            blog.createdAt = blog.updatedAt;
+            await blog.save();
+            await saveBlogRevision(blog, req, 'Created');
+            feeds.invalidate();
+            await announcePost(blog, false);
+            await audit.record(req, { action: 'blog.create', model: 'Blog', after: blog });
+            
+            res.status(201).json({ message: 'Blog post created successfully', blog });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'A blog post with this slug already exists' });
+            }
+            req.log.error('Blog creation error', { error });
+            res.status(500).json({ message: 'Failed to create blog post' });
+        }
+    });
+
+    // PUT and PATCH differ only in their schemas (PUT resets omitted optional fields)
+    const updateBlog = async (req, res) => {
+        try {
+            const blog = await Blog.findById(req.params.id);
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            const before = blog.toObject();
+            await applyBlogInput(blog, readBlogInput(req.body));
+            await blog.save();
+            await saveBlogRevision(blog, req, req.body.revisionNote);
+            invalidateRendered(blog._id);
+            feeds.invalidate();
+            await announcePost(blog, before.published);
+            await audit.record(req, { action: 'blog.update', model: 'Blog', before, after: blog });
+            
+            res.json({ message: 'Blog post updated successfully', blog });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'A blog post with this slug already exists' });
+            }
+            req.log.error('Blog update error', { error });
+            res.status(500).json({ message: 'Failed to update blog post' });
+        }
+    };
+
+    app.put('/api/admin/blog/:id', authenticateToken, requirePermission('blog:write'), validate(schemas.blogAdmin.replace), updateBlog);
+    app.patch('/api/admin/blog/:id', authenticateToken, requirePermission('blog:write'), validate(schemas.blogAdmin.update), updateBlog);
+
+    app.delete('/api/admin/blog/:id', authenticateToken, requirePermission('blog:delete'), validate(schemas.blogAdmin.delete), async (req, res) => {
+        try {
+            const blog = await Blog.findByIdAndDelete(req.params.id);
+            
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            await BlogRevision.deleteMany({ blog: blog._id });
+            await Comment.deleteMany({ blog: blog._id });
+            await BlogLike.deleteMany({ blog: blog._id });
+            invalidateRendered(blog._id);
+            feeds.invalidate();
+            await syncPostWebhooks(blog, { deleted: true });
+            await audit.record(req, { action: 'blog.delete', model: 'Blog', before: blog });
+            
+            res.json({ message: 'Blog post deleted successfully' });
+        } catch (error) {
+            req.log.error('Blog deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete blog post' });
+        }
+    });
+
+    // Blog Revisions
+    app.get('/api/admin/blog/:id/revisions', authenticateToken, requirePermission('blog:read'), validate(schemas.blogAdmin.revisions), async (req, res) => {
+        try {
+            const revisions = await BlogRevision.find({ blog: req.params.id })
+                .sort({ version: -1 })
+                .select('version title slug published publishedAt editedBy note createdAt');
+            
+            res.json(revisions);
+        } catch (error) {
+            req.log.error('Blog revisions fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch revisions' });
+        }
+    });
+
+    app.get('/api/admin/blog/:id/revisions/:version', authenticateToken, requirePermission('blog:read'), validate(schemas.blogAdmin.revision), async (req, res) => {
+        try {
+            const revision = await BlogRevision.findOne({ blog: req.params.id, version: req.params.version });
+            
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+            
+            res.json(revision);
+        } catch (error) {
+            req.log.error('Blog revision fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch revision' });
+        }
+    });
+
+    // Diffs a revision against another revision (?against=<version>) or the current post
+    app.get('/api/admin/blog/:id/revisions/:version/diff', authenticateToken, requirePermission('blog:read'), validate(schemas.blogAdmin.diff), async (req, res) => {
+        try {
+            const { against } = req.query;
+            const revision = await BlogRevision.findOne({ blog: req.params.id, version: req.params.version });
+            
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+            
+            const target = against
+                ? await BlogRevision.findOne({ blog: req.params.id, version: against })
+                : await Blog.findById(req.params.id);
+            
+            if (!target) {
+                return res.status(404).json({ message: against ? 'Revision not found' : 'Blog post not found' });
+            }
+            
+            res.json({
+                from: revision.version,
+                to: against ? target.version : 'current',
+                changes: diffBlogSnapshots(snapshotBlog(revision), snapshotBlog(target))
+            });
+        } catch (error) {
+            req.log.error('Blog revision diff error', { error });
+            res.status(500).json({ message: 'Failed to diff revisions' });
+        }
+    });
+
+    app.post('/api/admin/blog/:id/revisions/:version/restore', authenticateToken, requirePermission('blog:write'), validate(schemas.blogAdmin.restore), async (req, res) => {
+        try {
+            const blog = await Blog.findById(req.params.id);
+            if (!blog) {
+                return res.status(404).json({ message: 'Blog post not found' });
+            }
+            
+            const revision = await BlogRevision.findOne({ blog: blog._id, version: req.params.version });
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+            
+            const before = blog.toObject();
+            const input = snapshotBlog(revision);
+            input.tags = [...(revision.tags || [])];
+            await applyBlogInput(blog, input);
+            await blog.save();
+            await saveBlogRevision(blog, req, `Restored from version ${revision.version}`);
+            invalidateRendered(blog._id);
+            feeds.invalidate();
+            await announcePost(blog, before.published);
+            await audit.record(req, { action: 'blog.restore', model: 'Blog', before, after: blog, metadata: { version: revision.version } });
+            
+            res.json({ message: 'Blog post restored successfully', blog });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'A blog post with this slug already exists' });
+            }
+            req.log.error('Blog restore error', { error });
+            res.status(500).json({ message: 'Failed to restore blog post' });
+        }
+    });
+
+    // Media Library
+    // Filters: tag, q (file name or alt text)
+    app.get('/api/admin/media', authenticateToken, requirePermission('media:read'), validate(schemas.media.list), async (req, res) => {
+        try {
+            const { tag, q, page = 1, limit = 20 } = req.query;
+            let query = {};
+            
+            if (tag) query.tags = tag.toLowerCase();
+            if (q) {
+                const pattern = new RegExp(escapeRegex(q), 'i');
+                query.$or = [{ fileName: pattern }, { alt: pattern }];
+            }
+            
+            const media = await Media.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit);
+            
+            const total = await Media.countDocuments(query);
+            
+            res.json({
+                media,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalMedia: total
+            });
+        } catch (error) {
+            req.log.error('Media fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch media' });
+        }
+    });
+
+    // Assets and stray files that nothing references (what a sweep would delete)
+    app.get('/api/admin/media/orphans', authenticateToken, requirePermission('media:read'), validate(schemas.media.orphans), async (req, res) => {
+        try {
+            const orphans = await mediaLibrary.findOrphans();
+            res.json(orphans);
+        } catch (error) {
+            req.log.error('Media orphans error', { error });
+            res.status(500).json({ message: 'Failed to find orphaned media' });
+        }
+    });
+
+    app.post('/api/admin/media/sweep', authenticateToken, requirePermission('media:delete'), validate(schemas.media.sweep), async (req, res) => {
+        try {
+            const { dryRun } = req.body;
+            const result = await mediaLibrary.sweep({ dryRun });
+            
+            if (!dryRun) {
+                await audit.record(req, {
+                    action: 'media.sweep',
+                    model: 'Media',
+                    metadata: { media: result.media.map(item => item.url), files: result.files.map(file => file.key) }
+                });
+            }
+            
+            res.json({
+                message: dryRun ? 'Dry run: nothing was deleted' : 'Orphaned media deleted',
+                ...result
+            });
+        } catch (error) {
+            req.log.error('Media sweep error', { error });
+            res.status(500).json({ message: 'Failed to sweep media' });
+        }
+    });
+
+    app.get('/api/admin/media/:id', authenticateToken, requirePermission('media:read'), validate(schemas.media.get), async (req, res) => {
+        try {
+            const media = await Media.findById(req.params.id);
+            
+            if (!media) {
+                return res.status(404).json({ message: 'Media not found' });
+            }
+            
+            res.json({ ...media.toJSON(), inUse: await mediaLibrary.isInUse(media) });
+        } catch (error) {
+            req.log.error('Media fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch media' });
+        }
+    });
+
+    app.post('/api/admin/media', authenticateToken, requirePermission('media:write'), upload.single('file'), validate(schemas.media.upload), async (req, res) => {
+        try {
+            const media = await storeUpload(req, { alt: req.body.alt, tags: req.body.tags });
+            await audit.record(req, { action: 'media.upload', model: 'Media', after: media });
+            
+            res.status(201).json({ message: 'Media uploaded successfully', media });
+        } catch (error) {
+            if (error instanceof MediaError) {
+                return res.status(error.status).json({ message: error.message });
+            }
+            req.log.error('Media upload error', { error });
+            res.status(500).json({ message: 'Failed to upload media' });
+        }
+    });
+
+    // Accepts alt and tags (replaces the list)
+    app.patch('/api/admin/media/:id', authenticateToken, requirePermission('media:write'), validate(schemas.media.update), async (req, res) => {
+        try {
+            const media = await Media.findById(req.params.id);
+            
+            if (!media) {
+                return res.status(404).json({ message: 'Media not found' });
+            }
+            
+            const before = media.toObject();
+            if (req.body.alt !== undefined) media.alt = req.body.alt;
+            if (req.body.tags !== undefined) media.tags = [...new Set(req.body.tags.map(tag => tag.toLowerCase()))];
+            media.updatedAt = clock();
+            
+            await media.save();
+            await audit.record(req, { action: 'media.update', model: 'Media', before, after: media });
+            
+            res.json({ message: 'Media updated successfully', media });
+        } catch (error) {
+            req.log.error('Media update error', { error });
+            res.status(500).json({ message: 'Failed to update media' });
+        }
+    });
+
+    // Refuses to delete an asset that is still in use unless ?force=true
+    app.delete('/api/admin/media/:id', authenticateToken, requirePermission('media:delete'), validate(schemas.media.delete), async (req, res) => {
+        try {
+            const media = await Media.findById(req.params.id);
+            
+            if (!media) {
+                return res.status(404).json({ message: 'Media not found' });
+            }
+            
+            if (!req.query.force && await mediaLibrary.isInUse(media)) {
+                return res.status(409).json({ message: 'This media is still used by a project or blog post' });
+            }
+            
+            await mediaLibrary.remove(media);
+            await audit.record(req, { action: 'media.delete', model: 'Media', before: media });
+            
+            res.json({ message: 'Media deleted successfully' });
+        } catch (error) {
+            req.log.error('Media deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete media' });
+        }
+    });
+
+    // Newsletter Management
+    // Filters: status (pending|confirmed|unsubscribed), q (part of the email)
+    const subscriberQuery = ({ status, q }) => {
+        const query = {};
+        if (status) query.status = status;
+        if (q) query.email = new RegExp(escapeRegex(q), 'i');
+        return query;
+    };
+
+    app.get('/api/admin/subscribers', authenticateToken, requirePermission('newsletter:read'), validate(schemas.newsletterAdmin.subscribers), async (req, res) => {
+        try {
+            const { page = 1, limit = 20 } = req.query;
+            const query = subscriberQuery(req.query);
+            
+            const subscribers = await Subscriber.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit);
+            
+            const total = await Subscriber.countDocuments(query);
+            
+            res.json({
+                subscribers,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalSubscribers: total
+            });
+        } catch (error) {
+            req.log.error('Subscribers fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch subscribers' });
+        }
+    });
+
+    // Same filters as the list, as CSV (default) or JSON with ?format=json
+    app.get('/api/admin/subscribers/export', authenticateToken, requirePermission('newsletter:read'), validate(schemas.newsletterAdmin.exportSubscribers), async (req, res) => {
+        try {
+            const subscribers = await Subscriber.find(subscriberQuery(req.query))
+                .sort({ createdAt: 1 })
+                .select('email status source createdAt confirmedAt unsubscribedAt')
+                .lean();
+            const rows = subscribers.map(({ _id, ...subscriber }) => ({ id: String(_id), ...subscriber }));
+            
+            await audit.record(req, { action: 'subscriber.export', model: 'Subscriber', metadata: { count: rows.length } });
+            
+            if (req.query.format === 'json') {
+                return res.json({ subscribers: rows });
+            }
+            
+            res.type('text/csv');
+            res.attachment(`subscribers-${clock().toISOString().slice(0, 10)}.csv`);
+            res.send(toCsv(rows, ['id', 'email', 'status', 'source', 'createdAt', 'confirmedAt', 'unsubscribedAt']));
+        } catch (error) {
+            req.log.error('Subscribers export error', { error });
+            res.status(500).json({ message: 'Failed to export subscribers' });
+        }
+    });
+
+    // Removes the address entirely (e.g. on a data deletion request)
+    app.delete('/api/admin/subscribers/:id', authenticateToken, requirePermission('newsletter:manage'), validate(schemas.newsletterAdmin.deleteSubscriber), async (req, res) => {
+        try {
+            const subscriber = await Subscriber.findByIdAndDelete(req.params.id);
+            
+            if (!subscriber) {
+                return res.status(404).json({ message: 'Subscriber not found' });
+            }
+            
+            await audit.record(req, { action: 'subscriber.delete', model: 'Subscriber', before: subscriber });
+            res.json({ message: 'Subscriber deleted successfully' });
+        } catch (error) {
+            req.log.error('Subscriber deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete subscriber' });
+        }
+    });
+
+    app.get('/api/admin/campaigns', authenticateToken, requirePermission('newsletter:read'), validate(schemas.newsletterAdmin.campaigns), async (req, res) => {
+        try {
+            const { status, page = 1, limit = 20 } = req.query;
+            let query = {};
+            
+            if (status) query.status = status;
+            
+            const campaigns = await Campaign.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .populate('blog', 'title slug publishedAt');
+            
+            const total = await Campaign.countDocuments(query);
+            
+            res.json({
+                campaigns,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalCampaigns: total
+            });
+        } catch (error) {
+            req.log.error('Campaigns fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch campaigns' });
+        }
+    });
+
+    // Delivery report: outbox message counts by status, plus the permanent failures
+    app.get('/api/admin/campaigns/:id', authenticateToken, requirePermission('newsletter:read'), validate(schemas.newsletterAdmin.campaign), async (req, res) => {
+        try {
+            const campaign = await Campaign.findById(req.params.id).populate('blog', 'title slug publishedAt');
+            
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found' });
+            }
+            
+            const report = await newsletter.report(campaign);
+            res.json({ campaign, ...report });
+        } catch (error) {
+            req.log.error('Campaign fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch campaign' });
+        }
+    });
+
+    // Stops queueing further batches; messages already queued are still delivered
+    app.post('/api/admin/campaigns/:id/cancel', authenticateToken, requirePermission('newsletter:manage'), validate(schemas.newsletterAdmin.cancelCampaign), async (req, res) => {
+        try {
+            const campaign = await Campaign.findById(req.params.id);
+            
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found' });
+            }
+            if (!['scheduled', 'sending'].includes(campaign.status)) {
+                return res.status(409).json({ message: `Campaign is already ${campaign.status}` });
+            }
+            
+            const before = campaign.toObject();
+            campaign.status = 'cancelled';
+            await campaign.save();
+            await audit.record(req, { action: 'campaign.cancel', model: 'Campaign', before, after: campaign });
+            
+            res.json({ message: 'Campaign cancelled', campaign });
+        } catch (error) {
+            req.log.error('Campaign cancel error', { error });
+            res.status(500).json({ message: 'Failed to cancel campaign' });
+        }
+    });
+
+    // Email Outbox
+    app.get('/api/admin/outbox', authenticateToken, requirePermission('outbox:manage'), validate(schemas.outbox.list), async (req, res) => {
+        try {
+            const { status, page = 1, limit = 20 } = req.query;
+            let query = {};
+            
+            if (status) query.status = status;
+            
+            const messages = await EmailOutbox.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .select('-html -text -attachments.content');
+                
+            const total = await EmailOutbox.countDocuments(query);
+            
+            res.json({
+                messages,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalMessages: total
+            });
+        } catch (error) {
+            req.log.error('Outbox fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch outbox' });
+        }
+    });
+
+    app.post('/api/admin/outbox/:id/retry', authenticateToken, requirePermission('outbox:manage'), validate(schemas.outbox.retry), async (req, res) => {
+        try {
+            const message = await mailer.retry(req.params.id);
+            
+            if (!message) {
+                return res.status(404).json({ message: 'Message not found' });
+            }
+            
+            mailer.processOutbox().catch(error => req.log.error('Mail outbox error', { error }));
+            await audit.record(req, { action: 'outbox.retry', model: 'EmailOutbox', targetId: message._id });
+            
+            res.json({ message: 'Message queued for retry' });
+        } catch (error) {
+            req.log.error('Outbox retry error', { error });
+            res.status(500).json({ message: 'Failed to retry message' });
+        }
+    });
+
+    // Audit Log
+    // Filters: actor (username or id), model, action, targetId, from/to (ISO dates)
+    app.get('/api/admin/audit', authenticateToken, requirePermission('audit:read'), validate(schemas.audit.list), async (req, res) => {
+        try {
+            const { actor, model, action, targetId, from, to, page = 1, limit = 50 } = req.query;
+            const query = {};
+            
+            if (actor) {
+                query.$or = mongoose.isValidObjectId(actor)
+                    ? [{ 'actor.id': actor }, { 'actor.username': actor }]
+                    : [{ 'actor.username': actor }];
+            }
+            if (model) query.targetModel = model;
+            if (action) query.action = action;
+            if (targetId) query.targetId = targetId;
+            if (from || to) {
+                query.createdAt = {};
+                if (from) query.createdAt.$gte = from;
+                if (to) query.createdAt.$lte = to;
+            }
+            
+            const entries = await AuditLog.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit);
+                
+            const total = await AuditLog.countDocuments(query);
+            
+            res.json({
+                entries,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalEntries: total
+            });
+        } catch (error) {
+            req.log.error('Audit log fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch audit log' });
+        }
+    });
+
+    // Webhooks
+    app.get('/api/admin/webhooks', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.list), async (req, res) => {
+        try {
+            const list = await Webhook.find().sort({ createdAt: -1 });
+            res.json({ webhooks: list, events: WEBHOOK_EVENTS });
+        } catch (error) {
+            req.log.error('Webhooks fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch webhooks' });
+        }
+    });
+
+    app.post('/api/admin/webhooks', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.create), async (req, res) => {
+        try {
+            const { name, url, events, active, description } = req.body;
+            const webhook = await Webhook.create({
+                name,
+                url,
+                events,
+                active,
+                description,
+                secret: generateSigningSecret(),
+                createdAt: clock(),
+                updatedAt: clock()
+            });
+            await audit.record(req, { action: 'webhook.create', model: 'Webhook', after: webhook });
+            
+            res.status(201).json({ message: 'Webhook created successfully', webhook, secret: webhook.secret });
+        } catch (error) {
+            req.log.error('Webhook creation error', { error });
+            res.status(500).json({ message: 'Failed to create webhook' });
+        }
+    });
+
+    app.get('/api/admin/webhooks/:id', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.get), async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found' });
+            }
+            
+            res.json(webhook);
+        } catch (error) {
+            req.log.error('Webhook fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch webhook' });
+        }
+    });
+
+    app.patch('/api/admin/webhooks/:id', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.update), async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found' });
+            }
+            
+            const before = webhook.toObject();
+            ['name', 'url', 'events', 'active', 'description'].forEach(field => {
+                if (req.body[field] !== undefined) webhook[field] = req.body[field];
+            });
+            if (req.body.rotateSecret) webhook.secret = generateSigningSecret();
+            webhook.updatedAt = clock();
+            await webhook.save();
+            await audit.record(req, {
+                action: 'webhook.update',
+                model: 'Webhook',
+                before,
+                after: webhook,
+                metadata: req.body.rotateSecret ? { secretRotated: true } : undefined
+            });
+            
+            res.json({
+                message: 'Webhook updated successfully',
+                webhook,
+                ...(req.body.rotateSecret ? { secret: webhook.secret } : {})
+            });
+        } catch (error) {
+            req.log.error('Webhook update error', { error });
+            res.status(500).json({ message: 'Failed to update webhook' });
+        }
+    });
+
+    app.delete('/api/admin/webhooks/:id', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.delete), async (req, res) => {
+        try {
+            const webhook = await Webhook.findByIdAndDelete(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found' });
+            }
+            
+            await WebhookDelivery.deleteMany({ webhook: webhook._id });
+            await audit.record(req, { action: 'webhook.delete', model: 'Webhook', before: webhook });
+            
+            res.json({ message: 'Webhook deleted successfully' });
+        } catch (error) {
+            req.log.error('Webhook deletion error', { error });
+            res.status(500).json({ message: 'Failed to delete webhook' });
+        }
+    });
+
+    app.post('/api/admin/webhooks/:id/test', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.test), async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found' });
+            }
+            
+            const delivery = await webhooks.sendTest(webhook);
+            await audit.record(req, { action: 'webhook.test', model: 'Webhook', targetId: webhook._id, metadata: { deliveryId: delivery._id } });
+            
+            res.json({
+                message: delivery.status === 'delivered' ? 'Test delivery succeeded' : `Test delivery failed: ${delivery.lastError}`,
+                delivery
+            });
+        } catch (error) {
+            req.log.error('Webhook test error', { error });
+            res.status(500).json({ message: 'Failed to send test delivery' });
+        }
+    });
+
+    // Filters: status, event
+    app.get('/api/admin/webhooks/:id/deliveries', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.deliveries), async (req, res) => {
+        try {
+            const { status, event, page = 1, limit = 20 } = req.query;
+            const query = { webhook: req.params.id };
+            
+            if (status) query.status = status;
+            if (event) query.event = event;
+            
+            const deliveries = await WebhookDelivery.find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit);
+            
+            const total = await WebhookDelivery.countDocuments(query);
+            
+            res.json({
+                deliveries,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                totalDeliveries: total
+            });
+        } catch (error) {
+            req.log.error('Webhook deliveries fetch error', { error });
+            res.status(500).json({ message: 'Failed to fetch deliveries' });
+        }
+    });
+
+    app.post('/api/admin/webhooks/deliveries/:id/resend', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.webhooks.resend), async (req, res) => {
+        try {
+            const delivery = await webhooks.resend(req.params.id);
+            if (!delivery) {
+                return res.status(404).json({ message: 'Delivery not found' });
+            }
+            
+            await audit.record(req, {
+                action: 'webhook.resend',
+                model: 'WebhookDelivery',
+                targetId: delivery._id,
+                metadata: { resentFrom: req.params.id }
+            });
+            
+            res.status(201).json({ message: 'Delivery queued', delivery });
+        } catch (error) {
+            req.log.error('Webhook resend error', { error });
+            res.status(500).json({ message: 'Failed to resend delivery' });
+        }
+    });
+
+    // Site Export and Import
+    app.get('/api/admin/export', authenticateToken, requirePermission('backups:manage'), validate(schemas.backups.export), async (req, res) => {
+        try {
+            const bundle = await backups.exportBundle({ includeUploads: req.query.includeUploads });
+            await audit.record(req, {
+                action: 'site.export',
+                metadata: { includeUploads: req.query.includeUploads }
+            });
+            
+            res.attachment(`site-export-${clock().toISOString().slice(0, 10)}.json`);
+            res.json(bundle);
+        } catch (error) {
+            req.log.error('Site export error', { error });
+            res.status(500).json({ message: 'Failed to export the site' });
+        }
+    });
+
+    // The bundle is either the JSON body or a `bundle` file (an export or a .json.gz backup archive)
+    const receiveBundle = (req, res, next) => {
+        bundleUpload(req, res, (error) => {
+            if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: `Bundle too large. Maximum size is ${formatFileSize(config.IMPORT_MAX_SIZE)}.` });
+            }
+            next(error);
+        });
+    };
+
+    app.post('/api/admin/import', authenticateToken, requirePermission('backups:manage'), receiveBundle, validate(schemas.backups.import), async (req, res) => {
+        try {
+            const { dryRun, onConflict } = req.query;
+            const bundle = req.file ? await parseBundle(req.file.buffer) : req.body;
+            const report = await backups.importBundle(bundle, { dryRun, onConflict });
+            
+            if (!dryRun) {
+                const blogs = report.collections.blogs;
+                if (blogs) {
+                    blogs.conflicts
+                        .filter(conflict => conflict.resolution === 'overwritten')
+                        .forEach(conflict => invalidateRendered(conflict.id));
+                }
+                feeds.invalidate();
+                
+                await audit.record(req, {
+                    action: 'site.import',
+                    metadata: {
+                        onConflict,
+                        bundleCreatedAt: report.bundleCreatedAt,
+                        collections: Object.fromEntries(Object.entries(report.collections).map(([name, result]) => [
+                            name,
+                            { created: result.created, updated: result.updated, skipped: result.skipped }
+                        ]))
+                    }
+                });
+            }
+            
+            res.json({
+                message: dryRun ? 'Dry run: nothing was imported' : 'Bundle imported',
+                report
+            });
+        } catch (error) {
+            if (error instanceof BundleError) {
+                return res.status(400).json({ message: error.message });
+            }
+            req.log.error('Site import error', { error });
+            res.status(500).json({ message: 'Failed to import the bundle' });
+        }
+    });
+
+    // API Documentation
+    // Built on first request, once every route has been registered
+    let apiDocument = null;
+
+    const getApiDocument = () => {
+        if (!apiDocument) {
+            apiDocument = buildOpenApiDocument(app, {
+                info: {
+                    title: 'Sujal Javeri Portfolio API',
+                    version: '1.0.0',
+                    description: 'Public endpoints for the portfolio site, blog and newsletter, plus the admin API.'
+                },
+                servers: [{ url: API_URL }],
+                authenticate: authenticateToken,
+                optionalAuthenticate: optionalAuth
+            });
+        }
+        return apiDocument;
+    };
+
+    app.get('/api/docs/openapi.json', validate(schemas.system.openapi), (req, res) => {
+        res.json(getApiDocument());
+    });
+
+    app.get('/api/docs', validate(schemas.system.docs), (req, res) => {
+        res.type('html').send(renderDocsPage(getApiDocument(), { specUrl: '/api/docs/openapi.json' }));
+    });
+
+    // Serve uploaded files. Media file names are random and never reused, so they can be cached forever.
+    app.use('/uploads', express.static(mediaStorage.dir, { maxAge: '365d', immutable: true }));
+
+    // Error handling middleware
+    app.use((error, req, res, next) => {
+        req.log.error('Request error', { error });
+        
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({ message: `File too large. Maximum size is ${formatFileSize(config.MAX_FILE_SIZE)}.` });
+            }
+        }
+        
+        if (error instanceof MediaError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        
+        res.status(500).json({ message: 'Internal server error' });
+    });
+
+    // 404 handler
+    app.use('*', (req, res) => {
+        res.status(404).json({ message: 'Route not found' });
+    });
+
+    // Background Jobs
+    // Strip raw IPs and per-visitor page lists left by the old tracker, and let those documents expire
+    const cleanUpLegacyVisitors = () => {
+        const retentionMs = config.ANALYTICS_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        Visitor.collection.updateMany(
+            { ipAddress: { $exists: true } },
+            [
+                { $unset: ['ipAddress', 'userAgent', 'visitedPages'] },
+                { $set: { visitorHash: 'legacy', expiresAt: { $add: ['$lastVisit', retentionMs] } } }
+            ]
+        ).catch(error => logger.error('Legacy visitor cleanup error', { error }));
+    };
+
+    // Pollers are left to the entry point so tests can drive them by hand
+    app.set('jobs', {
+        start: () => {
+            if (db.readyState === 1) cleanUpLegacyVisitors();
+            else db.once('connected', cleanUpLegacyVisitors);
+            
+            mailer.start();
+            newsletter.start();
+            if (config.MEDIA_SWEEP_ENABLED) mediaLibrary.start();
+            webhooks.start();
+            if (config.BACKUP_ENABLED) backups.start();
+        },
+        stop: () => Promise.all([mailer.stop(), newsletter.stop(), mediaLibrary.stop(), webhooks.stop(), backups.stop()])
+    });
+
+    app.set('mailer', mailer);
+    app.set('newsletter', newsletter);
+    app.set('mediaLibrary', mediaLibrary);
+    app.set('webhooks', webhooks);
+    app.set('backups', backups);
+
+    return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,162 @@
+// Privacy-respecting visitor analytics.
+//
+// Visitors are identified by a hash of IP + user agent with a salt that rotates
+// daily and is then deleted, so raw IPs are never stored and hashes cannot be
+// linked across days. Each visit is a session (a Visitor document, closed after
+// SESSION_TIMEOUT_MS of inactivity) with one PageView document per request.
+const crypto = require('crypto');
+const fs = require('fs');
+const UAParser = require('ua-parser-js');
+
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+const parseUserAgent = (userAgent) => {
+    const result = new UAParser(userAgent || '').getResult();
+    const isBot = /bot|crawler|spider|crawling|headless|lighthouse/i.test(userAgent || '');
+
+    return {
+        device: isBot ? 'bot' : (result.device.type || 'desktop'),
+        browser: result.browser.name || 'Unknown',
+        os: result.os.name || 'Unknown'
+    };
+};
+
+// Offline GeoIP from a MaxMind/DB-IP .mmdb file. Resolves to a lookup function that
+// returns {} when no database is configured or the file is missing.
+const openGeoLookup = async (dbPath) => {
+    if (!dbPath || !fs.existsSync(dbPath)) return () => ({});
+
+    const maxmind = require('maxmind');
+    const reader = await maxmind.open(dbPath);
+
+    return (ip) => {
+        const address = String(ip || '').replace(/^::ffff:/, '');
+        if (!maxmind.validate(address)) return {};
+
+        const record = reader.get(address) || {};
+        return {
+            country: record.country && record.country.iso_code,
+            city: record.city && record.city.names && record.city.names.en
+        };
+    };
+};
+
+// Do-Not-Track / Global Privacy Control, or an explicit consent choice via the
+// `analytics_consent` cookie or `X-Analytics-Consent` header ("granted"/"denied").
+const hasTrackingConsent = (req, { requireConsent = false } = {}) => {
+    if (req.get('DNT') === '1' || req.get('Sec-GPC') === '1') return false;
+
+    const cookie = /(?:^|;\s*)analytics_consent=(\w+)/.exec(req.get('Cookie') || '');
+    const consent = req.get('X-Analytics-Consent') || (cookie && cookie[1]);
+
+    if (consent === 'denied') return false;
+    if (requireConsent) return consent === 'granted';
+    return true;
+};
+
+// Stable pseudonymous id for one browser on one network, for limits such as "one
+// like per visitor". Keyed with a server secret so it can't be derived from an IP.
+const visitorFingerprint = (req, secret) => {
+    const ip = req.ip || (req.socket && req.socket.remoteAddress);
+    return crypto.createHmac('sha256', secret).update(`fingerprint|${ip}|${req.get('User-Agent') || ''}`).digest('hex');
+};
+
+const createTracker = ({
+    Visitor,
+    PageView,
+    AnalyticsSalt,
+    enabled = true,
+    requireConsent = false,
+    retentionDays = 90,
+    geoLookup = () => ({}),
+    clock = () => new Date(),
+    logger = console
+}) => {
+    const salts = new Map();
+
+    // One random salt per UTC day, shared between processes through the database
+    const saltFor = async (now) => {
+        const day = dayKey(now);
+        if (salts.has(day)) return salts.get(day);
+
+        await AnalyticsSalt.updateOne(
+            { day },
+            {
+                $setOnInsert: {
+                    day,
+                    salt: crypto.randomBytes(32).toString('hex'),
+                    expiresAt: new Date(now.getTime() + 2 * DAY_MS)
+                }
+            },
+            { upsert: true }
+        );
+        const { salt } = await AnalyticsSalt.findOne({ day }).lean();
+
+        salts.clear();
+        salts.set(day, salt);
+        return salt;
+    };
+
+    const visitorHash = async (ip, userAgent, now) => {
+        const salt = await saltFor(now);
+        return crypto.createHash('sha256').update(`${salt}|${ip}|${userAgent || ''}`).digest('hex');
+    };
+
+    const record = async (req) => {
+        const now = clock();
+        const userAgent = req.get('User-Agent');
+        const ip = req.ip || (req.socket && req.socket.remoteAddress);
+        const hash = await visitorHash(ip, userAgent, now);
+        const expiresAt = new Date(now.getTime() + retentionDays * DAY_MS);
+        const path = req.originalUrl.split('?')[0];
+
+        let session = await Visitor.findOneAndUpdate(
+            { visitorHash: hash, lastVisit: { $gte: new Date(now.getTime() - SESSION_TIMEOUT_MS) } },
+            { $set: { lastVisit: now, expiresAt }, $inc: { pageViews: 1 } },
+            { sort: { lastVisit: -1 }, new: true }
+        );
+
+        if (session) {
+            session.sessionDuration = Math.round((now - session.createdAt) / 1000);
+            await session.save();
+        } else {
+            const previous = await Visitor.exists({ visitorHash: hash });
+            session = await Visitor.create({
+                visitorHash: hash,
+                referrer: req.get('Referrer'),
+                ...parseUserAgent(userAgent),
+                ...geoLookup(ip),
+                landingPage: path,
+                pageViews: 1,
+                sessionDuration: 0,
+                isReturningVisitor: Boolean(previous),
+                createdAt: now,
+                lastVisit: now,
+                expiresAt
+            });
+        }
+
+        await PageView.create({
+            session: session._id,
+            path,
+            referrer: req.get('Referrer'),
+            createdAt: now,
+            expiresAt
+        });
+    };
+
+    // Express middleware; tracking never delays or fails the request
+    const middleware = (req, res, next) => {
+        if (enabled && hasTrackingConsent(req, { requireConsent })) {
+            record(req).catch(error => logger.error('Visitor tracking error', { error }));
+        }
+        next();
+    };
+
+    return { middleware, record };
+};
+
+module.exports = { createTracker, openGeoLookup, parseUserAgent, hasTrackingConsent, visitorFingerprint };
@@ -0,0 +1,82 @@
+// Audit trail of admin actions.
+//
+// Handlers call `audit.record(req, {...})` with before/after snapshots of what they
+// changed. `audit.middleware` is a safety net: any authenticated write that finishes
+// successfully without an explicit record still gets a generic entry.
+
+const REDACTED_FIELDS = ['password', 'totpSecret', 'totpPendingSecret', 'totpLastStep', 'tokenHash', 'secret'];
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt'];
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const toPlain = (value) => {
+    if (!value) return null;
+    const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : { ...value };
+    REDACTED_FIELDS.forEach(field => {
+        if (plain[field] !== undefined) plain[field] = '[redacted]';
+    });
+    return plain;
+};
+
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+// Top-level field changes as { field: { from, to } }
+const diffSnapshots = (before, after) => {
+    const from = toPlain(before) || {};
+    const to = toPlain(after) || {};
+    const changes = {};
+
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        if (serialize(from[field]) !== serialize(to[field])) {
+            changes[field] = { from: from[field] === undefined ? null : from[field], to: to[field] === undefined ? null : to[field] };
+        }
+    });
+
+    return changes;
+};
+
+const createAuditLogger = ({ AuditLog, clock = () => new Date(), logger = console }) => {
+    // Never throws: a failed audit write is logged but doesn't fail the request
+    const record = async (req, { action, model, targetId, before, after, actor, metadata }) => {
+        req.auditRecorded = true;
+        const user = actor || req.user || {};
+
+        try {
+            await AuditLog.create({
+                actor: {
+                    id: user.userId || user.id,
+                    username: user.username,
+                    role: user.role
+                },
+                action,
+                targetModel: model,
+                targetId: targetId || (after && after._id) || (before && before._id),
+                changes: before || after ? diffSnapshots(before, after) : undefined,
+                metadata,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                createdAt: clock()
+            });
+        } catch (error) {
+            logger.error('Audit log error', { error });
+        }
+    };
+
+    const middleware = (req, res, next) => {
+        if (WRITE_METHODS.includes(req.method)) {
+            res.on('finish', () => {
+                if (req.user && !req.auditRecorded && res.statusCode < 400) {
+                    record(req, {
+                        action: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`,
+                        metadata: { params: req.params, statusCode: res.statusCode }
+                    });
+                }
+            });
+        }
+        next();
+    };
+
+    return { record, middleware };
+};
+
+module.exports = { createAuditLogger, diffSnapshots };
@@ -0,0 +1,224 @@
+// Admin authentication: short-lived JWT access tokens, rotating refresh tokens,
+// role-based permissions and first-admin bootstrapping.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 10;
+const PLACEHOLDER_PASSWORD = 'change-this-secure-password';
+
+// What each role may do. Admins can do everything.
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    moderator: [
+        'analytics:read',
+        'blog:read',
+        'comments:read',
+        'comments:write',
+        'contacts:read',
+        'contacts:write'
+    ]
+};
+
+const hasPermission = (role, permission) => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+};
+
+class AuthError extends Error {
+    constructor (message, status = 401) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password === PLACEHOLDER_PASSWORD) return 'Password must not be the example password';
+    return null;
+};
+
+// JWT_SECRET is mandatory in production; elsewhere a random per-process secret is used
+const resolveJwtSecret = (env = process.env, logger = console) => {
+    if (env.JWT_SECRET) return env.JWT_SECRET;
+    if (env.NODE_ENV === 'production') throw new Error('JWT_SECRET must be set in production');
+
+    logger.warn('JWT_SECRET is not set; using a random secret (tokens will not survive a restart)');
+    return crypto.randomBytes(32).toString('hex');
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const bearerToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1];
+};
+
+const createAuth = ({
+    Admin,
+    RefreshToken,
+    secret,
+    accessTokenTtl = '15m',
+    refreshTokenTtlDays = 30,
+    clock = () => new Date()
+}) => {
+    const authenticateToken = (req, res, next) => {
+        const token = bearerToken(req);
+
+        if (!token) {
+            return res.status(401).json({ message: 'Access token required' });
+        }
+
+        jwt.verify(token, secret, (err, user) => {
+            if (err || user.type !== 'access') {
+                return res.status(403).json({ message: 'Invalid token' });
+            }
+            req.user = user;
+            next();
+        });
+    };
+
+    // Like authenticateToken, but lets anonymous requests through with no req.user
+    const optionalAuth = (req, res, next) => {
+        const token = bearerToken(req);
+
+        if (!token) return next();
+
+        jwt.verify(token, secret, (err, user) => {
+            if (!err && user.type === 'access') req.user = user;
+            next();
+        });
+    };
+
+    // Use after authenticateToken. The permission is kept on the middleware for the API docs.
+    const requirePermission = (permission) => {
+        const middleware = (req, res, next) => {
+            if (!req.user || !hasPermission(req.user.role, permission)) {
+                return res.status(403).json({ message: 'You do not have permission to do this' });
+            }
+            next();
+        };
+        middleware.permission = permission;
+        return middleware;
+    };
+
+    const createRefreshToken = async (admin, req, family) => {
+        const token = crypto.randomBytes(48).toString('base64url');
+        const now = clock();
+
+        await RefreshToken.create({
+            admin: admin._id,
+            tokenHash: hashToken(token),
+            family: family || crypto.randomUUID(),
+            userAgent: req && req.get('User-Agent'),
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + refreshTokenTtlDays * DAY_MS)
+        });
+
+        return token;
+    };
+
+    const signAccessToken = (admin) => jwt.sign(
+        { type: 'access', userId: admin._id, username: admin.username, role: admin.role },
+        secret,
+        { expiresIn: accessTokenTtl }
+    );
+
+    const issueTokens = async (admin, req, family) => ({
+        token: signAccessToken(admin),
+        refreshToken: await createRefreshToken(admin, req, family),
+        expiresIn: accessTokenTtl
+    });
+
+    // Exchanges a refresh token for a new token pair. Presenting an already-rotated
+    // token means it was leaked, so its whole family is revoked.
+    const rotateRefreshToken = async (token, req) => {
+        const now = clock();
+        const stored = token && await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+
+        if (!stored || stored.expiresAt <= now) throw new AuthError('Invalid refresh token');
+
+        if (stored.revokedAt) {
+            await RefreshToken.updateMany(
+                { family: stored.family, revokedAt: null },
+                { $set: { revokedAt: now } }
+            );
+            throw new AuthError('Refresh token has been revoked');
+        }
+
+        const admin = await Admin.findById(stored.admin);
+        if (!admin) throw new AuthError('Invalid refresh token');
+
+        const tokens = await issueTokens(admin, req, stored.family);
+        stored.revokedAt = now;
+        stored.lastUsedAt = now;
+        stored.replacedBy = hashToken(tokens.refreshToken);
+        await stored.save();
+
+        return { admin, tokens };
+    };
+
+    const revokeRefreshToken = async (token) => {
+        const stored = token && await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+        if (!stored) return false;
+
+        await RefreshToken.updateMany(
+            { family: stored.family, revokedAt: null },
+            { $set: { revokedAt: clock() } }
+        );
+        return true;
+    };
+
+    const revokeAllSessions = (adminId) => RefreshToken.updateMany(
+        { admin: adminId, revokedAt: null },
+        { $set: { revokedAt: clock() } }
+    );
+
+    // Active sessions are the unrevoked, unexpired head of each family
+    const listSessions = (adminId) => RefreshToken.find({
+        admin: adminId,
+        revokedAt: null,
+        expiresAt: { $gt: clock() }
+    })
+        .sort({ createdAt: -1 })
+        .select('family userAgent createdAt lastUsedAt expiresAt');
+
+    return {
+        authenticateToken,
+        optionalAuth,
+        requirePermission,
+        issueTokens,
+        rotateRefreshToken,
+        revokeRefreshToken,
+        revokeAllSessions,
+        listSessions
+    };
+};
+
+// Creates the first admin from ADMIN_USERNAME/EMAIL/PASSWORD when there is none yet
+const bootstrapAdmin = async (Admin, env = process.env) => {
+    if (await Admin.exists({})) return { created: false, reason: 'An admin account already exists' };
+
+    const { ADMIN_USERNAME: username, ADMIN_EMAIL: email, ADMIN_PASSWORD: password } = env;
+    if (!username || !email || !password) {
+        throw new Error('ADMIN_USERNAME, ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) throw new Error(`ADMIN_PASSWORD: ${passwordError}`);
+
+    const admin = await Admin.create({ username, email, password, role: 'admin' });
+    return { created: true, admin };
+};
+
+module.exports = {
+    createAuth,
+    bootstrapAdmin,
+    resolveJwtSecret,
+    validatePassword,
+    hasPermission,
+    AuthError,
+    ROLE_PERMISSIONS
+};
@@ -0,0 +1,373 @@
+// Site backups and export/import.
+//
+// A bundle is one JSON document with the content collections and, optionally, every
+// uploaded file. Documents are stored as Extended JSON so ids and dates survive the
+// round trip:
+//
+//     { format, version, createdAt, collections: { projects: [...], ... }, uploads: [{ key, data }] }
+//
+// The backup job writes gzipped bundles to `dir` (backup-20250101T120000Z.json.gz) and
+// prunes the ones older than `retentionDays`. Importing reports, per document, whether
+// it would be created, left alone or skipped because of a conflict, and writes nothing
+// on a dry run. Documents are written as-is, bypassing Mongoose middleware, so
+// password hashes are not hashed a second time.
+//
+// Bundles hold credential material: admin password hashes, TOTP secrets and webhook
+// signing secrets. Archives are written readable by the server's user only (0600, in a
+// 0700 directory); keep exports just as private.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { EJSON } = require('mongoose').mongo.BSON;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BUNDLE_FORMAT = 'sujal-portfolio-bundle';
+const BUNDLE_VERSION = 1;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const INTERVALS = { hourly: HOUR_MS, daily: DAY_MS, weekly: 7 * DAY_MS };
+const ARCHIVE_NAME = /^backup-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z\.json\.gz$/;
+const GZIP_MAGIC = [0x1f, 0x8b];
+// Owner only: archives contain password hashes and secrets
+const ARCHIVE_MODE = 0o600;
+const DIR_MODE = 0o700;
+
+class BundleError extends Error {}
+
+const archiveName = (date) => `backup-${date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}.json.gz`;
+
+const archiveDate = (name) => {
+    const match = ARCHIVE_NAME.exec(name);
+    if (!match) return null;
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+// Parses an uploaded bundle: plain JSON or a gzipped backup archive
+const parseBundle = async (buffer) => {
+    try {
+        const gzipped = buffer[0] === GZIP_MAGIC[0] && buffer[1] === GZIP_MAGIC[1];
+        return JSON.parse((gzipped ? await gunzip(buffer) : buffer).toString('utf8'));
+    } catch (error) {
+        throw new BundleError('The file is not a JSON bundle or backup archive');
+    }
+};
+
+// Unique indexes (besides _id's) as { fields, filter }; a document that collides on one
+// is skipped. `filter` is a partial index's filter (plain values only): documents that
+// don't match it are not in the index and can't collide.
+const uniqueIndexes = (Model) => {
+    const indexes = new Map();
+    const add = (fields, filter = {}) => indexes.set(fields.join(','), { fields, filter });
+
+    Object.keys(Model.schema.paths)
+        .filter(name => name !== '_id' && Model.schema.path(name).options.unique)
+        .forEach(name => add([name]));
+    Model.schema.indexes().forEach(([keys, options]) => {
+        if (options.unique) add(Object.keys(keys), options.partialFilterExpression);
+    });
+    return [...indexes.values()];
+};
+
+const matchesFilter = (document, filter) => Object.keys(filter).every(key => document[key] === filter[key]);
+
+// The entries a document adds to an index. An array field is indexed per element, so
+// each element is an entry of its own.
+const indexEntries = (document, fields) => {
+    if (fields.length === 1) {
+        const value = document[fields[0]];
+        return (Array.isArray(value) ? value : [value]).map(String);
+    }
+    return [fields.map(field => String(document[field])).join('\u0000')];
+};
+
+const describeClash = (document, fields) => {
+    if (fields.length === 1 && Array.isArray(document[fields[0]])) return `${fields[0]} overlaps another document`;
+    const values = fields.map(field => document[field]).join(', ');
+    return `${fields.join(' + ')} "${values}" belongs to another document`;
+};
+
+const sameDocument = (a, b) => EJSON.stringify(a, { relaxed: false }) === EJSON.stringify(b, { relaxed: false });
+
+const emptyReport = (total) => ({ total, created: 0, updated: 0, unchanged: 0, skipped: 0, conflicts: [] });
+
+const createBackups = ({
+    collections, // { name: Model } to include, in import order
+    storage, // media storage adapter (see ./media/storage)
+    dir = 'backups',
+    retentionDays = 30,
+    interval = 'daily',
+    pollIntervalMs = 15 * 60 * 1000,
+    clock = () => new Date(),
+    logger = console
+}) => {
+    const intervalMs = INTERVALS[interval];
+    if (!intervalMs) throw new Error(`Unknown backup interval: ${interval}`);
+
+    let timer = null;
+    let running = null;
+
+    const exportBundle = async ({ includeUploads = true } = {}) => {
+        const bundle = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            createdAt: clock().toISOString(),
+            collections: {}
+        };
+
+        for (const name of Object.keys(collections)) {
+            const documents = await collections[name].collection.find({}).toArray();
+            bundle.collections[name] = documents.map(document => EJSON.serialize(document, { relaxed: true }));
+        }
+
+        if (includeUploads) {
+            bundle.uploads = [];
+            for (const file of await storage.list()) {
+                const data = await storage.get(file.key);
+                if (data) bundle.uploads.push({ key: file.key, data: data.toString('base64') });
+            }
+        }
+
+        return bundle;
+    };
+
+    const checkBundle = (bundle) => {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+            throw new BundleError('Not a site bundle');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+            throw new BundleError(`Unsupported bundle version: ${bundle.version}`);
+        }
+        if (!bundle.collections || typeof bundle.collections !== 'object') {
+            throw new BundleError('The bundle has no collections');
+        }
+
+        Object.keys(bundle.collections).forEach(name => {
+            if (!collections[name]) throw new BundleError(`Unknown collection: ${name}`);
+            if (!Array.isArray(bundle.collections[name])) throw new BundleError(`Collection ${name} must be a list`);
+        });
+        if (bundle.uploads !== undefined && !Array.isArray(bundle.uploads)) {
+            throw new BundleError('uploads must be a list');
+        }
+    };
+
+    const importCollection = async (name, documents, { dryRun, overwrite }) => {
+        const Model = collections[name];
+        const unique = uniqueIndexes(Model);
+        // Index entries claimed by earlier documents in this bundle
+        const claimed = new Map(unique.map(({ fields }) => [fields.join(','), new Set()]));
+        const report = emptyReport(documents.length);
+
+        const skip = (id, reason) => {
+            report.skipped += 1;
+            report.conflicts.push({ id, reason, resolution: 'skipped' });
+        };
+
+        for (const raw of documents) {
+            const document = EJSON.deserialize(raw, { relaxed: true });
+            const id = document && document._id !== undefined ? String(document._id) : null;
+            if (!id) {
+                skip(null, 'Missing _id');
+                continue;
+            }
+
+            try {
+                await new Model(document).validate();
+            } catch (error) {
+                skip(id, `Invalid document: ${error.message}`);
+                continue;
+            }
+
+            const existing = await Model.collection.findOne({ _id: document._id });
+            if (existing && sameDocument(existing, document)) {
+                report.unchanged += 1;
+                continue;
+            }
+
+            let clash = null;
+            const indexed = unique.filter(({ fields, filter }) => matchesFilter(document, filter) &&
+                fields.every(field => document[field] !== undefined && document[field] !== null));
+            for (const { fields, filter } of indexed) {
+                const query = Object.fromEntries(fields.map(field => {
+                    const value = document[field];
+                    return [field, Array.isArray(value) ? { $in: value } : value];
+                }));
+                const taken = indexEntries(document, fields).some(entry => claimed.get(fields.join(',')).has(entry)) ||
+                    await Model.collection.findOne({ ...query, ...filter, _id: { $ne: document._id } }, { projection: { _id: 1 } });
+                if (taken) {
+                    clash = describeClash(document, fields);
+                    break;
+                }
+            }
+            if (clash) {
+                skip(id, clash);
+                continue;
+            }
+            if (existing && !overwrite) {
+                skip(id, 'A different version already exists');
+                continue;
+            }
+
+            indexed.forEach(({ fields }) => indexEntries(document, fields).forEach(entry => claimed.get(fields.join(',')).add(entry)));
+            if (existing) {
+                report.conflicts.push({ id, reason: 'A different version already exists', resolution: 'overwritten' });
+                if (!dryRun) await Model.collection.replaceOne({ _id: document._id }, document);
+                report.updated += 1;
+            } else {
+                if (!dryRun) await Model.collection.insertOne(document);
+                report.created += 1;
+            }
+        }
+
+        return report;
+    };
+
+    const importUploads = async (uploads, { dryRun, overwrite }) => {
+        const report = emptyReport(uploads.length);
+
+        for (const upload of uploads) {
+            const key = upload && String(upload.key);
+            const data = Buffer.from(String((upload && upload.data) || ''), 'base64');
+
+            let existing;
+            try {
+                // Also rejects keys that would escape the upload directory
+                existing = await storage.get(key);
+            } catch (error) {
+                report.skipped += 1;
+                report.conflicts.push({ id: key, reason: error.message, resolution: 'skipped' });
+                continue;
+            }
+
+            if (existing && existing.equals(data)) {
+                report.unchanged += 1;
+                continue;
+            }
+            if (existing) {
+                report.conflicts.push({
+                    id: key,
+                    reason: 'A different file already exists',
+                    resolution: overwrite ? 'overwritten' : 'skipped'
+                });
+                if (!overwrite) {
+                    report.skipped += 1;
+                    continue;
+                }
+                report.updated += 1;
+            } else {
+                report.created += 1;
+            }
+            if (!dryRun) await storage.put(key, data);
+        }
+
+        return report;
+    };
+
+    // onConflict: 'skip' keeps what is already there, 'overwrite' replaces it
+    // (documents that clash on a unique field are always skipped)
+    const importBundle = async (bundle, { dryRun = false, onConflict = 'skip' } = {}) => {
+        checkBundle(bundle);
+        const options = { dryRun, overwrite: onConflict === 'overwrite' };
+        const report = { dryRun, onConflict, bundleCreatedAt: bundle.createdAt, collections: {} };
+
+        for (const name of Object.keys(collections)) {
+            if (bundle.collections[name]) {
+                report.collections[name] = await importCollection(name, bundle.collections[name], options);
+            }
+        }
+        if (bundle.uploads) report.uploads = await importUploads(bundle.uploads, options);
+
+        return report;
+    };
+
+    // Newest first
+    const list = async () => {
+        let names;
+        try {
+            names = await fs.promises.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const archives = [];
+        for (const name of names) {
+            const createdAt = archiveDate(name);
+            if (!createdAt) continue;
+            const stat = await fs.promises.stat(path.join(dir, name));
+            archives.push({ name, createdAt, size: stat.size });
+        }
+        return archives.sort((a, b) => b.createdAt - a.createdAt);
+    };
+
+    const prune = async () => {
+        const cutoff = clock().getTime() - retentionDays * DAY_MS;
+        const expired = (await list()).filter(archive => archive.createdAt.getTime() < cutoff);
+
+        for (const archive of expired) {
+            try {
+                await fs.promises.unlink(path.join(dir, archive.name));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return expired.map(archive => archive.name);
+    };
+
+    // Written to a temporary file first so a half-written archive is never listed
+    const run = async () => {
+        const data = await gzip(JSON.stringify(await exportBundle()));
+        const name = archiveName(clock());
+        const temporary = path.join(dir, `.${name}.tmp`);
+
+        await fs.promises.mkdir(dir, { recursive: true, mode: DIR_MODE });
+        // mkdir leaves an existing directory as it was (e.g. one made before archives were private)
+        await fs.promises.chmod(dir, DIR_MODE);
+        await fs.promises.writeFile(temporary, data, { mode: ARCHIVE_MODE });
+        await fs.promises.rename(temporary, path.join(dir, name));
+
+        return { name, size: data.length, pruned: await prune() };
+    };
+
+    // Backs up when the newest archive is older than the interval, so restarts don't skip or repeat one
+    const runIfDue = () => {
+        if (running) return running;
+
+        running = (async () => {
+            try {
+                const [latest] = await list();
+                if (latest && clock() - latest.createdAt < intervalMs) return null;
+                return await run();
+            } finally {
+                running = null;
+            }
+        })();
+
+        return running;
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            runIfDue()
+                .then(result => {
+                    if (result) logger.info('Backup written', result);
+                })
+                .catch(error => logger.error('Backup error', { error }));
+        }, pollIntervalMs);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return running || Promise.resolve();
+    };
+
+    return { exportBundle, importBundle, list, prune, run, runIfDue, start, stop };
+};
+
+module.exports = { createBackups, parseBundle, BundleError, BUNDLE_FORMAT, BUNDLE_VERSION };
@@ -0,0 +1,122 @@
+// Server-rendered blog pages: GET /blog lists the live posts and /blog/:slug shows one.
+// These are the URLs feeds, the sitemap, search results, announcement emails and
+// webhooks link to; the portfolio page itself is static and only reads the JSON API.
+const { escapeHtml } = require('./markdown');
+
+const HIGHLIGHT_STYLESHEET = 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github.min.css';
+
+const PAGE_STYLE = `
+    body { font: 17px/1.7 Georgia, "Times New Roman", serif; color: #222; max-width: 42rem; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+    nav, .meta, .tags, footer, .post-list p { font-family: "Helvetica Neue", Arial, sans-serif; }
+    nav { display: flex; justify-content: space-between; margin-bottom: 2.5rem; font-size: 0.95rem; }
+    a { color: #667eea; }
+    h1 { margin: 0 0 0.4rem; font-size: 2.2rem; line-height: 1.2; }
+    .meta { margin: 0 0 1.5rem; color: #666; font-size: 0.9rem; }
+    .featured { width: 100%; height: auto; border-radius: 8px; margin-bottom: 1.5rem; }
+    article img { max-width: 100%; height: auto; }
+    pre.code-block { overflow-x: auto; padding: 1rem; border-radius: 6px; background: #f6f8fa; font-size: 0.85rem; }
+    blockquote { margin: 1rem 0; padding-left: 1rem; border-left: 3px solid #667eea; color: #555; }
+    table { border-collapse: collapse; } th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; }
+    .tags { display: flex; flex-wrap: wrap; gap: 0.5rem; padding: 0; list-style: none; font-size: 0.85rem; }
+    .tags li { background: #eef0fc; color: #4c5bd4; padding: 0.15rem 0.7rem; border-radius: 1rem; }
+    .post-list { padding: 0; list-style: none; }
+    .post-list li { margin-bottom: 2rem; }
+    .post-list h2 { margin: 0; font-size: 1.4rem; }
+    .post-list p { margin: 0.3rem 0 0; color: #444; font-size: 0.95rem; }
+    footer { margin-top: 3rem; padding-top: 1rem; border-top: 1px solid #eee; color: #666; font-size: 0.9rem; }
+`;
+
+const formatDate = (date) => new Intl.DateTimeFormat('en-GB', { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+
+const layout = ({ title, description, canonical, siteUrl, siteTitle, feedUrl, head = '', body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${description ? `<meta name="description" content="${escapeHtml(description)}">` : ''}
+${canonical ? `<link rel="canonical" href="${escapeHtml(canonical)}">` : ''}
+${feedUrl ? `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(siteTitle)} (RSS)" href="${escapeHtml(feedUrl)}">` : ''}
+${head}
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <nav><a href="${escapeHtml(siteUrl)}/">${escapeHtml(siteTitle)}</a>${feedUrl ? `<a href="${escapeHtml(feedUrl)}">RSS</a>` : ''}</nav>
+    ${body}
+</body>
+</html>
+`;
+
+const postDate = (post) => post.publishedAt || post.createdAt;
+
+// `rendered` is the post's renderBlog() output; `url` its canonical address. `imageUrl`
+// makes the featured image absolute for link previews.
+const renderPostPage = ({ post, rendered, url, blogUrl, siteUrl, siteTitle, feedUrl, imageUrl = (src) => src }) => {
+    const description = post.excerpt || rendered.excerpt;
+    const image = post.featuredImage ? imageUrl(post.featuredImage) : null;
+    const tags = post.tags || [];
+
+    const head = [
+        '<meta property="og:type" content="article">',
+        `<meta property="og:url" content="${escapeHtml(url)}">`,
+        `<meta property="og:title" content="${escapeHtml(post.title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:site_name" content="${escapeHtml(siteTitle)}">`,
+        image ? `<meta property="og:image" content="${escapeHtml(image)}">` : '',
+        `<meta property="article:published_time" content="${postDate(post).toISOString()}">`,
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        `<link rel="stylesheet" href="${HIGHLIGHT_STYLESHEET}">`
+    ].filter(Boolean).join('\n');
+
+    return layout({
+        title: `${post.title} – ${siteTitle}`,
+        description,
+        canonical: url,
+        siteUrl,
+        siteTitle,
+        feedUrl,
+        head,
+        body: `
+    <article>
+        <h1>${escapeHtml(post.title)}</h1>
+        <p class="meta"><time datetime="${postDate(post).toISOString()}">${formatDate(postDate(post))}</time> · ${rendered.readingTime} min read</p>
+        ${image ? `<img class="featured" src="${escapeHtml(image)}" alt="">` : ''}
+        ${rendered.html}
+        ${tags.length ? `<ul class="tags">${tags.map(tag => `<li>${escapeHtml(tag)}</li>`).join('')}</ul>` : ''}
+    </article>
+    <footer><a href="${escapeHtml(blogUrl)}">← All posts</a></footer>`
+    });
+};
+
+// `posts` are [{ post, excerpt, url }], newest first
+const renderBlogIndex = ({ posts, url, siteUrl, siteTitle, description, feedUrl }) => layout({
+    title: `Blog – ${siteTitle}`,
+    description,
+    canonical: url,
+    siteUrl,
+    siteTitle,
+    feedUrl,
+    body: `
+    <h1>Blog</h1>
+    ${posts.length
+        ? `<ul class="post-list">${posts.map(({ post, excerpt, url: postUrl }) => `
+        <li>
+            <h2><a href="${escapeHtml(postUrl)}">${escapeHtml(post.title)}</a></h2>
+            <p><time datetime="${postDate(post).toISOString()}">${formatDate(postDate(post))}</time>${excerpt ? ` – ${escapeHtml(excerpt)}` : ''}</p>
+        </li>`).join('')}
+    </ul>`
+        : '<p>No posts yet.</p>'}`
+});
+
+const renderNotFoundPage = ({ blogUrl, siteUrl, siteTitle }) => layout({
+    title: `Post not found – ${siteTitle}`,
+    siteUrl,
+    siteTitle,
+    head: '<meta name="robots" content="noindex">',
+    body: `
+    <h1>Post not found</h1>
+    <p>This post does not exist or is not published yet.</p>
+    <footer><a href="${escapeHtml(blogUrl)}">← All posts</a></footer>`
+});
+
+module.exports = { renderPostPage, renderBlogIndex, renderNotFoundPage };
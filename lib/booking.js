@@ -0,0 +1,186 @@
+// Call bookings. Availability is a set of weekly hours in the owner's time zone
+// (e.g. Monday 10:00-13:00) minus blackout days. The open slots are those hours cut
+// into `slotMinutes` pieces, at least `minNoticeHours` ahead and at most
+// `maxDaysAhead` out, that no confirmed booking overlaps.
+//
+// Overlapping bookings are impossible, even when two visitors race for a slot or the
+// slot length changed in between: a booking lists every minute it covers, and a unique
+// index on those minutes makes the insert of any confirmed booking that shares one fail.
+const { createEvent } = require('./ics');
+const { zonedParts, zonedTimeToUtc, zonedDateKey } = require('./timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_RANGE_DAYS = 62;
+
+class BookingError extends Error {
+    constructor (message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// "09:30" -> 570
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const isBlackedOut = (dateKey, blackouts = []) => blackouts
+    .some(blackout => dateKey >= blackout.from && dateKey <= (blackout.to || blackout.from));
+
+// Every minute from `start` to `end`, as minutes since the epoch
+const minutesBetween = (start, end) => {
+    const minutes = [];
+    for (let minute = Math.floor(start.getTime() / MINUTE_MS); minute * MINUTE_MS < end.getTime(); minute++) {
+        minutes.push(minute);
+    }
+    return minutes;
+};
+
+const overlaps = (start, end, busy) => busy
+    .some(booking => booking.start.getTime() < end && booking.end.getTime() > start);
+
+// Open slots starting between `from` and `to` (Dates), as [{ start, end }] in time order.
+// `busy` is the confirmed bookings in (or around) that range.
+const computeSlots = (availability, { from, to, now = new Date(), busy = [] }) => {
+    const { timezone, slotMinutes } = availability;
+    const earliest = Math.max(from.getTime(), now.getTime() + availability.minNoticeHours * 60 * MINUTE_MS);
+    const latest = Math.min(to.getTime(), now.getTime() + availability.maxDaysAhead * DAY_MS);
+    if (earliest >= latest || !slotMinutes) return [];
+
+    const first = zonedParts(new Date(earliest), timezone);
+    const lastKey = zonedDateKey(new Date(latest), timezone);
+    const slots = new Map();
+
+    // Walks local calendar days; Date.UTC only does the date arithmetic here
+    for (let offset = 0; ; offset++) {
+        const day = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+        const dateKey = day.toISOString().slice(0, 10);
+        if (dateKey > lastKey) break;
+        if (isBlackedOut(dateKey, availability.blackouts)) continue;
+
+        const date = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+        availability.weekly.filter(rule => rule.day === day.getUTCDay()).forEach(rule => {
+            for (let minute = toMinutes(rule.start); minute + slotMinutes <= toMinutes(rule.end); minute += slotMinutes) {
+                const start = zonedTimeToUtc({ ...date, hour: Math.floor(minute / 60), minute: minute % 60 }, timezone);
+                // Skipped by a daylight saving change
+                if (!start) continue;
+
+                const startMs = start.getTime();
+                const endMs = startMs + slotMinutes * MINUTE_MS;
+                if (startMs < earliest || startMs >= latest || overlaps(startMs, endMs, busy)) continue;
+                slots.set(startMs, { start, end: new Date(endMs) });
+            }
+        });
+    }
+
+    return [...slots.values()].sort((a, b) => a.start - b.start);
+};
+
+// "Tuesday, 20 October 2026, 10:00 – 10:30 (Asia/Kolkata)"
+const formatSlot = (start, end, timezone) => {
+    const day = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, dateStyle: 'full' }).format(start);
+    const time = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, timeStyle: 'short' });
+    return `${day}, ${time.format(start)} – ${time.format(end)} (${timezone})`;
+};
+
+const createBookings = ({
+    Availability,
+    Booking,
+    organizer,
+    uidDomain = 'localhost',
+    clock = () => new Date()
+}) => {
+    // The saved availability, or the (closed) defaults when none was saved yet
+    const getAvailability = async () => (await Availability.findOne()) || new Availability();
+
+    // Invites need an organizer address, so without one bookings stay closed whatever is saved
+    const isOpen = (availability) => Boolean(availability.enabled && organizer.email);
+
+    const updateAvailability = (fields, updatedBy) => Availability.findOneAndUpdate(
+        {},
+        { $set: { ...fields, updatedBy, updatedAt: clock() } },
+        { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    const confirmedBetween = (from, to) => Booking
+        .find({ status: 'confirmed', start: { $lt: to }, end: { $gt: from } })
+        .select('start end')
+        .lean();
+
+    const openSlots = async ({ from, to }) => {
+        if (to <= from) throw new BookingError('from must be before to');
+        if (to - from > MAX_RANGE_DAYS * DAY_MS) throw new BookingError(`Range is too long (max ${MAX_RANGE_DAYS} days)`);
+
+        const availability = await getAvailability();
+        const slots = isOpen(availability)
+            ? computeSlots(availability, { from, to, now: clock(), busy: await confirmedBetween(from, to) })
+            : [];
+        return { availability, slots };
+    };
+
+    // Books the slot starting at `start`. `details` holds the contact id and the visitor's details.
+    const reserve = async (start, details) => {
+        const availability = await getAvailability();
+        if (!isOpen(availability)) throw new BookingError('Bookings are closed at the moment', 409);
+
+        const [slot] = computeSlots(availability, { from: start, to: new Date(start.getTime() + 1), now: clock() });
+        if (!slot || slot.start.getTime() !== start.getTime()) {
+            throw new BookingError('That time is not available. Please pick one of the open slots.', 409);
+        }
+
+        try {
+            return await Booking.create({
+                ...details,
+                start: slot.start,
+                end: slot.end,
+                minutes: minutesBetween(slot.start, slot.end),
+                createdAt: clock()
+            });
+        } catch (error) {
+            if (error.code === 11000) throw new BookingError('That slot has just been taken. Please pick another one.', 409);
+            throw error;
+        }
+    };
+
+    // Frees the slot of a booking that could not be completed (e.g. its contact failed
+    // to save). Only for bookings nobody has been told about; others are cancelled.
+    const release = (id) => Booking.deleteOne({ _id: id });
+
+    // Resolves to the cancelled booking, or null when it was not confirmed (any more)
+    const cancel = (id, { cancelledBy, reason }) => Booking.findOneAndUpdate(
+        { _id: id, status: 'confirmed' },
+        {
+            $set: { status: 'cancelled', cancelledAt: clock(), cancelledBy, cancelReason: reason },
+            $inc: { sequence: 1 }
+        },
+        { new: true }
+    );
+
+    // The .ics attachment for a booking's emails: an invite, or its cancellation
+    const invite = (booking, { location } = {}) => {
+        const cancelled = booking.status === 'cancelled';
+        return {
+            filename: cancelled ? 'cancel.ics' : 'invite.ics',
+            contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'REQUEST'}`,
+            content: createEvent({
+                uid: `booking-${booking._id}@${uidDomain}`,
+                sequence: booking.sequence,
+                method: cancelled ? 'CANCEL' : 'REQUEST',
+                start: booking.start,
+                end: booking.end,
+                summary: `Call: ${booking.name} and ${organizer.name}`,
+                description: booking.notes,
+                location,
+                organizer,
+                attendees: [{ name: booking.name, email: booking.email }],
+                now: clock()
+            })
+        };
+    };
+
+    return { getAvailability, updateAvailability, isOpen, openSlots, reserve, release, cancel, invite };
+};
+
+module.exports = { createBookings, computeSlots, formatSlot, BookingError, MAX_RANGE_DAYS };
@@ -0,0 +1,133 @@
+// Typed, validated configuration read from the environment (see .env.example).
+//
+// Every setting is declared once below with the same field specs used for request
+// validation, so numbers and booleans arrive as numbers and booleans and a typo in
+// .env fails at startup instead of somewhere deep in a request. Keys keep their
+// environment variable names.
+const { string, integer, number, boolean, array, object, validateValue } = require('./schema');
+
+const MB = 1024 * 1024;
+const DURATION = /^\d+(ms|s|m|h|d)?$/;
+// Placeholder values shipped in .env.example
+const PLACEHOLDER = /^your-|change-this/i;
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+class ConfigError extends Error {
+    constructor (errors) {
+        super(`Invalid configuration:\n${Object.keys(errors).map(key => `  ${key}: ${errors[key]}`).join('\n')}`);
+        this.errors = errors;
+    }
+}
+
+const url = (options = {}) => string({ format: 'uri', max: 2000, ...options });
+
+const SPEC = object({
+    NODE_ENV: string({ enum: ['development', 'test', 'production'], default: 'development' }),
+    PORT: integer({ min: 1, max: 65535, default: 5000 }),
+    SHUTDOWN_TIMEOUT_MS: integer({ min: 0, default: 10000 }),
+    // false, true, a hop count or a comma-separated list of trusted addresses/subnets
+    TRUST_PROXY: string({ default: 'false' }),
+
+    SITE_URL: url({ default: 'https://sujaljaveri.me' }),
+    BLOG_URL: url(),
+    API_URL: url(),
+
+    // Browser origins allowed by CORS; FRONTEND_URL is still honoured as one more
+    ALLOWED_ORIGINS: array(url(), { csv: true, default: [] }),
+    FRONTEND_URL: url(),
+
+    MONGODB_URI: string({
+        default: 'mongodb://localhost:27017/sujal_portfolio',
+        pattern: /^mongodb(\+srv)?:\/\//,
+        patternMessage: 'Must be a mongodb:// or mongodb+srv:// URI'
+    }),
+
+    JWT_SECRET: string(),
+    JWT_EXPIRES_IN: string({ pattern: DURATION, patternMessage: 'Must be a duration such as 15m, 1h or 900', default: '15m' }),
+    REFRESH_TOKEN_TTL_DAYS: integer({ min: 1, max: 365, default: 30 }),
+
+    EMAIL_TRANSPORT: string({ enum: ['smtp', 'file'], default: 'smtp' }),
+    EMAIL_OUTPUT_DIR: string(),
+    EMAIL_HOST: string(),
+    EMAIL_PORT: integer({ min: 1, max: 65535 }),
+    EMAIL_SECURE: boolean({ default: false }),
+    EMAIL_USER: string(),
+    EMAIL_PASS: string({ trim: false }),
+    EMAIL_FROM: string(),
+    CONTACT_NOTIFY_EMAIL: string({ format: 'email' }),
+
+    NEWSLETTER_BATCH_SIZE: integer({ min: 1, max: 1000, default: 50 }),
+    NEWSLETTER_BATCH_INTERVAL_SECONDS: integer({ min: 1, default: 60 }),
+
+    MAX_FILE_SIZE: integer({ min: 1, max: 100 * MB, default: 5 * MB }),
+    UPLOAD_DIR: string({ default: 'uploads' }),
+    MEDIA_STORAGE: string({ enum: ['local'], default: 'local' }),
+    MEDIA_SWEEP_ENABLED: boolean({ default: false }),
+    MEDIA_ORPHAN_GRACE_HOURS: number({ min: 0, default: 24 }),
+
+    BACKUP_ENABLED: boolean({ default: false }),
+    BACKUP_INTERVAL: string({ enum: ['hourly', 'daily', 'weekly'], default: 'daily' }),
+    BACKUP_RETENTION_DAYS: integer({ min: 1, default: 30 }),
+    BACKUP_DIR: string({ default: 'backups' }),
+    IMPORT_MAX_SIZE: integer({ min: 1, default: 100 * MB }),
+
+    RATE_LIMIT_WINDOW_MS: integer({ min: 1000, default: 15 * 60 * 1000 }),
+    RATE_LIMIT_MAX_REQUESTS: integer({ min: 1, default: 100 }),
+    CONTACT_RATE_LIMIT_MAX: integer({ min: 1, default: 5 }),
+
+    LOG_LEVEL: string({ enum: ['silent', 'error', 'warn', 'info', 'debug'], default: 'info' }),
+    LOG_FILE: string(),
+
+    ANALYTICS_ENABLED: boolean({ default: true }),
+    ANALYTICS_REQUIRE_CONSENT: boolean({ default: false }),
+    ANALYTICS_RETENTION_DAYS: integer({ min: 1, default: 90 }),
+    GEOIP_DB_PATH: string(),
+
+    GITHUB_TOKEN: string()
+});
+
+// "false" -> false, "2" -> 2, "loopback, 10.0.0.0/8" -> ['loopback', '10.0.0.0/8']
+const parseTrustProxy = (value) => {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return Number(value);
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Secrets that must be real in production
+const checkProduction = (config, errors) => {
+    if (!config.JWT_SECRET) {
+        errors.JWT_SECRET = 'Required in production';
+    } else if (PLACEHOLDER.test(config.JWT_SECRET)) {
+        errors.JWT_SECRET = 'Must not be the example value';
+    } else if (config.JWT_SECRET.length < MIN_PRODUCTION_SECRET_LENGTH) {
+        errors.JWT_SECRET = `Must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`;
+    }
+    if (config.EMAIL_TRANSPORT === 'smtp' && config.EMAIL_PASS && PLACEHOLDER.test(config.EMAIL_PASS)) {
+        errors.EMAIL_PASS = 'Must not be the example value';
+    }
+    if (config.ALLOWED_ORIGINS && !config.ALLOWED_ORIGINS.length) errors.ALLOWED_ORIGINS = 'Required in production';
+};
+
+// Throws a ConfigError listing every invalid setting
+const loadConfig = (env = process.env) => {
+    const { value: config, errors } = validateValue(SPEC, env);
+
+    if (!errors.ALLOWED_ORIGINS && !errors.FRONTEND_URL) {
+        if (config.FRONTEND_URL && !config.ALLOWED_ORIGINS.includes(config.FRONTEND_URL)) {
+            config.ALLOWED_ORIGINS.push(config.FRONTEND_URL);
+        }
+        if (!config.ALLOWED_ORIGINS.length && config.NODE_ENV !== 'production') {
+            config.ALLOWED_ORIGINS.push('http://localhost:3000');
+        }
+    }
+    if (config.NODE_ENV === 'production') checkProduction(config, errors);
+    if (Object.keys(errors).length) throw new ConfigError(errors);
+
+    config.TRUST_PROXY = parseTrustProxy(config.TRUST_PROXY);
+    // The example GitHub token is as good as none
+    if (config.GITHUB_TOKEN && PLACEHOLDER.test(config.GITHUB_TOKEN)) delete config.GITHUB_TOKEN;
+
+    return Object.freeze(config);
+};
+
+module.exports = { loadConfig, ConfigError };
@@ -0,0 +1,23 @@
+// Minimal RFC 4180 CSV writer for admin exports
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    // Prefix cells that spreadsheet apps would evaluate as formulas
+    const safe = typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// `columns` defaults to the keys of the first row
+const toCsv = (rows, columns) => {
+    const keys = columns || (rows.length ? Object.keys(rows[0]) : []);
+    const lines = [keys.map(escapeCell).join(',')];
+
+    rows.forEach(row => {
+        lines.push(keys.map(key => escapeCell(row[key])).join(','));
+    });
+
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,229 @@
+// Syndication feeds (RSS 2.0, Atom, JSON Feed) and the XML sitemap, built from
+// live blog posts and projects.
+//
+// Documents are generated on first request and cached until `invalidate()` is
+// called after a content change, or until the next scheduled post goes live.
+const crypto = require('crypto');
+
+const FEED_SIZE = 20;
+const MAX_CACHE_MS = 60 * 60 * 1000;
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// CDATA can't contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const latest = (dates) => dates.reduce((max, date) => (date && date > max ? date : max), new Date(0));
+
+const createFeeds = ({
+    Blog,
+    Project,
+    liveQuery,
+    render,
+    siteUrl,
+    // Where this server (and so the feeds and /uploads) is reachable; siteUrl is the home page
+    apiUrl = siteUrl,
+    blogUrl = `${apiUrl}/blog`,
+    title,
+    description,
+    author,
+    clock = () => new Date()
+}) => {
+    const absolute = (url) => (!url || /^https?:\/\//i.test(url) ? url : `${apiUrl}${url.startsWith('/') ? '' : '/'}${url}`);
+    const postUrl = (post) => `${blogUrl}/${encodeURIComponent(post.slug)}`;
+
+    let cache = new Map();
+    let loading = null;
+
+    const loadContent = async () => {
+        const now = clock();
+        const [posts, projects, scheduled] = await Promise.all([
+            Blog.find(liveQuery(now))
+                .sort({ publishedAt: -1, createdAt: -1 })
+                .select('title slug content excerpt featuredImage tags publishedAt createdAt updatedAt'),
+            Project.find().sort({ order: 1, createdAt: -1 }).select('updatedAt createdAt').lean(),
+            Blog.findOne({ published: true, publishedAt: { $gt: now } }).sort({ publishedAt: 1 }).select('publishedAt').lean()
+        ]);
+
+        const items = posts.map(post => {
+            const rendered = render(post);
+            return {
+                title: post.title,
+                url: postUrl(post),
+                summary: post.excerpt || rendered.excerpt,
+                html: rendered.html,
+                image: absolute(post.featuredImage),
+                tags: post.tags || [],
+                published: post.publishedAt || post.createdAt,
+                updated: post.updatedAt || post.publishedAt || post.createdAt
+            };
+        });
+
+        return {
+            items,
+            recent: items.slice(0, FEED_SIZE),
+            blogUpdated: latest(items.map(item => item.updated)),
+            projectsUpdated: latest(projects.map(project => project.updatedAt || project.createdAt)),
+            // Cached documents must not outlive the moment a scheduled post goes live
+            expiresAt: new Date(Math.min(now.getTime() + MAX_CACHE_MS, scheduled ? scheduled.publishedAt.getTime() : Infinity))
+        };
+    };
+
+    const builders = {
+        rss: (content) => {
+            const items = content.recent.map(item => [
+                '    <item>',
+                `      <title>${escapeXml(item.title)}</title>`,
+                `      <link>${escapeXml(item.url)}</link>`,
+                `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+                `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+                `      <description>${escapeXml(item.summary)}</description>`,
+                `      <content:encoded>${cdata(item.html)}</content:encoded>`,
+                ...item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+                '    </item>'
+            ].join('\n'));
+
+            return {
+                contentType: 'application/rss+xml; charset=utf-8',
+                lastModified: content.blogUpdated,
+                body: [
+                    '<?xml version="1.0" encoding="UTF-8"?>',
+                    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+                    '  <channel>',
+                    `    <title>${escapeXml(title)}</title>`,
+                    `    <link>${escapeXml(blogUrl)}</link>`,
+                    `    <description>${escapeXml(description)}</description>`,
+                    '    <language>en</language>',
+                    `    <lastBuildDate>${content.blogUpdated.toUTCString()}</lastBuildDate>`,
+                    `    <atom:link href="${escapeXml(`${apiUrl}/feed.xml`)}" rel="self" type="application/rss+xml"/>`,
+                    ...items,
+                    '  </channel>',
+                    '</rss>',
+                    ''
+                ].join('\n')
+            };
+        },
+
+        atom: (content) => {
+            const entries = content.recent.map(item => [
+                '  <entry>',
+                `    <title>${escapeXml(item.title)}</title>`,
+                `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+                `    <id>${escapeXml(item.url)}</id>`,
+                `    <published>${item.published.toISOString()}</published>`,
+                `    <updated>${item.updated.toISOString()}</updated>`,
+                `    <summary>${escapeXml(item.summary)}</summary>`,
+                `    <content type="html">${escapeXml(item.html)}</content>`,
+                ...item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+                '  </entry>'
+            ].join('\n'));
+
+            return {
+                contentType: 'application/atom+xml; charset=utf-8',
+                lastModified: content.blogUpdated,
+                body: [
+                    '<?xml version="1.0" encoding="UTF-8"?>',
+                    '<feed xmlns="http://www.w3.org/2005/Atom">',
+                    `  <title>${escapeXml(title)}</title>`,
+                    `  <subtitle>${escapeXml(description)}</subtitle>`,
+                    `  <link rel="alternate" type="text/html" href="${escapeXml(blogUrl)}"/>`,
+                    `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${apiUrl}/atom.xml`)}"/>`,
+                    `  <id>${escapeXml(`${apiUrl}/`)}</id>`,
+                    `  <updated>${content.blogUpdated.toISOString()}</updated>`,
+                    `  <author><name>${escapeXml(author)}</name></author>`,
+                    ...entries,
+                    '</feed>',
+                    ''
+                ].join('\n')
+            };
+        },
+
+        // https://www.jsonfeed.org/version/1.1/
+        json: (content) => ({
+            contentType: 'application/feed+json; charset=utf-8',
+            lastModified: content.blogUpdated,
+            body: JSON.stringify({
+                version: 'https://jsonfeed.org/version/1.1',
+                title,
+                description,
+                home_page_url: blogUrl,
+                feed_url: `${apiUrl}/feed.json`,
+                language: 'en',
+                authors: [{ name: author, url: siteUrl }],
+                items: content.recent.map(item => ({
+                    id: item.url,
+                    url: item.url,
+                    title: item.title,
+                    summary: item.summary,
+                    content_html: item.html,
+                    image: item.image || undefined,
+                    tags: item.tags,
+                    date_published: item.published.toISOString(),
+                    date_modified: item.updated.toISOString()
+                }))
+            }, null, 2)
+        }),
+
+        // Projects have no pages of their own; they are listed on the home page,
+        // so they count towards its lastmod
+        sitemap: (content) => {
+            const urls = [
+                { loc: `${siteUrl}/`, lastmod: latest([content.projectsUpdated, content.blogUpdated]), changefreq: 'weekly', priority: '1.0' },
+                ...(content.items.length ? [{ loc: blogUrl, lastmod: content.blogUpdated, changefreq: 'weekly', priority: '0.8' }] : []),
+                ...content.items.map(item => ({ loc: item.url, lastmod: item.updated, changefreq: 'monthly', priority: '0.7' }))
+            ];
+
+            return {
+                contentType: 'application/xml; charset=utf-8',
+                lastModified: latest(urls.map(url => url.lastmod)),
+                body: [
+                    '<?xml version="1.0" encoding="UTF-8"?>',
+                    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+                    ...urls.map(url => [
+                        '  <url>',
+                        `    <loc>${escapeXml(url.loc)}</loc>`,
+                        url.lastmod.getTime() ? `    <lastmod>${url.lastmod.toISOString()}</lastmod>` : null,
+                        `    <changefreq>${url.changefreq}</changefreq>`,
+                        `    <priority>${url.priority}</priority>`,
+                        '  </url>'
+                    ].filter(Boolean).join('\n')),
+                    '</urlset>',
+                    ''
+                ].join('\n')
+            };
+        }
+    };
+
+    // Resolves to { body, contentType, etag, lastModified } for rss|atom|json|sitemap
+    const get = async (kind) => {
+        const cached = cache.get(kind);
+        if (cached && cached.expiresAt > clock()) return cached;
+
+        // Concurrent misses share a single database round trip
+        const generation = cache;
+        loading = loading || loadContent().finally(() => { loading = null; });
+        const content = await loading;
+
+        const document = builders[kind](content);
+        document.etag = `"${crypto.createHash('sha1').update(document.body).digest('base64url')}"`;
+        document.expiresAt = content.expiresAt;
+
+        // Don't repopulate a cache that was invalidated while we were loading
+        if (generation === cache) cache.set(kind, document);
+        return document;
+    };
+
+    const invalidate = () => {
+        cache = new Map();
+        loading = null;
+    };
+
+    return { get, invalidate, kinds: Object.keys(builders) };
+};
+
+module.exports = { createFeeds, escapeXml };
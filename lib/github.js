@@ -0,0 +1,41 @@
+// GitHub repository metadata for project cards.
+//
+// The fetcher is a plain async function `(owner, repo) => metadata` so it can
+// be swapped out (e.g. stubbed in tests) via app.set('githubFetcher', fn).
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+const parseGithubUrl = (url) => {
+    const match = /^(?:https?:\/\/)?(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[/?#].*)?$/i
+        .exec(String(url || '').trim());
+    return match ? { owner: match[1], repo: match[2] } : null;
+};
+
+const createGithubFetcher = ({ token, fetch = global.fetch } = {}) => {
+    const headers = {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'sujal-portfolio-backend'
+    };
+    // .env.example ships a placeholder token; only send a real one
+    if (token && !token.startsWith('your-')) headers.Authorization = `Bearer ${token}`;
+
+    return async (owner, repo) => {
+        const response = await fetch(`${GITHUB_API_URL}/repos/${owner}/${repo}`, { headers });
+
+        if (!response.ok) {
+            const error = new Error(`GitHub API responded with ${response.status} for ${owner}/${repo}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        return {
+            stars: data.stargazers_count,
+            language: data.language,
+            pushedAt: data.pushed_at ? new Date(data.pushed_at) : null,
+            topics: data.topics || []
+        };
+    };
+};
+
+module.exports = { parseGithubUrl, createGithubFetcher };
@@ -0,0 +1,78 @@
+// Minimal RFC 5545 iCalendar writer for single-event invitations (booking emails)
+
+const PRODUCT_ID = '-//Sujal Javeri//Portfolio Bookings//EN';
+
+// 20240615T093000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length ? 74 : 75;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+};
+
+// ORGANIZER/ATTENDEE; quotes and line breaks can't appear in the quoted CN
+const person = (property, { name, email }, params = []) => {
+    const cn = name ? [`CN="${String(name).replace(/["\r\n]/g, '')}"`] : [];
+    return `${[property, ...cn, ...params].join(';')}:mailto:${email}`;
+};
+
+// One event. `method` is REQUEST for an invitation or update and CANCEL to withdraw it;
+// a cancellation must keep the `uid` and carry a higher `sequence` than the invitation.
+const createEvent = ({
+    uid,
+    sequence = 0,
+    method = 'REQUEST',
+    start,
+    end,
+    summary,
+    description,
+    location,
+    url,
+    organizer,
+    attendees = [],
+    now = new Date()
+}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+        ...(url ? [`URL:${url}`] : []),
+        ...(organizer ? [person('ORGANIZER', organizer)] : []),
+        ...attendees.map(attendee => person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'RSVP=FALSE'])),
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { createEvent, formatDateTime, escapeText };
@@ -0,0 +1,70 @@
+// Structured logging: one JSON object per line, e.g.
+//
+//     {"time":"2025-01-01T12:00:00.000Z","level":"error","msg":"Contact form error","requestId":"…","error":{…}}
+//
+// child() adds fields to every line (the request middleware uses it for requestId).
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+
+// Errors don't survive JSON.stringify on their own
+const serializeValue = (value) => {
+    if (!(value instanceof Error)) return value;
+    const serialized = { name: value.name, message: value.message, stack: value.stack };
+    if (value.code !== undefined) serialized.code = value.code;
+    if (value.status !== undefined) serialized.status = value.status;
+    return serialized;
+};
+
+const openLogFile = (file) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    return fs.createWriteStream(file, { flags: 'a' });
+};
+
+const createLogger = ({
+    level = 'info',
+    file,
+    streams = [process.stdout, ...(file ? [openLogFile(file)] : [])],
+    fields = {},
+    clock = () => new Date()
+} = {}) => {
+    const threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+
+    const isLevelEnabled = (name) => LEVELS[name] <= threshold;
+
+    const format = (name, message, extra = {}) => {
+        const entry = { time: clock().toISOString(), level: name, msg: message, ...fields };
+        Object.keys(extra).forEach(key => {
+            if (extra[key] !== undefined) entry[key] = serializeValue(extra[key]);
+        });
+        return JSON.stringify(entry);
+    };
+
+    // Takes one formatted line, with or without its trailing newline (morgan adds one)
+    const write = (line) => {
+        const text = line.endsWith('\n') ? line : `${line}\n`;
+        streams.forEach(stream => stream.write(text));
+    };
+
+    const logger = {
+        isLevelEnabled,
+        format,
+        write,
+        child: (extra) => createLogger({ level, streams, fields: { ...fields, ...extra }, clock }),
+        // Flushes and closes the log file, if any
+        close: () => Promise.all(streams
+            .filter(stream => stream instanceof fs.WriteStream)
+            .map(stream => new Promise(resolve => stream.end(resolve))))
+    };
+
+    Object.keys(LEVELS).filter(name => name !== 'silent').forEach(name => {
+        logger[name] = (message, extra) => {
+            if (isLevelEnabled(name)) write(format(name, message, extra));
+        };
+    });
+
+    return logger;
+};
+
+module.exports = { createLogger, LEVELS };
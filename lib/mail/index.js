@@ -0,0 +1,151 @@
+// Transactional email: templated messages go through a persistent outbox and are
+// delivered (and retried with exponential backoff) independently of the request
+// that queued them, so a mail outage never fails the request itself.
+const { createTemplateRenderer, fillPlaceholders } = require('./templates');
+const { createTransport, createSmtpTransport, createFileTransport } = require('./transports');
+
+const DEFAULTS = {
+    maxAttempts: 6,
+    baseDelayMs: 60 * 1000, // 1 minute, doubled after every failed attempt
+    maxDelayMs: 60 * 60 * 1000,
+    lockTimeoutMs: 10 * 60 * 1000, // reclaim messages stuck in "sending" after a crash
+    pollIntervalMs: 60 * 1000,
+    batchSize: 20
+};
+
+const createMailer = ({
+    transport,
+    Outbox,
+    from,
+    render = createTemplateRenderer(),
+    clock = () => new Date(),
+    logger = console,
+    options = {}
+}) => {
+    const settings = { ...DEFAULTS, ...options };
+    let timer = null;
+    let processing = null;
+
+    const backoff = (attempts) => Math.min(settings.baseDelayMs * 2 ** (attempts - 1), settings.maxDelayMs);
+
+    // Queues a message. Either pass `template` + `data`, or ready-made `html`/`text`.
+    // `campaign` links newsletter messages to their campaign for delivery reports.
+    const send = async ({ template, data, to, subject, replyTo, headers, attachments, html, text, campaign }) => {
+        const rendered = template ? render(template, data) : { html, text };
+
+        const message = await Outbox.create({
+            template,
+            from,
+            to,
+            replyTo,
+            subject,
+            html: rendered.html,
+            text: rendered.text,
+            headers,
+            attachments,
+            campaign,
+            maxAttempts: settings.maxAttempts,
+            nextAttemptAt: clock()
+        });
+
+        // Try right away; failures are left for the retry loop
+        setImmediate(() => {
+            processOutbox().catch(error => logger.error('Mail outbox error', { error }));
+        });
+
+        return message;
+    };
+
+    const claimNext = () => {
+        const now = clock();
+        return Outbox.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - settings.lockTimeoutMs) } }
+                ]
+            },
+            { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    };
+
+    const deliver = async (message) => {
+        try {
+            const info = await transport.sendMail({
+                from: message.from,
+                to: message.to,
+                replyTo: message.replyTo,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                headers: message.headers,
+                attachments: message.attachments
+            });
+
+            message.status = 'sent';
+            message.sentAt = clock();
+            message.messageId = info && info.messageId;
+            message.lastError = undefined;
+        } catch (error) {
+            message.lastError = error.message;
+            if (message.attempts >= message.maxAttempts) {
+                message.status = 'failed';
+                logger.error('Mail failed permanently', { to: message.to, outboxId: String(message._id), error: error.message });
+            } else {
+                message.status = 'pending';
+                message.nextAttemptAt = new Date(clock().getTime() + backoff(message.attempts));
+            }
+        }
+
+        message.lockedAt = undefined;
+        await message.save();
+        return message;
+    };
+
+    // Delivers due messages; concurrent calls share one run
+    const processOutbox = () => {
+        if (processing) return processing;
+
+        processing = (async () => {
+            let delivered = 0;
+            try {
+                for (let i = 0; i < settings.batchSize; i++) {
+                    const message = await claimNext();
+                    if (!message) break;
+                    await deliver(message);
+                    delivered += 1;
+                }
+            } finally {
+                processing = null;
+            }
+            return delivered;
+        })();
+
+        return processing;
+    };
+
+    const retry = (id) => Outbox.findByIdAndUpdate(
+        id,
+        { $set: { status: 'pending', nextAttemptAt: clock(), attempts: 0 } },
+        { new: true }
+    );
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            processOutbox().catch(error => logger.error('Mail outbox error', { error }));
+        }, settings.pollIntervalMs);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return processing || Promise.resolve();
+    };
+
+    return { send, render, processOutbox, retry, start, stop, transport };
+};
+
+module.exports = { createMailer, createTransport, createSmtpTransport, createFileTransport, createTemplateRenderer, fillPlaceholders };
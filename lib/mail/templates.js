@@ -0,0 +1,62 @@
+// File-based email templates.
+//
+// Each template is a pair of files in templates/email: <name>.html and <name>.txt.
+// `{{ path }}` inserts a value (HTML-escaped in .html templates), `{{{ path }}}`
+// inserts it raw and is meant only for markup the server built itself.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', '..', 'templates', 'email');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const lookup = (data, keyPath) => {
+    const value = keyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), data);
+    return value == null ? '' : value;
+};
+
+const interpolate = (source, data, { escape }) => {
+    return source
+        .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (match, keyPath) => String(lookup(data, keyPath)))
+        .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+            const value = String(lookup(data, keyPath));
+            return escape ? escapeHtml(value) : value;
+        });
+};
+
+// Fills placeholders in an ad-hoc string (e.g. a saved reply snippet) without escaping
+const fillPlaceholders = (source, data = {}) => interpolate(String(source), data, { escape: false });
+
+const createTemplateRenderer = ({ dir = DEFAULT_TEMPLATE_DIR, cache = true } = {}) => {
+    const sources = new Map();
+
+    const load = (file) => {
+        if (cache && sources.has(file)) return sources.get(file);
+
+        const fullPath = path.join(dir, file);
+        const source = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+        if (cache) sources.set(file, source);
+        return source;
+    };
+
+    // Returns { html, text }; a template needs at least one of the two files
+    return (name, data = {}) => {
+        if (!/^[\w-]+$/.test(name)) throw new Error(`Invalid email template name: ${name}`);
+
+        const html = load(`${name}.html`);
+        const text = load(`${name}.txt`);
+        if (html === null && text === null) throw new Error(`Email template not found: ${name}`);
+
+        return {
+            html: html === null ? undefined : interpolate(html, data, { escape: true }),
+            text: text === null ? undefined : interpolate(text, data, { escape: false })
+        };
+    };
+};
+
+module.exports = { createTemplateRenderer, fillPlaceholders, escapeHtml };
@@ -0,0 +1,52 @@
+// Mail transports. Both expose nodemailer's `sendMail(message)` interface.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// SMTP from EMAIL_HOST/PORT/SECURE, falling back to Gmail when no host is set
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const auth = user ? { user, pass } : undefined;
+
+    if (!host) {
+        return nodemailer.createTransport({ service: 'gmail', auth });
+    }
+
+    return nodemailer.createTransport({
+        host,
+        port: Number(port) || 587,
+        secure: secure === true || secure === 'true',
+        auth
+    });
+};
+
+// Writes every message as a JSON file (when `dir` is set) and keeps it in
+// `transport.messages`, for local development and tests.
+const createFileTransport = ({ dir } = {}) => {
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+    const messages = [];
+
+    return {
+        messages,
+        async sendMail (message) {
+            const info = await jsonTransport.sendMail(message);
+            const sent = JSON.parse(info.message);
+            messages.push(sent);
+
+            if (dir) {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+                await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(sent, null, 2));
+            }
+
+            return info;
+        }
+    };
+};
+
+const createTransport = (config) => {
+    return config.transport === 'file'
+        ? createFileTransport({ dir: config.outputDir })
+        : createSmtpTransport(config);
+};
+
+module.exports = { createTransport, createSmtpTransport, createFileTransport };
@@ -0,0 +1,135 @@
+// Markdown rendering for blog posts: sanitized HTML, table of contents,
+// excerpt and reading time, cached per post revision.
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const hljs = require('highlight.js');
+const { slugify } = require('./slug');
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 160;
+const CACHE_LIMIT = 200;
+
+const sanitizeOptions = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del', 'input']),
+    allowedAttributes: {
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+        code: ['class'],
+        span: ['class'],
+        pre: ['class'],
+        th: ['align'],
+        td: ['align'],
+        input: ['type', 'checked', 'disabled'],
+        h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id']
+    },
+    allowedClasses: {
+        code: ['hljs', /^language-[\w-]+$/],
+        span: [/^hljs-[\w-]+$/],
+        pre: ['code-block']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    transformTags: {
+        a: (tagName, attribs) => {
+            if (/^https?:\/\//i.test(attribs.href || '')) {
+                attribs.target = '_blank';
+                attribs.rel = 'noopener noreferrer';
+            }
+            return { tagName, attribs };
+        },
+        img: sanitizeHtml.simpleTransform('img', { loading: 'lazy' })
+    }
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Decoded in one pass, so text that reads "&lt;" stays "&lt;" instead of becoming "<"
+const toPlainText = (html) => sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&(?:amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const truncate = (text, length) => {
+    if (text.length <= length) return text;
+    const cut = text.slice(0, length);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+const renderMarkdown = (markdown) => {
+    const toc = [];
+    const usedIds = new Map();
+    let firstParagraph = '';
+
+    const marked = new Marked({
+        gfm: true,
+        renderer: {
+            heading (token) {
+                const html = this.parser.parseInline(token.tokens);
+                const base = slugify(toPlainText(html)) || 'section';
+                const count = usedIds.get(base) || 0;
+                const id = count ? `${base}-${count + 1}` : base;
+                usedIds.set(base, count + 1);
+
+                toc.push({ id, text: toPlainText(html), level: token.depth });
+                return `<h${token.depth} id="${id}">${html}</h${token.depth}>\n`;
+            },
+            paragraph (token) {
+                const html = this.parser.parseInline(token.tokens);
+                if (!firstParagraph) firstParagraph = toPlainText(html);
+                return `<p>${html}</p>\n`;
+            },
+            code (token) {
+                const lang = (token.lang || '').split(/\s/)[0].toLowerCase();
+                const highlighted = lang && hljs.getLanguage(lang)
+                    ? hljs.highlight(token.text, { language: lang, ignoreIllegals: true }).value
+                    : escapeHtml(token.text);
+                const className = lang ? `hljs language-${escapeHtml(lang)}` : 'hljs';
+                return `<pre class="code-block"><code class="${className}">${highlighted}</code></pre>\n`;
+            }
+        }
+    });
+
+    const html = sanitizeHtml(marked.parse(markdown || ''), sanitizeOptions);
+    const text = toPlainText(html);
+    const words = text ? text.split(' ').length : 0;
+
+    return {
+        html,
+        toc,
+        excerpt: truncate(firstParagraph || text, EXCERPT_LENGTH),
+        wordCount: words,
+        readingTime: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE))
+    };
+};
+
+// Rendered output keyed by post id. Entries carry the post's updatedAt so an
+// edit that skipped invalidation still never serves stale HTML.
+const cache = new Map();
+
+const renderBlog = (blog) => {
+    const id = String(blog._id);
+    const version = blog.updatedAt ? new Date(blog.updatedAt).getTime() : 0;
+    const cached = cache.get(id);
+
+    if (cached && cached.version === version) return cached.rendered;
+
+    const rendered = renderMarkdown(blog.content);
+    cache.delete(id);
+    cache.set(id, { version, rendered });
+    if (cache.size > CACHE_LIMIT) cache.delete(cache.keys().next().value);
+
+    return rendered;
+};
+
+const invalidateRendered = (id) => {
+    cache.delete(String(id));
+};
+
+module.exports = { renderMarkdown, renderBlog, invalidateRendered, toPlainText, escapeHtml };
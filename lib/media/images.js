@@ -0,0 +1,103 @@
+// Image inspection and processing: file type sniffing from magic bytes, EXIF
+// stripping, responsive WebP/AVIF variants and a tiny blurred placeholder.
+const sharp = require('sharp');
+
+const VARIANT_WIDTHS = [320, 640, 1024, 1600];
+const VARIANT_FORMATS = ['webp', 'avif'];
+const PLACEHOLDER_WIDTH = 16;
+
+const FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    png: { mimeType: 'image/png', extension: 'png' },
+    gif: { mimeType: 'image/gif', extension: 'gif' },
+    webp: { mimeType: 'image/webp', extension: 'webp' },
+    avif: { mimeType: 'image/avif', extension: 'avif' }
+};
+
+const startsWith = (buffer, bytes, offset = 0) => {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// The real type of an upload, whatever its name or Content-Type claim. Returns
+// one of the FORMATS keys, or null for anything that isn't a supported image.
+const detectImageType = (buffer) => {
+    if (!Buffer.isBuffer(buffer)) return null;
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'gif';
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'webp';
+    if (startsWith(buffer, ascii('ftyp'), 4) && (startsWith(buffer, ascii('avif'), 8) || startsWith(buffer, ascii('avis'), 8))) {
+        return 'avif';
+    }
+    return null;
+};
+
+// Widths to generate: the breakpoints below the original width, plus the original
+// width itself unless it is larger than the biggest breakpoint
+const variantWidths = (width) => {
+    const widths = VARIANT_WIDTHS.filter(candidate => candidate < width);
+    if (!widths.length || width <= VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]) widths.push(width);
+    return widths;
+};
+
+// Resolves to { type, width, height, original, variants, placeholder }. `original`
+// is the image re-encoded in its own format without metadata (sharp drops EXIF,
+// GPS and ICC data unless asked to keep it), rotated upright first.
+const processImage = async (buffer) => {
+    const type = detectImageType(buffer);
+    if (!type) throw new Error('Unsupported image type');
+
+    const animated = type === 'gif' || type === 'webp';
+    const source = () => {
+        const image = sharp(buffer, { animated, failOn: 'error' });
+        return animated ? image : image.rotate();
+    };
+
+    const metadata = await sharp(buffer, { failOn: 'error' }).metadata();
+    // Orientations 5-8 swap width and height once rotated upright
+    const swapped = !animated && metadata.orientation >= 5;
+    const width = swapped ? metadata.height : metadata.width;
+    const height = swapped ? metadata.width : (animated ? (metadata.pageHeight || metadata.height) : metadata.height);
+
+    const original = await source().toFormat(type).toBuffer();
+
+    const variants = [];
+    for (const variantWidth of variantWidths(width)) {
+        for (const format of VARIANT_FORMATS) {
+            // sharp can't write animated AVIF, so that one is a still of the first frame
+            const image = format === 'avif' && animated ? sharp(buffer, { failOn: 'error' }) : source();
+            const { data, info } = await image
+                .resize({ width: variantWidth, withoutEnlargement: true })
+                .toFormat(format, format === 'avif' ? { quality: 50 } : { quality: 75 })
+                .toBuffer({ resolveWithObject: true });
+
+            variants.push({
+                format,
+                width: info.width,
+                height: info.pageHeight || info.height,
+                size: data.length,
+                buffer: data
+            });
+        }
+    }
+
+    const placeholder = await sharp(buffer, { failOn: 'error' })
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        type,
+        width,
+        height,
+        original,
+        variants,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+    };
+};
+
+module.exports = { detectImageType, processImage, FORMATS, VARIANT_WIDTHS };
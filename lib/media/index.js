@@ -0,0 +1,180 @@
+// Media library: uploaded images are validated, stripped of metadata, turned into
+// responsive variants and stored through a storage adapter (see ./storage).
+//
+// Files are never deleted just because a document stopped pointing at them;
+// `findOrphans`/`sweep` compare what is stored against what projects and blog
+// posts still reference, and only remove what nothing uses.
+const crypto = require('crypto');
+const { detectImageType, processImage, FORMATS } = require('./images');
+const { createStorage, createLocalStorage } = require('./storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class MediaError extends Error {
+    constructor (message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const createMediaLibrary = ({
+    Media,
+    storage,
+    // Resolves to every string (URLs, Markdown, HTML) that may reference a media URL
+    findReferences,
+    graceMs = 24 * HOUR_MS, // uploads younger than this are never orphans
+    sweepIntervalMs = 24 * HOUR_MS,
+    clock = () => new Date(),
+    logger = console
+}) => {
+    let timer = null;
+
+    const keysOf = (media) => [media.key, ...media.variants.map(variant => variant.key)];
+    const urlsOf = (media) => [media.url, ...media.variants.map(variant => variant.url)];
+
+    const isReferenced = (urls, references) => urls.some(url => references.some(text => text.includes(url)));
+
+    const loadReferences = async () => (await findReferences()).filter(text => typeof text === 'string' && text);
+
+    // Stores an uploaded image and its variants. Resolves to the saved Media document.
+    const ingest = async (buffer, { originalName, alt, tags, uploadedBy } = {}) => {
+        const type = detectImageType(buffer);
+        if (!type) throw new MediaError('Only JPEG, PNG, GIF, WebP and AVIF images are allowed');
+
+        let processed;
+        try {
+            processed = await processImage(buffer);
+        } catch (error) {
+            throw new MediaError('The image could not be read');
+        }
+
+        const base = crypto.randomBytes(12).toString('hex');
+        const key = `${base}.${FORMATS[type].extension}`;
+        const variants = processed.variants.map(variant => ({
+            ...variant,
+            key: `${base}-${variant.width}.${FORMATS[variant.format].extension}`
+        }));
+        const stored = [];
+
+        try {
+            await storage.put(key, processed.original, { contentType: FORMATS[type].mimeType });
+            stored.push(key);
+            for (const variant of variants) {
+                await storage.put(variant.key, variant.buffer, { contentType: FORMATS[variant.format].mimeType });
+                stored.push(variant.key);
+            }
+
+            return await Media.create({
+                fileName: originalName,
+                key,
+                url: storage.url(key),
+                mimeType: FORMATS[type].mimeType,
+                size: processed.original.length,
+                width: processed.width,
+                height: processed.height,
+                alt,
+                tags,
+                placeholder: processed.placeholder,
+                variants: variants.map(variant => ({
+                    format: variant.format,
+                    width: variant.width,
+                    height: variant.height,
+                    size: variant.size,
+                    key: variant.key,
+                    url: storage.url(variant.key)
+                })),
+                uploadedBy,
+                createdAt: clock(),
+                updatedAt: clock()
+            });
+        } catch (error) {
+            await Promise.all(stored.map(storedKey => storage.remove(storedKey).catch(() => {})));
+            throw error;
+        }
+    };
+
+    const remove = async (media) => {
+        await Promise.all(keysOf(media).map(key => storage.remove(key)));
+        await Media.deleteOne({ _id: media._id });
+    };
+
+    // The Media document serving a URL (its original or any variant)
+    const findByUrl = (url) => Media.findOne({ $or: [{ url }, { 'variants.url': url }] });
+
+    const isInUse = async (media) => isReferenced(urlsOf(media), await loadReferences());
+
+    // Deletes whatever a URL pointed at if nothing references it any more. Used when
+    // a project image is replaced, so direct uploads don't pile up until the next sweep.
+    const release = async (url) => {
+        if (!url) return false;
+        const references = await loadReferences();
+        if (isReferenced([url], references)) return false;
+
+        const media = await findByUrl(url);
+        if (media) {
+            if (isReferenced(urlsOf(media), references)) return false;
+            await remove(media);
+            return true;
+        }
+
+        // Files uploaded before the media library existed
+        const key = storage.keyFromUrl(url);
+        if (!key) return false;
+        await storage.remove(key);
+        return true;
+    };
+
+    // Media documents and stray files (e.g. uploads from before the media library)
+    // that nothing references and that are older than the grace period
+    const findOrphans = async () => {
+        const cutoff = new Date(clock().getTime() - graceMs);
+        const [references, library, files] = await Promise.all([
+            loadReferences(),
+            Media.find().lean(),
+            storage.list()
+        ]);
+
+        const knownKeys = new Set(library.flatMap(keysOf));
+        const media = library.filter(item => item.createdAt < cutoff && !isReferenced(urlsOf(item), references));
+        const strays = files.filter(file => (
+            !knownKeys.has(file.key) &&
+            file.modifiedAt < cutoff &&
+            !isReferenced([storage.url(file.key)], references)
+        ));
+
+        return { media, files: strays };
+    };
+
+    const sweep = async ({ dryRun = false } = {}) => {
+        const orphans = await findOrphans();
+        if (dryRun) return { ...orphans, dryRun };
+
+        for (const media of orphans.media) await remove(media);
+        for (const file of orphans.files) await storage.remove(file.key);
+
+        return { ...orphans, dryRun };
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            sweep()
+                .then(result => {
+                    if (result.media.length || result.files.length) {
+                        logger.info('Media sweep finished', { removedMedia: result.media.length, removedFiles: result.files.length });
+                    }
+                })
+                .catch(error => logger.error('Media sweep error', { error }));
+        }, sweepIntervalMs);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return { ingest, remove, release, findByUrl, isInUse, findOrphans, sweep, start, stop, storage };
+};
+
+module.exports = { createMediaLibrary, createStorage, createLocalStorage, detectImageType, MediaError };
@@ -0,0 +1,82 @@
+// Storage adapters for media files. Every adapter exposes the same interface, so an
+// S3-compatible adapter can be dropped in later without touching the media library:
+//
+//   put(key, buffer, { contentType })  stores a file
+//   get(key)                           resolves to its contents (null when missing)
+//   remove(key)                        deletes it (missing files are not an error)
+//   list()                             resolves to [{ key, size, modifiedAt }]
+//   url(key)                           public URL of a stored file
+//   keyFromUrl(url)                    the reverse, or null for URLs it doesn't serve
+const fs = require('fs');
+const path = require('path');
+
+// Files under `dir`, served by express.static at `publicPath`
+const createLocalStorage = ({ dir = 'uploads', publicPath = '/uploads' } = {}) => {
+    // Keys are flat file names; anything else could escape `dir`
+    const resolve = (key) => {
+        const name = path.basename(String(key));
+        if (!name || name !== key || name.startsWith('.')) throw new Error(`Invalid storage key: ${key}`);
+        return path.join(dir, name);
+    };
+
+    return {
+        dir,
+
+        async put (key, buffer) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(resolve(key), buffer);
+        },
+
+        async get (key) {
+            try {
+                return await fs.promises.readFile(resolve(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async remove (key) {
+            try {
+                await fs.promises.unlink(resolve(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        async list () {
+            let names;
+            try {
+                names = await fs.promises.readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const files = [];
+            for (const name of names) {
+                if (name.startsWith('.')) continue;
+                const stat = await fs.promises.stat(path.join(dir, name));
+                if (stat.isFile()) files.push({ key: name, size: stat.size, modifiedAt: stat.mtime });
+            }
+            return files;
+        },
+
+        url: (key) => `${publicPath}/${key}`,
+
+        keyFromUrl: (url) => {
+            const prefix = `${publicPath}/`;
+            if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+            const key = url.slice(prefix.length).split(/[?#]/)[0];
+            return key && !key.includes('/') ? key : null;
+        }
+    };
+};
+
+const createStorage = (config = {}) => {
+    const driver = config.driver || 'local';
+    if (driver === 'local') return createLocalStorage({ dir: config.dir, publicPath: config.publicPath });
+    throw new Error(`Unknown media storage driver: ${driver}`);
+};
+
+module.exports = { createStorage, createLocalStorage };
@@ -0,0 +1,279 @@
+// Newsletter: double opt-in subscriptions, signed unsubscribe links and new-post
+// announcements.
+//
+// Announcements are campaigns (one per post) that are worked through in batches:
+// each run queues the next `batchSize` confirmed subscribers into the mail outbox
+// and then waits `batchIntervalMs`, so a large list never floods the SMTP server.
+// A campaign for a scheduled post waits until the post is live, and is cancelled
+// if the post is unpublished or deleted before it goes out.
+const jwt = require('jsonwebtoken');
+
+const CONFIRM_PURPOSE = 'newsletter-confirm';
+const UNSUBSCRIBE_PURPOSE = 'newsletter-unsubscribe';
+const DEFAULTS = {
+    batchSize: 50,
+    batchIntervalMs: 60 * 1000,
+    pollIntervalMs: 60 * 1000,
+    lockTimeoutMs: 10 * 60 * 1000,
+    confirmTokenTtl: '7d',
+    resendConfirmationMs: 10 * 60 * 1000 // don't re-send the confirmation more often than this
+};
+
+const createNewsletter = ({
+    Subscriber,
+    Campaign,
+    Blog,
+    Outbox,
+    mailer,
+    secret,
+    links, // { confirm(token), unsubscribe(token), post(blog) } -> absolute URLs
+    isLive,
+    render,
+    clock = () => new Date(),
+    logger = console,
+    options = {}
+}) => {
+    const settings = { ...DEFAULTS, ...options };
+    let timer = null;
+    let processing = null;
+
+    const readToken = (token, purpose) => {
+        try {
+            const payload = jwt.verify(String(token || ''), secret);
+            return payload.purpose === purpose ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const confirmToken = (subscriber) => jwt.sign(
+        { purpose: CONFIRM_PURPOSE, sub: String(subscriber._id) },
+        secret,
+        { expiresIn: settings.confirmTokenTtl }
+    );
+
+    // Never expires, so links in old emails keep working
+    const unsubscribeToken = (subscriber) => jwt.sign({ purpose: UNSUBSCRIBE_PURPOSE, sub: String(subscriber._id) }, secret);
+
+    // RFC 2369 / RFC 8058 one-click unsubscribe headers
+    const unsubscribeHeaders = (subscriber) => ({
+        'List-Unsubscribe': `<${links.unsubscribe(unsubscribeToken(subscriber))}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+
+    // Starts (or restarts) a subscription and emails the confirmation link.
+    // Confirmed subscribers are left alone; callers should respond the same way in
+    // every case so the endpoint can't be used to check who is subscribed.
+    const subscribe = async (email, { source } = {}) => {
+        const now = clock();
+        let subscriber = await Subscriber.findOne({ email });
+
+        if (subscriber && subscriber.status === 'confirmed') return subscriber;
+        if (subscriber && subscriber.status === 'pending' && subscriber.confirmationSentAt &&
+            now - subscriber.confirmationSentAt < settings.resendConfirmationMs) {
+            return subscriber;
+        }
+
+        if (!subscriber) subscriber = new Subscriber({ email, source, createdAt: now });
+        subscriber.status = 'pending';
+        subscriber.confirmationSentAt = now;
+        await subscriber.save();
+
+        await mailer.send({
+            template: 'newsletter-confirm',
+            data: {
+                confirmUrl: links.confirm(confirmToken(subscriber)),
+                unsubscribeUrl: links.unsubscribe(unsubscribeToken(subscriber))
+            },
+            to: subscriber.email,
+            subject: 'Please confirm your subscription'
+        });
+
+        return subscriber;
+    };
+
+    // Resolves to the subscriber, or null for an invalid/expired token
+    const confirm = async (token) => {
+        const payload = readToken(token, CONFIRM_PURPOSE);
+        const subscriber = payload && await Subscriber.findById(payload.sub);
+        if (!subscriber) return null;
+
+        if (subscriber.status !== 'confirmed') {
+            subscriber.status = 'confirmed';
+            subscriber.confirmedAt = clock();
+            subscriber.unsubscribedAt = undefined;
+            await subscriber.save();
+        }
+        return subscriber;
+    };
+
+    const unsubscribe = async (token) => {
+        const payload = readToken(token, UNSUBSCRIBE_PURPOSE);
+        const subscriber = payload && await Subscriber.findById(payload.sub);
+        if (!subscriber) return null;
+
+        if (subscriber.status !== 'unsubscribed') {
+            subscriber.status = 'unsubscribed';
+            subscriber.unsubscribedAt = clock();
+            await subscriber.save();
+        }
+        return subscriber;
+    };
+
+    // Creates the announcement campaign for a newly published post (at most one per
+    // post). A campaign cancelled before anything was sent is scheduled again.
+    const announce = async (blog) => {
+        const sendAt = blog.publishedAt && blog.publishedAt > clock() ? blog.publishedAt : clock();
+
+        const campaign = await Campaign.findOneAndUpdate(
+            { blog: blog._id },
+            {
+                $setOnInsert: {
+                    blog: blog._id,
+                    subject: `New post: ${blog.title}`,
+                    status: 'scheduled',
+                    nextBatchAt: sendAt,
+                    createdAt: clock()
+                }
+            },
+            { upsert: true, new: true }
+        );
+
+        if (campaign.status === 'cancelled' && !campaign.recipients) {
+            campaign.status = 'scheduled';
+            campaign.nextBatchAt = sendAt;
+            campaign.subject = `New post: ${blog.title}`;
+            await campaign.save();
+        }
+        return campaign;
+    };
+
+    const claimNext = () => {
+        const now = clock();
+        return Campaign.findOneAndUpdate(
+            {
+                status: { $in: ['scheduled', 'sending'] },
+                nextBatchAt: { $lte: now },
+                $or: [{ lockedAt: null }, { lockedAt: { $lte: new Date(now.getTime() - settings.lockTimeoutMs) } }]
+            },
+            { $set: { lockedAt: now } },
+            { sort: { nextBatchAt: 1 }, new: true }
+        );
+    };
+
+    const sendBatch = async (campaign) => {
+        const now = clock();
+        const blog = await Blog.findById(campaign.blog);
+
+        if (!blog || !blog.published) {
+            campaign.status = 'cancelled';
+        } else if (!isLive(blog, now)) {
+            // Rescheduled to a later date since the campaign was created
+            campaign.status = 'scheduled';
+            campaign.nextBatchAt = blog.publishedAt;
+        } else {
+            const subscribers = await Subscriber.find({
+                status: 'confirmed',
+                ...(campaign.cursor ? { _id: { $gt: campaign.cursor } } : {})
+            })
+                .sort({ _id: 1 })
+                .limit(settings.batchSize);
+
+            const data = {
+                title: blog.title,
+                excerpt: blog.excerpt || render(blog).excerpt,
+                postUrl: links.post(blog)
+            };
+
+            campaign.status = 'sending';
+            campaign.startedAt = campaign.startedAt || now;
+
+            for (const subscriber of subscribers) {
+                await mailer.send({
+                    template: 'newsletter-announcement',
+                    data: { ...data, unsubscribeUrl: links.unsubscribe(unsubscribeToken(subscriber)) },
+                    to: subscriber.email,
+                    subject: campaign.subject,
+                    headers: unsubscribeHeaders(subscriber),
+                    campaign: campaign._id
+                });
+                // Saved per recipient so a crash mid-batch never emails anyone twice
+                campaign.cursor = subscriber._id;
+                campaign.recipients = (campaign.recipients || 0) + 1;
+                await campaign.save();
+            }
+
+            if (subscribers.length < settings.batchSize) {
+                campaign.status = 'completed';
+                campaign.completedAt = now;
+            } else {
+                campaign.nextBatchAt = new Date(now.getTime() + settings.batchIntervalMs);
+            }
+        }
+
+        campaign.lockedAt = null;
+        await campaign.save();
+        return campaign;
+    };
+
+    // Sends every batch that is due; concurrent calls share one run
+    const processCampaigns = () => {
+        if (processing) return processing;
+
+        processing = (async () => {
+            let batches = 0;
+            try {
+                let campaign;
+                while ((campaign = await claimNext())) {
+                    await sendBatch(campaign);
+                    batches += 1;
+                }
+            } finally {
+                processing = null;
+            }
+            return batches;
+        })();
+
+        return processing;
+    };
+
+    // Delivery counts for a campaign, from the outbox messages it queued
+    const report = async (campaign) => {
+        const [rows, failures] = await Promise.all([
+            Outbox.aggregate([
+                { $match: { campaign: campaign._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            Outbox.find({ campaign: campaign._id, status: 'failed' })
+                .sort({ createdAt: -1 })
+                .limit(50)
+                .select('to lastError attempts createdAt')
+        ]);
+
+        const delivery = { queued: 0, pending: 0, sending: 0, sent: 0, failed: 0 };
+        rows.forEach(row => {
+            delivery[row._id] = row.count;
+            delivery.queued += row.count;
+        });
+
+        return { delivery, failures };
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            processCampaigns().catch(error => logger.error('Newsletter error', { error }));
+        }, settings.pollIntervalMs);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return processing || Promise.resolve();
+    };
+
+    return { subscribe, confirm, unsubscribe, announce, processCampaigns, report, start, stop };
+};
+
+module.exports = { createNewsletter };
@@ -0,0 +1,311 @@
+// OpenAPI 3 document and a browsable docs page, generated from the app's own routes.
+//
+// Each route carries its schema on its `validate` middleware (see ./schema), and the
+// auth middleware in its stack tells whether it needs an access token and which
+// permission, so the documentation always matches what the server enforces.
+const { toJsonSchema, VALIDATION_MESSAGE } = require('./schema');
+const { escapeHtml } = require('./markdown');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const JSON_TYPE = 'application/json';
+
+const errorContent = (name) => ({ [JSON_TYPE]: { schema: { $ref: `#/components/schemas/${name}` } } });
+
+const COMPONENTS = {
+    securitySchemes: {
+        bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT',
+            description: 'Access token from POST /api/admin/login'
+        }
+    },
+    schemas: {
+        Error: {
+            type: 'object',
+            properties: { message: { type: 'string' } },
+            required: ['message']
+        },
+        ValidationError: {
+            type: 'object',
+            properties: {
+                message: { type: 'string', example: VALIDATION_MESSAGE },
+                errors: {
+                    type: 'object',
+                    description: 'Error message per failing field (nested fields use dots, e.g. "ids.0")',
+                    additionalProperties: { type: 'string' },
+                    example: { email: 'Invalid email format' }
+                }
+            },
+            required: ['message', 'errors']
+        }
+    },
+    responses: {
+        ValidationError: { description: 'Invalid request', content: errorContent('ValidationError') },
+        Unauthorized: { description: 'Missing or expired access token', content: errorContent('Error') },
+        Forbidden: { description: 'The account lacks the required permission', content: errorContent('Error') },
+        NotFound: { description: 'Not found', content: errorContent('Error') }
+    }
+};
+
+// "/api/blog/:slug" -> "/api/blog/{slug}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParams = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// Every method/path registered with app.get/post/..., in registration order
+const routesOf = (app) => (app._router ? app._router.stack : [])
+    .filter(layer => layer.route && typeof layer.route.path === 'string')
+    .flatMap(layer => METHODS
+        .filter(method => layer.route.methods[method])
+        .map(method => ({ method, path: layer.route.path, handlers: layer.route.stack.map(item => item.handle) })));
+
+const describeParameters = (path, schema) => {
+    const params = schema.params ? schema.params.fields : {};
+    const query = schema.query ? schema.query.fields : {};
+
+    return [
+        ...pathParams(path).map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: params[name] ? toJsonSchema(params[name]) : { type: 'string' }
+        })),
+        ...Object.keys(query).map(name => ({
+            name,
+            in: 'query',
+            required: Boolean(query[name].required),
+            schema: toJsonSchema(query[name])
+        }))
+    ];
+};
+
+// JSON bodies, plus multipart/form-data for routes that accept an upload
+const describeRequestBody = (schema) => {
+    if (!schema.body && !schema.file) return undefined;
+
+    const json = schema.body ? toJsonSchema(schema.body) : { type: 'object', properties: {} };
+    const content = {};
+
+    if (schema.file) {
+        const required = [...(json.required || []), ...(schema.fileRequired ? [schema.file] : [])];
+        content['multipart/form-data'] = {
+            schema: {
+                ...json,
+                properties: { ...json.properties, [schema.file]: { type: 'string', format: 'binary' } },
+                ...(required.length ? { required } : {})
+            }
+        };
+    }
+    if (!schema.fileRequired) content[JSON_TYPE] = { schema: json };
+
+    return { required: Boolean(json.required || schema.fileRequired), content };
+};
+
+const describeOperation = ({ method, path, handlers }, { authenticate, optionalAuthenticate }) => {
+    const { schema = {} } = handlers.find(handle => handle.schema) || {};
+    const { permission } = handlers.find(handle => handle.permission) || {};
+    const secured = handlers.includes(authenticate);
+    const hasInput = Boolean(schema.params || schema.query || schema.body || schema.file);
+
+    const description = [
+        schema.description,
+        permission && `Requires the \`${permission}\` permission.`
+    ].filter(Boolean).join('\n\n');
+
+    const success = { description: schema.responseDescription || 'Success' };
+    if (schema.contentType) success.content = { [schema.contentType]: { schema: { type: 'string' } } };
+
+    const responses = { [schema.status || 200]: success };
+    if (hasInput) responses[400] = { $ref: '#/components/responses/ValidationError' };
+    if (secured) responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    if (permission) responses[403] = { $ref: '#/components/responses/Forbidden' };
+    if (pathParams(path).length) responses[404] = { $ref: '#/components/responses/NotFound' };
+    Object.keys(schema.responses || {}).forEach(status => {
+        responses[status] = { description: schema.responses[status], content: errorContent('Error') };
+    });
+
+    const operation = {
+        summary: schema.summary || `${method.toUpperCase()} ${path}`,
+        tags: schema.tags || ['Other']
+    };
+    if (description) operation.description = description;
+
+    const parameters = describeParameters(path, schema);
+    if (parameters.length) operation.parameters = parameters;
+
+    const requestBody = describeRequestBody(schema);
+    if (requestBody) operation.requestBody = requestBody;
+
+    operation.responses = responses;
+    if (secured) operation.security = [{ bearerAuth: [] }];
+    else if (handlers.includes(optionalAuthenticate)) operation.security = [{}, { bearerAuth: [] }];
+    if (permission) operation['x-permission'] = permission;
+
+    return operation;
+};
+
+// `authenticate`/`optionalAuthenticate` are the app's auth middleware, used to spot
+// which routes need (or accept) an access token
+const buildOpenApiDocument = (app, { info, servers = [], authenticate, optionalAuthenticate }) => {
+    const paths = {};
+    const tags = [];
+
+    routesOf(app).forEach(route => {
+        const operation = describeOperation(route, { authenticate, optionalAuthenticate });
+        const key = toOpenApiPath(route.path);
+
+        paths[key] = paths[key] || {};
+        paths[key][route.method] = operation;
+        operation.tags.forEach(tag => {
+            if (!tags.includes(tag)) tags.push(tag);
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers,
+        tags: tags.map(name => ({ name })),
+        paths,
+        components: COMPONENTS
+    };
+};
+
+// Docs page
+
+const typeOf = (json) => {
+    if (!json) return '';
+    if (json.$ref) return json.$ref.split('/').pop();
+    if (json.type === 'array') return `${typeOf(json.items)}[]`;
+    if (json.format === 'binary') return 'file';
+    return json.format ? `${json.type} (${json.format})` : json.type;
+};
+
+const constraintsOf = (json) => [
+    json.enum && `one of: ${json.enum.join(', ')}`,
+    json.minLength !== undefined && `min length ${json.minLength}`,
+    json.maxLength !== undefined && `max length ${json.maxLength}`,
+    json.minimum !== undefined && `min ${json.minimum}`,
+    json.maximum !== undefined && `max ${json.maximum}`,
+    json.minItems !== undefined && `min ${json.minItems} items`,
+    json.maxItems !== undefined && `max ${json.maxItems} items`,
+    json.pattern && `pattern ${json.pattern}`,
+    json.nullable && 'nullable',
+    json.default !== undefined && `default ${JSON.stringify(json.default)}`
+].filter(Boolean).join('; ');
+
+// Descriptions use `code` spans and blank lines between paragraphs
+const inlineMarkup = (text) => escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\n\n/g, '</p><p>');
+
+const fieldRows = (rows) => `
+            <table>
+                <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Required</th><th>Details</th></tr></thead>
+                <tbody>${rows.map(row => `
+                    <tr>
+                        <td><code>${escapeHtml(row.name)}</code></td>
+                        <td>${escapeHtml(row.in)}</td>
+                        <td>${escapeHtml(typeOf(row.schema))}</td>
+                        <td>${row.required ? 'yes' : ''}</td>
+                        <td>${escapeHtml([row.schema.description, constraintsOf(row.schema)].filter(Boolean).join('. '))}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+const renderOperation = (method, path, operation) => {
+    const rows = (operation.parameters || []).map(parameter => ({ ...parameter }));
+    const content = operation.requestBody && operation.requestBody.content;
+    const bodyType = content && Object.keys(content)[0];
+
+    if (bodyType) {
+        const body = content[bodyType].schema;
+        Object.keys(body.properties || {}).forEach(name => {
+            rows.push({
+                name,
+                in: bodyType === JSON_TYPE ? 'body' : 'form',
+                required: (body.required || []).includes(name),
+                schema: body.properties[name]
+            });
+        });
+    }
+
+    const responses = Object.keys(operation.responses).map(status => {
+        const response = operation.responses[status];
+        const description = response.$ref ? COMPONENTS.responses[response.$ref.split('/').pop()].description : response.description;
+        return `<li><code>${escapeHtml(status)}</code> ${escapeHtml(description)}</li>`;
+    }).join('');
+
+    return `
+        <details class="operation">
+            <summary>
+                <span class="method ${method}">${method.toUpperCase()}</span>
+                <code class="path">${escapeHtml(path)}</code>
+                <span class="summary">${escapeHtml(operation.summary)}</span>
+                ${operation.security && !operation['x-permission'] && operation.security.length === 1 ? '<span class="badge">token</span>' : ''}
+                ${operation['x-permission'] ? `<span class="badge">${escapeHtml(operation['x-permission'])}</span>` : ''}
+            </summary>
+            ${operation.description ? `<p>${inlineMarkup(operation.description)}</p>` : ''}
+            ${bodyType && bodyType !== JSON_TYPE ? `<p>Body: <code>${escapeHtml(Object.keys(content).join(' or '))}</code></p>` : ''}
+            ${rows.length ? fieldRows(rows) : '<p class="muted">No parameters.</p>'}
+            <ul class="responses">${responses}</ul>
+        </details>`;
+};
+
+// Self-contained HTML (no scripts), so it works under the site's Content Security Policy
+const renderDocsPage = (document, { specUrl }) => {
+    const sections = document.tags.map(({ name }) => {
+        const operations = [];
+        Object.keys(document.paths).forEach(path => {
+            Object.keys(document.paths[path]).forEach(method => {
+                const operation = document.paths[path][method];
+                if (operation.tags.includes(name)) operations.push(renderOperation(method, path, operation));
+            });
+        });
+        return `
+    <section id="${escapeHtml(name.toLowerCase().replace(/\W+/g, '-'))}">
+        <h2>${escapeHtml(name)}</h2>${operations.join('')}
+    </section>`;
+    }).join('');
+
+    const nav = document.tags
+        .map(({ name }) => `<a href="#${escapeHtml(name.toLowerCase().replace(/\W+/g, '-'))}">${escapeHtml(name)}</a>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(document.info.title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 1000px; margin: 0 auto; padding: 2rem 1.5rem; color: #333; line-height: 1.5; }
+        h1, h2 { color: #667eea; }
+        nav { display: flex; flex-wrap: wrap; gap: 0.5rem 1rem; margin-bottom: 1.5rem; }
+        a { color: #667eea; }
+        .operation { border: 1px solid #e2e4f0; border-radius: 8px; margin: 0.5rem 0; padding: 0.5rem 1rem; }
+        .operation summary { cursor: pointer; display: flex; flex-wrap: wrap; align-items: center; gap: 0.75rem; }
+        .method { display: inline-block; min-width: 4.5rem; text-align: center; border-radius: 4px; color: #fff; font-weight: bold; font-size: 0.8rem; padding: 2px 6px; }
+        .get { background: #2f9e6e; } .post { background: #3b7dd8; } .put { background: #d98a1f; } .patch { background: #8e5bd8; } .delete { background: #d8453b; }
+        .path { font-weight: bold; }
+        .summary { color: #666; }
+        .badge { margin-left: auto; background: #eef0fb; color: #555; border-radius: 12px; font-size: 0.75rem; padding: 2px 8px; }
+        table { width: 100%; border-collapse: collapse; margin: 0.75rem 0; font-size: 0.9rem; }
+        th, td { text-align: left; border-bottom: 1px solid #eee; padding: 6px 8px; vertical-align: top; }
+        .muted { color: #888; }
+        .responses { font-size: 0.9rem; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(document.info.title)} <small>v${escapeHtml(document.info.version)}</small></h1>
+    <p>${escapeHtml(document.info.description || '')}</p>
+    <p>Machine-readable spec: <a href="${escapeHtml(specUrl)}">${escapeHtml(specUrl)}</a>.
+        Routes marked with a permission need an access token (<code>Authorization: Bearer &lt;token&gt;</code>) for an account with that permission.</p>
+    <nav>${nav}</nav>${sections}
+</body>
+</html>`;
+};
+
+module.exports = { buildOpenApiDocument, renderDocsPage, toOpenApiPath };
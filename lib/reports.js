@@ -0,0 +1,170 @@
+// Analytics report builders for GET /api/analytics.
+// Every breakdown resolves to a flat array of rows so it can be served as JSON or CSV.
+const { isValidTimezone } = require('./timezone');
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = { hour: 31, day: 731, week: 1830, month: 3660 };
+
+class ReportQueryError extends Error {}
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new ReportQueryError(`${name} must be a valid date`);
+    return date;
+};
+
+// Turns ?from&to&granularity&timezone&limit into a validated report range
+const parseReportQuery = (query, now = new Date()) => {
+    const to = query.to ? parseDate(query.to, 'to') : now;
+    const from = query.from ? parseDate(query.from, 'from') : new Date(to.getTime() - 30 * DAY_MS);
+    const granularity = query.granularity || 'day';
+    const timezone = query.timezone || 'UTC';
+    const limit = query.limit === undefined ? 10 : Number(query.limit);
+
+    if (from >= to) throw new ReportQueryError('from must be before to');
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new ReportQueryError(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+    if ((to - from) / DAY_MS > MAX_RANGE_DAYS[granularity]) {
+        throw new ReportQueryError(`Range is too long for ${granularity} granularity (max ${MAX_RANGE_DAYS[granularity]} days)`);
+    }
+    if (!isValidTimezone(timezone)) throw new ReportQueryError('timezone must be an IANA time zone, e.g. Asia/Kolkata');
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) throw new ReportQueryError('limit must be between 1 and 100');
+
+    return { from, to, granularity, timezone, limit };
+};
+
+const bucket = (field, { granularity, timezone }) => ({
+    $dateTrunc: { date: `$${field}`, unit: granularity, timezone, startOfWeek: 'monday' }
+});
+
+const inRange = (field, { from, to }) => ({ [field]: { $gte: from, $lt: to } });
+
+const createReports = ({ Visitor, PageView, Contact }) => {
+    const countBy = (field, label) => async (range) => {
+        const rows = await Visitor.aggregate([
+            { $match: inRange('createdAt', range) },
+            { $group: { _id: { $ifNull: [`$${field}`, 'Unknown'] }, sessions: { $sum: 1 } } },
+            { $sort: { sessions: -1, _id: 1 } },
+            { $limit: range.limit }
+        ]);
+        return rows.map(row => ({ [label]: row._id, sessions: row.sessions }));
+    };
+
+    const reports = {
+        // Sessions and page views per period
+        timeseries: async (range) => {
+            const [sessions, pageViews] = await Promise.all([
+                Visitor.aggregate([
+                    { $match: inRange('createdAt', range) },
+                    { $group: { _id: bucket('createdAt', range), sessions: { $sum: 1 } } }
+                ]),
+                PageView.aggregate([
+                    { $match: inRange('createdAt', range) },
+                    { $group: { _id: bucket('createdAt', range), pageViews: { $sum: 1 } } }
+                ])
+            ]);
+
+            const periods = new Map();
+            sessions.forEach(row => {
+                periods.set(row._id.getTime(), { period: row._id, sessions: row.sessions, pageViews: 0 });
+            });
+            pageViews.forEach(row => {
+                const entry = periods.get(row._id.getTime()) || { period: row._id, sessions: 0, pageViews: 0 };
+                entry.pageViews = row.pageViews;
+                periods.set(row._id.getTime(), entry);
+            });
+
+            return [...periods.values()].sort((a, b) => a.period - b.period);
+        },
+
+        pages: async (range) => {
+            const rows = await PageView.aggregate([
+                { $match: inRange('createdAt', range) },
+                { $group: { _id: '$path', views: { $sum: 1 }, sessions: { $addToSet: '$session' } } },
+                { $project: { views: 1, sessions: { $size: '$sessions' } } },
+                { $sort: { views: -1, _id: 1 } },
+                { $limit: range.limit }
+            ]);
+            return rows.map(row => ({ path: row._id, views: row.views, sessions: row.sessions }));
+        },
+
+        // Grouped by referring host; sessions without a referrer count as "(direct)"
+        referrers: async (range) => {
+            const rows = await Visitor.aggregate([
+                { $match: inRange('createdAt', range) },
+                {
+                    $group: {
+                        _id: {
+                            $let: {
+                                vars: { match: { $regexFind: { input: { $ifNull: ['$referrer', ''] }, regex: /^https?:\/\/([^/?#]+)/i } } },
+                                in: { $ifNull: [{ $arrayElemAt: ['$$match.captures', 0] }, '(direct)'] }
+                            }
+                        },
+                        sessions: { $sum: 1 }
+                    }
+                },
+                { $sort: { sessions: -1, _id: 1 } },
+                { $limit: range.limit }
+            ]);
+            return rows.map(row => ({ referrer: row._id, sessions: row.sessions }));
+        },
+
+        devices: countBy('device', 'device'),
+
+        browsers: countBy('browser', 'browser'),
+
+        countries: countBy('country', 'country'),
+
+        // Views of individual posts (the /blog/:slug page or GET /api/blog/:slug) per period
+        blogViews: async (range) => {
+            const postPath = /^\/(?:api\/)?blog\/([^/]+)$/;
+            const rows = await PageView.aggregate([
+                { $match: { ...inRange('createdAt', range), path: postPath } },
+                {
+                    $group: {
+                        _id: {
+                            slug: {
+                                $let: {
+                                    vars: { match: { $regexFind: { input: '$path', regex: postPath } } },
+                                    in: { $arrayElemAt: ['$$match.captures', 0] }
+                                }
+                            },
+                            period: bucket('createdAt', range)
+                        },
+                        views: { $sum: 1 }
+                    }
+                },
+                { $sort: { '_id.period': 1, views: -1 } }
+            ]);
+            return rows.map(row => ({ period: row._id.period, slug: row._id.slug, views: row.views }));
+        },
+
+        // Share of sessions that ended up submitting the contact form (spam excluded)
+        conversion: async (range) => {
+            const [sessions, contacts] = await Promise.all([
+                Visitor.countDocuments(inRange('createdAt', range)),
+                Contact.countDocuments({ ...inRange('createdAt', range), status: { $ne: 'spam' } })
+            ]);
+            return [{
+                sessions,
+                contacts,
+                conversionRate: sessions ? Number((contacts / sessions).toFixed(4)) : 0
+            }];
+        },
+
+        contacts: async (range) => {
+            const rows = await Contact.aggregate([
+                { $match: inRange('createdAt', range) },
+                { $group: { _id: '$status', count: { $sum: 1 } } },
+                { $sort: { count: -1 } }
+            ]);
+            return rows.map(row => ({ status: row._id, count: row.count }));
+        }
+    };
+
+    return reports;
+};
+
+module.exports = { createReports, parseReportQuery, ReportQueryError, GRANULARITIES };
@@ -0,0 +1,265 @@
+// The resume, built from the Experience, Education and Skill collections.
+//
+// build() returns a JSON Resume document (https://jsonresume.org/schema, v1.0.0).
+// renderHtml() and renderPdf() turn that document into a printable page and a PDF,
+// so every format shows exactly the same content. Dates are kept as entered:
+// "2024", "2024-06" or "2024-06-15"; an empty end date means "Present".
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('./markdown');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "2024-06" -> "Jun 2024", "2024" -> "2024"
+const formatDate = (value) => {
+    const [year, month] = String(value || '').split('-');
+    return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+};
+
+const formatDateRange = (startDate, endDate) => `${formatDate(startDate)} – ${endDate ? formatDate(endDate) : 'Present'}`;
+
+// Explicit order first, then the most recent (ongoing entries before finished ones)
+const byOrderThenRecent = (a, b) => (a.order || 0) - (b.order || 0) ||
+    String(b.endDate || '9999').localeCompare(String(a.endDate || '9999')) ||
+    String(b.startDate || '').localeCompare(String(a.startDate || ''));
+
+// Leaves out empty values so the document only carries what was filled in
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => (
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length)
+)));
+
+const toWork = (experience) => compact({
+    name: experience.organization,
+    position: experience.position,
+    location: experience.location,
+    description: experience.description,
+    url: experience.url,
+    startDate: experience.startDate,
+    endDate: experience.endDate,
+    summary: experience.summary,
+    highlights: experience.highlights
+});
+
+const toEducation = (education) => compact({
+    institution: education.institution,
+    url: education.url,
+    area: education.area,
+    studyType: education.studyType,
+    location: education.location,
+    startDate: education.startDate,
+    endDate: education.endDate,
+    score: education.score,
+    summary: education.summary,
+    courses: education.courses
+});
+
+// `icon` (a Font Awesome class) is an extension the site uses for its skill cards
+const toSkill = (skill) => compact({
+    name: skill.name,
+    level: skill.level,
+    keywords: skill.keywords,
+    icon: skill.icon
+});
+
+const createResume = ({ Experience, Education, Skill, basics, canonical, clock = () => new Date() }) => {
+    const build = async () => {
+        const visible = { visible: { $ne: false } };
+        const [experiences, education, skills] = await Promise.all([
+            Experience.find(visible).lean(),
+            Education.find(visible).lean(),
+            Skill.find(visible).lean()
+        ]);
+
+        const lastModified = [...experiences, ...education, ...skills]
+            .reduce((latest, item) => (item.updatedAt > latest ? item.updatedAt : latest), new Date(0));
+
+        return {
+            $schema: SCHEMA_URL,
+            basics,
+            work: experiences.sort(byOrderThenRecent).map(toWork),
+            education: education.sort(byOrderThenRecent).map(toEducation),
+            skills: skills.sort((a, b) => (a.order || 0) - (b.order || 0)).map(toSkill),
+            meta: compact({
+                canonical,
+                version: 'v1.0.0',
+                lastModified: (lastModified.getTime() ? lastModified : clock()).toISOString()
+            })
+        };
+    };
+
+    return { build };
+};
+
+// Printable HTML
+const PAGE_STYLE = `
+    body { font: 11pt/1.45 "Helvetica Neue", Arial, sans-serif; color: #222; max-width: 46rem; margin: 2rem auto; padding: 0 1.5rem; }
+    h1 { margin: 0; font-size: 2rem; }
+    .label { margin: 0.2rem 0 0.4rem; color: #667eea; font-weight: 600; }
+    .contact { margin: 0; color: #555; font-size: 0.95em; }
+    .contact a { color: inherit; }
+    h2 { margin: 1.8rem 0 0.6rem; padding-bottom: 0.2rem; border-bottom: 2px solid #667eea; font-size: 1.15rem; text-transform: uppercase; letter-spacing: 0.05em; }
+    .entry { margin-bottom: 1rem; break-inside: avoid; }
+    .entry-head { display: flex; justify-content: space-between; gap: 1rem; }
+    .entry-head h3 { margin: 0; font-size: 1.05rem; }
+    .dates { white-space: nowrap; color: #555; }
+    .subtitle { margin: 0.1rem 0 0.3rem; color: #555; font-style: italic; }
+    .entry p, .entry ul { margin: 0.3rem 0; }
+    .skills { display: grid; grid-template-columns: repeat(auto-fill, minmax(14rem, 1fr)); gap: 0.6rem 1.5rem; }
+    .skills h3 { margin: 0; font-size: 1rem; }
+    .skills p { margin: 0.1rem 0 0; color: #444; }
+    @media print { body { margin: 0; } a { text-decoration: none; } }
+`;
+
+const workTitle = (work) => [work.position, work.name].filter(Boolean).join(' – ');
+const workSubtitle = (work) => [work.description, work.location].filter(Boolean).join(' • ');
+const educationTitle = (education) => [education.studyType, education.area].filter(Boolean).join(' in ') || education.institution;
+const educationSubtitle = (education) => [
+    education.studyType || education.area ? education.institution : null,
+    education.location,
+    education.score
+].filter(Boolean).join(' • ');
+
+const contactLine = (basics) => [
+    basics.email,
+    basics.phone,
+    basics.url,
+    basics.location && [basics.location.city, basics.location.region, basics.location.countryCode].filter(Boolean).join(', ')
+].filter(Boolean);
+
+const renderEntry = ({ title, subtitle, dates, summary, highlights = [] }) => `
+    <div class="entry">
+        <div class="entry-head"><h3>${escapeHtml(title)}</h3><span class="dates">${escapeHtml(dates)}</span></div>
+        ${subtitle ? `<p class="subtitle">${escapeHtml(subtitle)}</p>` : ''}
+        ${summary ? `<p>${escapeHtml(summary)}</p>` : ''}
+        ${highlights.length ? `<ul>${highlights.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+    </div>`;
+
+const renderHtml = (resume) => {
+    const { basics } = resume;
+    const contact = contactLine(basics).map(item => (/^https?:\/\//.test(item)
+        ? `<a href="${escapeHtml(item)}">${escapeHtml(item.replace(/^https?:\/\//, ''))}</a>`
+        : escapeHtml(item)));
+
+    const work = resume.work.map(item => renderEntry({
+        title: workTitle(item),
+        subtitle: workSubtitle(item),
+        dates: formatDateRange(item.startDate, item.endDate),
+        summary: item.summary,
+        highlights: item.highlights
+    }));
+    const education = resume.education.map(item => renderEntry({
+        title: educationTitle(item),
+        subtitle: educationSubtitle(item),
+        dates: formatDateRange(item.startDate, item.endDate),
+        summary: item.summary,
+        highlights: item.courses
+    }));
+    const skills = resume.skills.map(skill => `
+        <div><h3>${escapeHtml(skill.name)}${skill.level ? ` <small>(${escapeHtml(skill.level)})</small>` : ''}</h3><p>${escapeHtml((skill.keywords || []).join(', '))}</p></div>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(basics.name)} – Resume</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <header>
+        <h1>${escapeHtml(basics.name)}</h1>
+        ${basics.label ? `<p class="label">${escapeHtml(basics.label)}</p>` : ''}
+        <p class="contact">${contact.join(' · ')}</p>
+    </header>
+    ${basics.summary ? `<p>${escapeHtml(basics.summary)}</p>` : ''}
+    ${work.length ? `<h2>Experience</h2>${work.join('')}` : ''}
+    ${education.length ? `<h2>Education</h2>${education.join('')}` : ''}
+    ${skills.length ? `<h2>Skills</h2><div class="skills">${skills.join('')}</div>` : ''}
+</body>
+</html>
+`;
+};
+
+// PDF (A4, the standard Helvetica fonts)
+const ACCENT = '#667eea';
+const MUTED = '#555555';
+
+const renderPdf = (resume) => new Promise((resolve, reject) => {
+    const { basics } = resume;
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `${basics.name} – Resume`, Author: basics.name }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const left = doc.page.margins.left;
+
+    const heading = (text) => {
+        doc.moveDown(0.8);
+        doc.font('Helvetica-Bold').fontSize(12).fillColor(ACCENT).text(text.toUpperCase(), left, doc.y, { characterSpacing: 0.5 });
+        const y = doc.y + 2;
+        doc.moveTo(left, y).lineTo(left + width, y).lineWidth(1).strokeColor(ACCENT).stroke();
+        doc.moveDown(0.5);
+    };
+
+    const entry = ({ title, subtitle, dates, summary, highlights = [] }) => {
+        // Keep an entry's heading with at least a couple of lines of its text
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+
+        const top = doc.y;
+        doc.font('Helvetica').fontSize(10).fillColor(MUTED).text(dates, left, top, { width, align: 'right' });
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#222222').text(title, left, top, { width: width - 110 });
+        if (subtitle) doc.font('Helvetica-Oblique').fontSize(10).fillColor(MUTED).text(subtitle, { width });
+        if (summary) doc.moveDown(0.2).font('Helvetica').fontSize(10).fillColor('#222222').text(summary, { width });
+        if (highlights.length) {
+            doc.moveDown(0.2).font('Helvetica').fontSize(10).fillColor('#222222').list(highlights, { width, bulletRadius: 1.5, textIndent: 10 });
+        }
+        doc.moveDown(0.6);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#222222').text(basics.name);
+    if (basics.label) doc.font('Helvetica').fontSize(12).fillColor(ACCENT).text(basics.label);
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED).text(contactLine(basics).join('  ·  '));
+    if (basics.summary) doc.moveDown(0.6).fillColor('#222222').text(basics.summary, { width });
+
+    if (resume.work.length) {
+        heading('Experience');
+        resume.work.forEach(item => entry({
+            title: workTitle(item),
+            subtitle: workSubtitle(item),
+            dates: formatDateRange(item.startDate, item.endDate),
+            summary: item.summary,
+            highlights: item.highlights
+        }));
+    }
+
+    if (resume.education.length) {
+        heading('Education');
+        resume.education.forEach(item => entry({
+            title: educationTitle(item),
+            subtitle: educationSubtitle(item),
+            dates: formatDateRange(item.startDate, item.endDate),
+            summary: item.summary,
+            highlights: item.courses
+        }));
+    }
+
+    if (resume.skills.length) {
+        heading('Skills');
+        resume.skills.forEach(skill => {
+            doc.font('Helvetica-Bold').fontSize(10).fillColor('#222222')
+                .text(`${skill.name}${skill.level ? ` (${skill.level})` : ''}: `, left, doc.y, { continued: true, width });
+            doc.font('Helvetica').text((skill.keywords || []).join(', '));
+            doc.moveDown(0.3);
+        });
+    }
+
+    doc.end();
+});
+
+module.exports = { createResume, renderHtml, renderPdf, formatDate, formatDateRange };
@@ -0,0 +1,259 @@
+// Declarative request schemas.
+//
+// A schema is a tree of plain field specs built with the helpers below. The same
+// spec validates (and normalizes) incoming values and describes itself as JSON
+// Schema for the OpenAPI document (see ./openapi), so the two can't drift apart.
+//
+// Query strings, route params and multipart bodies only carry strings, so numbers,
+// booleans and dates are coerced from their string form. Unknown fields are
+// dropped rather than rejected, and every failure is reported per field:
+//
+//     400 { message: 'Please correct the highlighted fields', errors: { field: message } }
+const validator = require('validator');
+
+const LOCATIONS = ['params', 'query', 'body'];
+const VALIDATION_MESSAGE = 'Please correct the highlighted fields';
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+// Field specs. Every field is optional unless `required`; common options are
+// `default`, `nullable`, `label` (for messages), `description`, `example` and `check`
+// (a function that returns an error message for a value that passed the built-in checks).
+const string = (options = {}) => ({ type: 'string', trim: true, ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const date = (options = {}) => ({ type: 'date', ...options });
+const objectId = (options = {}) => ({ type: 'objectId', ...options });
+// `csv` also accepts a comma-separated string (handy for forms and query strings)
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+// "githubUrl" -> "Github url"
+const humanize = (path) => {
+    const name = String(path).split('.').pop().replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+const labelFor = (spec, path) => spec.label || humanize(path);
+
+const between = (noun, min, max) => {
+    if (min !== undefined && max !== undefined) return `Must be between ${min} and ${max}${noun}`;
+    return min !== undefined ? `Must be at least ${min}${noun}` : `Must be at most ${max}${noun}`;
+};
+
+const outOfRange = (value, { min, max }) => (min !== undefined && value < min) || (max !== undefined && value > max);
+
+const checkString = (spec, value, path) => {
+    if (typeof value !== 'string') return { error: 'Must be a string' };
+
+    let text = spec.trim ? value.trim() : value;
+    if (spec.lowercase) text = text.toLowerCase();
+
+    // An empty optional string clears the field, so it skips the format checks
+    if (!text) return spec.required || spec.min ? { error: `${labelFor(spec, path)} is required` } : { value: text };
+
+    if (spec.max !== undefined && text.length > spec.max) return { error: `Must be at most ${spec.max} characters` };
+    if (spec.min !== undefined && text.length < spec.min) {
+        return { error: `${labelFor(spec, path)} must be at least ${spec.min} characters` };
+    }
+    if (spec.enum && !spec.enum.includes(text)) return { error: `Must be one of: ${spec.enum.join(', ')}` };
+    if (spec.format === 'email' && !validator.isEmail(text)) return { error: 'Invalid email format' };
+    if (spec.format === 'uri' && !validator.isURL(text, { protocols: ['http', 'https'], require_protocol: true })) {
+        return { error: 'Must be a valid http(s) URL' };
+    }
+    if (spec.pattern && !spec.pattern.test(text)) return { error: spec.patternMessage || 'Invalid format' };
+
+    return { value: text };
+};
+
+const checkNumber = (spec, value) => {
+    const parsed = typeof value === 'string' && NUMERIC.test(value.trim()) ? Number(value) : value;
+    const integral = spec.type === 'integer';
+
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed) || (integral && !Number.isInteger(parsed))) {
+        return { error: integral ? 'Must be an integer' : 'Must be a number' };
+    }
+    if (outOfRange(parsed, spec)) return { error: between('', spec.min, spec.max) };
+
+    return { value: parsed };
+};
+
+const checkBoolean = (spec, value) => {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'Must be true or false' };
+};
+
+const checkDate = (spec, value) => {
+    const parsed = value instanceof Date ? value : new Date(typeof value === 'string' ? value.trim() : NaN);
+    if (Number.isNaN(parsed.getTime())) return { error: 'Must be a valid date' };
+    return { value: parsed };
+};
+
+const checkObjectId = (spec, value) => {
+    const id = typeof value === 'string' ? value.trim() : value;
+    if (typeof id !== 'string' || !OBJECT_ID.test(id)) return { error: 'Invalid id' };
+    return { value: id };
+};
+
+const checkArray = (spec, value, path, errors) => {
+    let list = value;
+    if (typeof value === 'string') {
+        list = spec.csv ? value.split(',').map(item => item.trim()).filter(Boolean) : [value];
+    }
+    if (!Array.isArray(list)) return { error: 'Must be a list' };
+    if (outOfRange(list.length, spec)) return { error: between(' items', spec.min, spec.max) };
+
+    const items = list.map((item, index) => normalize(spec.items, item, `${path}.${index}`, errors));
+    return { value: spec.unique ? [...new Set(items)] : items };
+};
+
+const checkObject = (spec, value, path, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'Must be an object' };
+
+    const result = {};
+    Object.keys(spec.fields).forEach(field => {
+        const normalized = normalize(spec.fields[field], value[field], path ? `${path}.${field}` : field, errors);
+        if (normalized !== undefined) result[field] = normalized;
+    });
+    return { value: result };
+};
+
+const CHECKS = {
+    string: checkString,
+    integer: checkNumber,
+    number: checkNumber,
+    boolean: checkBoolean,
+    date: checkDate,
+    objectId: checkObjectId,
+    array: checkArray,
+    object: checkObject
+};
+
+// Returns the normalized value, recording any failure in `errors` under `path`
+const normalize = (spec, value, path, errors) => {
+    if (value === undefined || (value === '' && spec.type !== 'string')) {
+        if (spec.required) {
+            errors[path] = `${labelFor(spec, path)} is required`;
+            return undefined;
+        }
+        if (value === '' && spec.nullable) return null;
+        return Array.isArray(spec.default) ? [...spec.default] : spec.default;
+    }
+    if (value === null) {
+        if (spec.nullable) return null;
+        errors[path] = spec.required ? `${labelFor(spec, path)} is required` : 'Must not be null';
+        return undefined;
+    }
+
+    const result = CHECKS[spec.type](spec, value, path, errors);
+    const error = result.error || (spec.check && result.value !== '' && spec.check(result.value));
+    if (error) {
+        errors[path] = error;
+        return undefined;
+    }
+    return result.value;
+};
+
+// Validates a value against a spec; returns { value, errors } (errors is empty when valid)
+const validateValue = (spec, value) => {
+    const errors = {};
+    const normalized = normalize(spec, value === undefined && spec.type === 'object' ? {} : value, '', errors);
+    return { value: normalized, errors };
+};
+
+// Express middleware for a route schema: { summary, tags, params, query, body, file, ... }.
+// Validated values replace req.params, req.query and req.body. `file` names the multer
+// field of an upload, which `fileRequired` makes mandatory.
+const validate = (schema) => {
+    const middleware = (req, res, next) => {
+        const errors = {};
+        const values = {};
+
+        LOCATIONS.forEach(location => {
+            if (!schema[location]) return;
+            const result = validateValue(schema[location], req[location] || {});
+            // A body that isn't an object at all fails at the root
+            if (result.errors['']) result.errors = { [location]: result.errors[''] };
+            Object.assign(errors, result.errors);
+            values[location] = result.value;
+        });
+
+        if (schema.fileRequired && !req.file) errors[schema.file] = 'An image file is required';
+
+        if (Object.keys(errors).length) {
+            return res.status(400).json({ message: VALIDATION_MESSAGE, errors });
+        }
+
+        Object.assign(req, values);
+        next();
+    };
+
+    middleware.schema = schema;
+    return middleware;
+};
+
+const describeRange = (json, spec, minKey, maxKey) => {
+    if (spec.min !== undefined) json[minKey] = spec.min;
+    if (spec.max !== undefined) json[maxKey] = spec.max;
+    return json;
+};
+
+const DESCRIBERS = {
+    string: (spec) => {
+        const json = describeRange({ type: 'string' }, spec, 'minLength', 'maxLength');
+        if (spec.enum) json.enum = spec.enum;
+        if (spec.format) json.format = spec.format;
+        if (spec.pattern) json.pattern = spec.pattern.source;
+        return json;
+    },
+    integer: (spec) => describeRange({ type: 'integer' }, spec, 'minimum', 'maximum'),
+    number: (spec) => describeRange({ type: 'number' }, spec, 'minimum', 'maximum'),
+    boolean: () => ({ type: 'boolean' }),
+    date: () => ({ type: 'string', format: 'date-time' }),
+    objectId: () => ({ type: 'string', pattern: OBJECT_ID.source }),
+    array: (spec) => {
+        const json = describeRange({ type: 'array', items: toJsonSchema(spec.items) }, spec, 'minItems', 'maxItems');
+        if (spec.unique) json.uniqueItems = true;
+        return json;
+    },
+    object: (spec) => {
+        const fields = Object.keys(spec.fields);
+        const required = fields.filter(field => spec.fields[field].required);
+        const json = { type: 'object', properties: {} };
+        fields.forEach(field => {
+            json.properties[field] = toJsonSchema(spec.fields[field]);
+        });
+        if (required.length) json.required = required;
+        return json;
+    }
+};
+
+// The JSON Schema (OpenAPI 3.0 dialect) describing a spec
+const toJsonSchema = (spec) => {
+    const json = DESCRIBERS[spec.type](spec);
+    const description = [spec.description, spec.csv && 'a list or a comma-separated string'].filter(Boolean).join('; ');
+
+    if (spec.nullable) json.nullable = true;
+    if (spec.default !== undefined) json.default = spec.default;
+    if (description) json.description = description.charAt(0).toUpperCase() + description.slice(1);
+    if (spec.example !== undefined) json.example = spec.example;
+
+    return json;
+};
+
+module.exports = {
+    string,
+    integer,
+    number,
+    boolean,
+    date,
+    objectId,
+    array,
+    object,
+    validate,
+    validateValue,
+    toJsonSchema,
+    VALIDATION_MESSAGE
+};
@@ -0,0 +1,153 @@
+// Site search over live blog posts and projects.
+//
+// Both collections have a weighted MongoDB text index (see models), so matches in a
+// title count far more than matches in body text. Scores from the two indexes use
+// the same weight scale, which makes them comparable enough to merge into one list.
+const { toPlainText, escapeHtml } = require('./markdown');
+const { escapeRegex } = require('./slug');
+
+const MAX_MATCHES = 100; // per collection; enough for facets and a few pages of results
+const SNIPPET_LENGTH = 200;
+
+// Words from the query (quoted phrases included, negated "-words" excluded)
+const queryTerms = (q) => {
+    const terms = String(q)
+        .toLowerCase()
+        .replace(/(^|\s)-\S+/g, ' ')
+        .match(/[\p{L}\p{N}]{2,}/gu) || [];
+    return [...new Set(terms)];
+};
+
+// Matches whole words starting with any term, so "design" also marks "designing"
+const termPattern = (terms) => (terms.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu')
+    : null);
+
+// HTML-escaped text with matches wrapped in <mark>
+const highlight = (text, pattern) => {
+    if (!pattern) return escapeHtml(text);
+
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+};
+
+// A window of `text` around the first match, trimmed to word boundaries
+const snippet = (text, pattern) => {
+    const plain = String(text || '');
+    if (plain.length <= SNIPPET_LENGTH) return highlight(plain, pattern);
+
+    const match = pattern && plain.search(pattern);
+    const center = match > 0 ? match : 0;
+
+    let start = Math.max(0, center - SNIPPET_LENGTH / 3);
+    let end = Math.min(plain.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+    if (start > 0) start = plain.indexOf(' ', start) + 1 || start;
+    if (end < plain.length) end = plain.lastIndexOf(' ', end) > start ? plain.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${highlight(plain.slice(start, end), pattern)}${end < plain.length ? '…' : ''}`;
+};
+
+const countValues = (lists) => {
+    const counts = new Map();
+    lists.flat().forEach(value => {
+        const key = String(value).toLowerCase();
+        const entry = counts.get(key) || { value, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+const hasValue = (list, value) => (list || []).some(item => String(item).toLowerCase() === value.toLowerCase());
+
+// Search options from a query already checked by schemas.search.query
+const parseSearchQuery = (query) => ({
+    q: query.q,
+    type: query.type,
+    tag: query.tag,
+    technology: query.technology,
+    page: query.page || 1,
+    limit: query.limit || 10
+});
+
+// `postUrl(post)` is the address of a post's page, which results link to
+const createSearch = ({ Blog, Project, liveQuery, render, postUrl }) => {
+    const textQuery = (q) => ({ $text: { $search: q } });
+    const byScore = { score: { $meta: 'textScore' } };
+
+    const search = async ({ q, type, tag, technology, page = 1, limit = 10 }) => {
+        const pattern = termPattern(queryTerms(q));
+
+        const [posts, projects] = await Promise.all([
+            type === 'project' ? [] : Blog.find({ ...liveQuery(), ...textQuery(q) }, byScore)
+                .sort(byScore)
+                .limit(MAX_MATCHES)
+                .select('title slug content excerpt tags publishedAt updatedAt')
+                .lean(),
+            type === 'blog' ? [] : Project.find(textQuery(q), byScore)
+                .sort(byScore)
+                .limit(MAX_MATCHES)
+                .select('title description technologies image githubUrl liveUrl')
+                .lean()
+        ]);
+
+        // Facets describe everything the query matched, before tag/technology filters
+        const facets = {
+            types: { blog: posts.length, project: projects.length },
+            tags: countValues(posts.map(post => post.tags || [])),
+            technologies: countValues(projects.map(project => project.technologies || []))
+        };
+
+        // Only posts have tags and only projects have technologies
+        const matches = [
+            ...posts
+                .filter(post => !technology && (!tag || hasValue(post.tags, tag)))
+                .map(post => ({
+                    type: 'blog',
+                    id: post._id,
+                    title: post.title,
+                    slug: post.slug,
+                    url: postUrl(post),
+                    titleHtml: highlight(post.title, pattern),
+                    snippet: snippet(toPlainText(render(post).html), pattern),
+                    tags: post.tags,
+                    publishedAt: post.publishedAt,
+                    score: post.score
+                })),
+            ...projects
+                .filter(project => !tag && (!technology || hasValue(project.technologies, technology)))
+                .map(project => ({
+                    type: 'project',
+                    id: project._id,
+                    title: project.title,
+                    url: project.liveUrl || project.githubUrl || null,
+                    titleHtml: highlight(project.title, pattern),
+                    snippet: snippet(project.description, pattern),
+                    technologies: project.technologies,
+                    image: project.image,
+                    githubUrl: project.githubUrl,
+                    liveUrl: project.liveUrl,
+                    score: project.score
+                }))
+        ].sort((a, b) => b.score - a.score);
+
+        return {
+            query: q,
+            results: matches.slice((page - 1) * limit, page * limit),
+            facets,
+            totalPages: Math.ceil(matches.length / limit),
+            currentPage: page,
+            totalResults: matches.length
+        };
+    };
+
+    return { search };
+};
+
+module.exports = { createSearch, parseSearchQuery, highlight, snippet, queryTerms };
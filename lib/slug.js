@@ -0,0 +1,34 @@
+// Slug helpers shared by the content models
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const slugify = (value) => {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80)
+        .replace(/-+$/g, '');
+};
+
+// Returns `base`, or `base-2`, `base-3`, ... when the slug is already taken
+// by another document of the same model.
+const uniqueSlug = async (Model, value, excludeId) => {
+    const base = slugify(value) || 'post';
+    const query = { slug: new RegExp(`^${escapeRegex(base)}(-\\d+)?$`) };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const taken = new Set(
+        (await Model.find(query).select('slug').lean()).map((doc) => doc.slug)
+    );
+
+    if (!taken.has(base)) return base;
+
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) suffix += 1;
+    return `${base}-${suffix}`;
+};
+
+module.exports = { slugify, uniqueSlug, escapeRegex };
@@ -0,0 +1,65 @@
+// Heuristic spam scoring for public form submissions.
+// Each signal adds to a score; anything at or above SPAM_THRESHOLD is treated as spam.
+
+const SPAM_THRESHOLD = 5;
+const MIN_SUBMIT_SECONDS = 3;
+const MAX_FORM_AGE_SECONDS = 24 * 60 * 60;
+
+// Common throwaway inbox providers
+const DISPOSABLE_DOMAINS = new Set([
+    '10minutemail.com', 'dispostable.com', 'fakeinbox.com', 'getnada.com',
+    'guerrillamail.com', 'guerrillamail.net', 'mailcatch.com', 'maildrop.cc',
+    'mailinator.com', 'mailnesia.com', 'mintemail.com', 'mohmal.com',
+    'sharklasers.com', 'spamgourmet.com', 'temp-mail.org', 'tempmail.com',
+    'tempmailo.com', 'throwawaymail.com', 'trashmail.com', 'yopmail.com'
+]);
+
+const countLinks = (text) => (String(text || '').match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+
+const isDisposableEmail = (email) => {
+    const domain = String(email || '').split('@').pop().toLowerCase();
+    return DISPOSABLE_DOMAINS.has(domain);
+};
+
+// `formIssuedAt` is when the form token was issued (null when missing or invalid)
+const scoreSubmission = ({ honeypot, formIssuedAt, email, text, now = new Date() }) => {
+    let score = 0;
+    const reasons = [];
+
+    if (honeypot) {
+        score += 10;
+        reasons.push('honeypot');
+    }
+
+    if (!formIssuedAt) {
+        score += 3;
+        reasons.push('missing-form-token');
+    } else {
+        const seconds = (now.getTime() - formIssuedAt.getTime()) / 1000;
+        if (seconds < MIN_SUBMIT_SECONDS) {
+            score += 5;
+            reasons.push('submitted-too-fast');
+        } else if (seconds > MAX_FORM_AGE_SECONDS) {
+            score += 2;
+            reasons.push('stale-form-token');
+        }
+    }
+
+    const links = countLinks(text);
+    if (links > 5) {
+        score += 5;
+        reasons.push('too-many-links');
+    } else if (links > 2) {
+        score += 3;
+        reasons.push('many-links');
+    }
+
+    if (isDisposableEmail(email)) {
+        score += 5;
+        reasons.push('disposable-email');
+    }
+
+    return { score, reasons, spam: score >= SPAM_THRESHOLD };
+};
+
+module.exports = { scoreSubmission, countLinks, isDisposableEmail, MIN_SUBMIT_SECONDS };
@@ -0,0 +1,71 @@
+// Time zone helpers built on Intl, for code that works with local wall-clock times
+// (report buckets, booking hours) without a date library.
+
+const formatters = new Map();
+
+const isValidTimezone = (timezone) => {
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const formatterFor = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+// The wall-clock time `date` shows in `timezone`, as numbers: { year, month (1-12), day, hour, minute, second }
+const zonedParts = (date, timezone) => {
+    const parts = {};
+    formatterFor(timezone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+};
+
+// How far `timezone` is ahead of UTC at `date`, in milliseconds
+const timezoneOffset = (date, timezone) => {
+    const parts = zonedParts(date, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a wall-clock time happens in `timezone`. Returns null for times that
+// don't exist there (skipped by a daylight saving change); repeated times resolve
+// to their first occurrence.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    // The offsets in force half a day either side cover any change near this time;
+    // the larger one gives the earlier instant
+    const offsets = [...new Set([-12, 12].map(hours => timezoneOffset(new Date(asUtc + hours * 60 * 60 * 1000), timezone)))]
+        .sort((a, b) => b - a);
+
+    const match = offsets.map(offset => asUtc - offset).find(time => {
+        const parts = zonedParts(new Date(time), timezone);
+        return parts.year === year && parts.month === month && parts.day === day &&
+            parts.hour === hour && parts.minute === minute;
+    });
+    return match === undefined ? null : new Date(match);
+};
+
+// "2024-06-15" for the calendar day `date` falls on in `timezone`
+const zonedDateKey = (date, timezone) => {
+    const { year, month, day } = zonedParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+module.exports = { isValidTimezone, zonedParts, timezoneOffset, zonedTimeToUtc, zonedDateKey };
@@ -0,0 +1,292 @@
+// Outgoing webhooks. Events are queued as one delivery per subscribed webhook and
+// POSTed (and retried with exponential backoff) independently of the request that
+// emitted them, the same way the mail outbox works.
+//
+// Every delivery is a JSON body { id, event, createdAt, data } with these headers:
+//
+//     X-Webhook-Event       the event name, e.g. contact.created
+//     X-Webhook-Id          the event id; retries and resends keep it, so receivers can dedupe
+//     X-Webhook-Delivery    the delivery id (see the delivery log)
+//     X-Webhook-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the secret>
+//
+// Receivers should recompute the signature over the raw body and reject old timestamps;
+// verifySignature() below does both.
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['contact.created', 'contact.status_changed', 'blog.published', 'project.created'];
+const TEST_EVENT = 'webhook.test';
+const USER_AGENT = 'SujalPortfolio-Webhooks/1.0';
+const MAX_RESPONSE_LENGTH = 2000;
+
+const DEFAULTS = {
+    maxAttempts: 8,
+    baseDelayMs: 30 * 1000, // 30 seconds, doubled after every failed attempt
+    maxDelayMs: 6 * 60 * 60 * 1000,
+    timeoutMs: 10 * 1000,
+    lockTimeoutMs: 10 * 60 * 1000, // reclaim deliveries stuck in "sending" after a crash
+    pollIntervalMs: 30 * 1000,
+    batchSize: 20
+};
+
+const generateSigningSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const sign = (secret, body, timestamp) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+const signatureHeader = (secret, body, date) => {
+    const timestamp = Math.floor(date.getTime() / 1000);
+    return `t=${timestamp},v1=${sign(secret, body, timestamp)}`;
+};
+
+// True when `header` is a valid signature of `body` made within `toleranceSeconds` of `now`
+const verifySignature = (secret, header, body, { now = new Date(), toleranceSeconds = 300 } = {}) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(sign(secret, body, timestamp), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const createWebhooks = ({
+    Webhook,
+    Delivery,
+    fetch = globalThis.fetch,
+    clock = () => new Date(),
+    logger = console,
+    options = {}
+}) => {
+    const settings = { ...DEFAULTS, ...options };
+    let timer = null;
+    let processing = null;
+
+    // fetch reports every network problem as "fetch failed"; the cause says which
+    const describeError = (error) => {
+        if (error.name === 'TimeoutError') return `No response within ${settings.timeoutMs}ms`;
+        return error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+    };
+
+    const backoff = (attempts) => Math.min(settings.baseDelayMs * 2 ** (attempts - 1), settings.maxDelayMs);
+
+    const buildPayload = (event, data) => ({
+        id: crypto.randomUUID(),
+        event,
+        createdAt: clock().toISOString(),
+        data
+    });
+
+    const scheduleProcessing = () => {
+        setImmediate(() => {
+            processDeliveries().catch(error => logger.error('Webhook delivery error', { error }));
+        });
+    };
+
+    // Queues `event` for every active webhook subscribed to it. `notBefore` holds the
+    // deliveries back until then (e.g. a post scheduled for later).
+    const emit = async (event, data, { notBefore } = {}) => {
+        const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+        if (!webhooks.length) return [];
+
+        const payload = buildPayload(event, data);
+        const now = clock();
+        const deliveries = await Delivery.insertMany(webhooks.map(webhook => ({
+            webhook: webhook._id,
+            event,
+            payload,
+            maxAttempts: settings.maxAttempts,
+            nextAttemptAt: notBefore && notBefore > now ? notBefore : now,
+            createdAt: now
+        })));
+
+        scheduleProcessing();
+        return deliveries;
+    };
+
+    // Cancels the waiting deliveries of `event` about `subjectId` (the payload's data.id),
+    // e.g. the announcement of a scheduled post that was unpublished before it went live.
+    // `untried` spares the ones already being retried. Resolves to how many were cancelled.
+    const withdraw = async (event, subjectId, { untried = false } = {}) => {
+        const result = await Delivery.updateMany(
+            { event, 'payload.data.id': subjectId, status: 'pending', ...(untried ? { attempts: 0 } : {}) },
+            { $set: { status: 'cancelled', lastError: 'Withdrawn before it was sent' } }
+        );
+        return result.modifiedCount;
+    };
+
+    // True when `event` about `subjectId` was queued and not withdrawn
+    const wasEmitted = async (event, subjectId) => Boolean(await Delivery.exists({
+        event,
+        'payload.data.id': subjectId,
+        status: { $ne: 'cancelled' }
+    }));
+
+    const claimNext = () => {
+        const now = clock();
+        return Delivery.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - settings.lockTimeoutMs) } }
+                ]
+            },
+            { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    };
+
+    // One POST; resolves to { status, body } and throws on network errors and timeouts
+    const post = async (webhook, delivery) => {
+        const body = JSON.stringify(delivery.payload);
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': USER_AGENT,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Id': delivery.payload.id,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Signature': signatureHeader(webhook.secret, body, clock())
+            },
+            body,
+            // A redirect would resend the payload somewhere nobody registered
+            redirect: 'manual',
+            signal: AbortSignal.timeout(settings.timeoutMs)
+        });
+
+        const text = await response.text().catch(() => '');
+        return { status: response.status, body: text.slice(0, MAX_RESPONSE_LENGTH) };
+    };
+
+    const deliver = async (delivery) => {
+        const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+        const started = Date.now();
+
+        try {
+            if (!webhook) throw new Error('The webhook was deleted');
+            // Test deliveries go out even while the webhook is paused
+            if (!webhook.active && delivery.event !== TEST_EVENT) throw new Error('The webhook is disabled');
+
+            const response = await post(webhook, delivery);
+            delivery.responseStatus = response.status;
+            delivery.responseBody = response.body;
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`Receiver responded with ${response.status}`);
+            }
+
+            delivery.status = 'delivered';
+            delivery.deliveredAt = clock();
+            delivery.lastError = undefined;
+        } catch (error) {
+            delivery.lastError = describeError(error);
+            const retryable = webhook && (webhook.active || delivery.event === TEST_EVENT);
+            if (!retryable || delivery.attempts >= delivery.maxAttempts) {
+                delivery.status = 'failed';
+                logger.warn('Webhook delivery failed permanently', {
+                    webhookId: String(delivery.webhook),
+                    deliveryId: String(delivery._id),
+                    event: delivery.event,
+                    error: delivery.lastError
+                });
+            } else {
+                delivery.status = 'pending';
+                delivery.nextAttemptAt = new Date(clock().getTime() + backoff(delivery.attempts));
+            }
+        }
+
+        delivery.durationMs = Date.now() - started;
+        delivery.lockedAt = undefined;
+        await delivery.save();
+
+        if (webhook) {
+            await Webhook.updateOne(
+                { _id: webhook._id },
+                { $set: { lastDeliveryAt: clock(), lastDeliveryStatus: delivery.status } }
+            );
+        }
+        return delivery;
+    };
+
+    // Delivers due deliveries; concurrent calls share one run
+    const processDeliveries = () => {
+        if (processing) return processing;
+
+        processing = (async () => {
+            let processed = 0;
+            try {
+                for (let i = 0; i < settings.batchSize; i++) {
+                    const delivery = await claimNext();
+                    if (!delivery) break;
+                    await deliver(delivery);
+                    processed += 1;
+                }
+            } finally {
+                processing = null;
+            }
+            return processed;
+        })();
+
+        return processing;
+    };
+
+    // Queues a copy of an earlier delivery (same event id and payload) for another try
+    const resend = async (id) => {
+        const original = await Delivery.findById(id);
+        if (!original) return null;
+
+        const delivery = await Delivery.create({
+            webhook: original.webhook,
+            event: original.event,
+            payload: original.payload,
+            maxAttempts: original.event === TEST_EVENT ? 1 : settings.maxAttempts,
+            nextAttemptAt: clock(),
+            resentFrom: original._id,
+            createdAt: clock()
+        });
+
+        scheduleProcessing();
+        return delivery;
+    };
+
+    // Sends a sample payload right away (one attempt, no retries) and resolves to the logged delivery
+    const sendTest = async (webhook) => {
+        const now = clock();
+        const delivery = await Delivery.create({
+            webhook: webhook._id,
+            event: TEST_EVENT,
+            payload: buildPayload(TEST_EVENT, {
+                message: 'This is a test delivery from the portfolio',
+                webhook: { id: String(webhook._id), name: webhook.name, events: webhook.events }
+            }),
+            status: 'sending',
+            attempts: 1,
+            maxAttempts: 1,
+            lockedAt: now,
+            nextAttemptAt: now,
+            createdAt: now
+        });
+
+        return deliver(delivery);
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            processDeliveries().catch(error => logger.error('Webhook delivery error', { error }));
+        }, settings.pollIntervalMs);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return processing || Promise.resolve();
+    };
+
+    return { emit, withdraw, wasEmitted, processDeliveries, resend, sendTest, start, stop };
+};
+
+module.exports = { createWebhooks, generateSigningSecret, verifySignature, WEBHOOK_EVENTS, TEST_EVENT };
@@ -0,0 +1,586 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// MongoDB Schemas
+const ContactSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    subject: { type: String, required: true, trim: true },
+    message: { type: String, required: true, trim: true },
+    ipAddress: { type: String },
+    userAgent: { type: String },
+    status: { 
+        type: String, 
+        enum: ['new', 'read', 'replied', 'archived', 'spam'], 
+        default: 'new' 
+    },
+    spamScore: { type: Number, default: 0 },
+    spamReasons: [{ type: String }],
+    // Outbound replies sent from the admin API, oldest first
+    thread: [{
+        subject: { type: String },
+        message: { type: String },
+        sentBy: { type: String },
+        outbox: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailOutbox' },
+        sentAt: { type: Date, default: Date.now }
+    }],
+    createdAt: { type: Date, default: Date.now },
+    readAt: { type: Date },
+    repliedAt: { type: Date },
+    lastActivityAt: { type: Date, default: Date.now }
+});
+
+const ReplySnippetSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, unique: true },
+    subject: { type: String, trim: true },
+    body: { type: String, required: true },
+    createdBy: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// A visitor session; see lib/analytics for how visitors are identified without storing IPs
+const VisitorSchema = new mongoose.Schema({
+    visitorHash: { type: String, required: true },
+    referrer: { type: String },
+    landingPage: { type: String },
+    country: { type: String },
+    city: { type: String },
+    device: { type: String },
+    browser: { type: String },
+    os: { type: String },
+    pageViews: { type: Number, default: 0 },
+    sessionDuration: { type: Number }, // in seconds
+    isReturningVisitor: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    lastVisit: { type: Date, default: Date.now },
+    expiresAt: { type: Date }
+});
+
+VisitorSchema.index({ visitorHash: 1, lastVisit: -1 });
+VisitorSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PageViewSchema = new mongoose.Schema({
+    session: { type: mongoose.Schema.Types.ObjectId, ref: 'Visitor', required: true },
+    path: { type: String, required: true },
+    referrer: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date }
+});
+
+PageViewSchema.index({ createdAt: -1 });
+PageViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Daily salt for visitor hashes; expires shortly after its day so old hashes can't be recomputed
+const AnalyticsSaltSchema = new mongoose.Schema({
+    day: { type: String, required: true, unique: true },
+    salt: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+});
+
+AnalyticsSaltSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ProjectSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    description: { type: String, required: true },
+    image: { type: String },
+    technologies: [{ type: String }],
+    githubUrl: { type: String },
+    liveUrl: { type: String },
+    featured: { type: Boolean, default: false },
+    order: { type: Number, default: 0 },
+    status: { 
+        type: String, 
+        enum: ['planning', 'in-progress', 'completed', 'on-hold'], 
+        default: 'planning' 
+    },
+    github: {
+        stars: { type: Number },
+        language: { type: String },
+        pushedAt: { type: Date },
+        topics: [{ type: String }],
+        syncedAt: { type: Date }
+    },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Weighted text index used by site search (lib/search)
+ProjectSchema.index(
+    { title: 'text', technologies: 'text', 'github.topics': 'text', description: 'text' },
+    { name: 'project_search', weights: { title: 10, technologies: 6, 'github.topics': 4, description: 2 } }
+);
+
+const BlogSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    slug: { type: String, required: true, unique: true },
+    content: { type: String, required: true },
+    excerpt: { type: String },
+    featuredImage: { type: String },
+    tags: [{ type: String }],
+    published: { type: Boolean, default: false },
+    views: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+    publishedAt: { type: Date }
+});
+
+BlogSchema.index(
+    { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+    { name: 'blog_search', weights: { title: 10, tags: 6, excerpt: 3, content: 1 } }
+);
+
+const BlogRevisionSchema = new mongoose.Schema({
+    blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog', required: true },
+    version: { type: Number, required: true },
+    title: { type: String },
+    slug: { type: String },
+    content: { type: String },
+    excerpt: { type: String },
+    featuredImage: { type: String },
+    tags: [{ type: String }],
+    published: { type: Boolean },
+    publishedAt: { type: Date },
+    editedBy: { type: String },
+    note: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+BlogRevisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+// Reader comments on blog posts. Replies point at their `parent`; nothing is shown
+// publicly until a moderator approves it.
+const CommentSchema = new mongoose.Schema({
+    blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog', required: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+    depth: { type: Number, default: 0 },
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    content: { type: String, required: true, trim: true },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    spamScore: { type: Number, default: 0 },
+    spamReasons: [{ type: String }],
+    fingerprint: { type: String },
+    userAgent: { type: String },
+    moderatedBy: { type: String },
+    moderatedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+CommentSchema.index({ blog: 1, status: 1, createdAt: 1 });
+CommentSchema.index({ status: 1, createdAt: -1 });
+
+// One like per post per visitor fingerprint (see visitorFingerprint in lib/analytics)
+const BlogLikeSchema = new mongoose.Schema({
+    blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog', required: true },
+    fingerprint: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+BlogLikeSchema.index({ blog: 1, fingerprint: 1 }, { unique: true });
+
+// Uploaded image plus its generated variants (see lib/media)
+const MediaSchema = new mongoose.Schema({
+    fileName: { type: String },
+    key: { type: String, required: true, unique: true },
+    url: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number },
+    width: { type: Number },
+    height: { type: Number },
+    alt: { type: String, trim: true },
+    tags: [{ type: String, trim: true, lowercase: true }],
+    // Tiny blurred data: URI to show while the real image loads
+    placeholder: { type: String },
+    variants: [{
+        _id: false,
+        format: { type: String },
+        width: { type: Number },
+        height: { type: Number },
+        size: { type: Number },
+        key: { type: String },
+        url: { type: String }
+    }],
+    uploadedBy: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+MediaSchema.index({ tags: 1 });
+MediaSchema.index({ createdAt: -1 });
+MediaSchema.index({ 'variants.url': 1 });
+
+// `srcset` strings per format, ready for <source srcset="..."> elements
+MediaSchema.virtual('srcset').get(function () {
+    const srcset = {};
+    (this.variants || []).forEach(variant => {
+        srcset[variant.format] = srcset[variant.format] ? `${srcset[variant.format]}, ` : '';
+        srcset[variant.format] += `${variant.url} ${variant.width}w`;
+    });
+    return srcset;
+});
+
+MediaSchema.set('toJSON', { virtuals: true, versionKey: false });
+
+// Queued transactional email (see lib/mail)
+const EmailOutboxSchema = new mongoose.Schema({
+    template: { type: String },
+    from: { type: String },
+    to: { type: String, required: true },
+    replyTo: { type: String },
+    subject: { type: String, required: true },
+    html: { type: String },
+    text: { type: String },
+    headers: { type: mongoose.Schema.Types.Mixed },
+    attachments: [{
+        filename: String,
+        content: String,
+        contentType: String
+    }],
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    messageId: { type: String },
+    sentAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailOutboxSchema.index({ campaign: 1, status: 1 }, { partialFilterExpression: { campaign: { $exists: true } } });
+
+// Newsletter subscribers (double opt-in, see lib/newsletter)
+const SubscriberSchema = new mongoose.Schema({
+    email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'unsubscribed'],
+        default: 'pending'
+    },
+    source: { type: String },
+    confirmationSentAt: { type: Date },
+    confirmedAt: { type: Date },
+    unsubscribedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+SubscriberSchema.index({ status: 1, _id: 1 });
+
+// A new-post announcement, sent to confirmed subscribers in batches
+const CampaignSchema = new mongoose.Schema({
+    blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog', required: true, unique: true },
+    subject: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['scheduled', 'sending', 'completed', 'cancelled'],
+        default: 'scheduled'
+    },
+    nextBatchAt: { type: Date, default: Date.now },
+    // Last subscriber queued so far; batches continue after it
+    cursor: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscriber' },
+    recipients: { type: Number, default: 0 },
+    lockedAt: { type: Date, default: null },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+CampaignSchema.index({ status: 1, nextBatchAt: 1 });
+
+// Resume entries (see lib/resume). Dates are JSON Resume dates as entered ("2024",
+// "2024-06" or "2024-06-15"); no endDate means ongoing. Hidden entries stay out of
+// the public resume.
+const ExperienceSchema = new mongoose.Schema({
+    position: { type: String, required: true, trim: true },
+    organization: { type: String, required: true, trim: true },
+    // One line about the organization, e.g. "Instagram POD Apparel Store"
+    description: { type: String, trim: true },
+    location: { type: String, trim: true },
+    url: { type: String, trim: true },
+    summary: { type: String, trim: true },
+    highlights: [{ type: String, trim: true }],
+    startDate: { type: String, required: true },
+    endDate: { type: String },
+    order: { type: Number, default: 0 },
+    visible: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const EducationSchema = new mongoose.Schema({
+    institution: { type: String, required: true, trim: true },
+    studyType: { type: String, trim: true },
+    area: { type: String, trim: true },
+    location: { type: String, trim: true },
+    url: { type: String, trim: true },
+    score: { type: String, trim: true },
+    summary: { type: String, trim: true },
+    courses: [{ type: String, trim: true }],
+    startDate: { type: String, required: true },
+    endDate: { type: String },
+    order: { type: Number, default: 0 },
+    visible: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// A skill category, e.g. "Leadership" with its keywords
+const SkillSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    level: { type: String, trim: true },
+    keywords: [{ type: String, trim: true }],
+    // Font Awesome class for the site's skill cards, e.g. "fas fa-code"
+    icon: { type: String, trim: true },
+    order: { type: Number, default: 0 },
+    visible: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Outgoing webhooks (see lib/webhooks). The secret signs every delivery and is only
+// shown when the webhook is created or its secret rotated.
+const WebhookSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+    events: [{ type: String }],
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    description: { type: String, trim: true },
+    lastDeliveryAt: { type: Date },
+    lastDeliveryStatus: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+WebhookSchema.methods.toJSON = function () {
+    const webhook = this.toObject();
+    delete webhook.secret;
+    delete webhook.__v;
+    return webhook;
+};
+
+// One event sent (or to be sent) to one webhook, kept as the delivery log
+const WebhookDeliverySchema = new mongoose.Schema({
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'delivered', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 8 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    responseStatus: { type: Number },
+    responseBody: { type: String },
+    durationMs: { type: Number },
+    deliveredAt: { type: Date },
+    resentFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Booking hours (see lib/booking): weekly hours in `timezone`'s local time, minus
+// blackout days. There is a single document; until it exists bookings are closed.
+const AvailabilitySchema = new mongoose.Schema({
+    enabled: { type: Boolean, default: false },
+    timezone: { type: String, default: 'Asia/Kolkata' },
+    slotMinutes: { type: Number, default: 30 },
+    minNoticeHours: { type: Number, default: 24 },
+    maxDaysAhead: { type: Number, default: 30 },
+    // Where the call happens, e.g. a meeting link; goes into the calendar invite
+    location: { type: String, trim: true },
+    // day: 0 (Sunday) to 6; start and end are "HH:MM"
+    weekly: [{
+        _id: false,
+        day: { type: Number, required: true },
+        start: { type: String, required: true },
+        end: { type: String, required: true }
+    }],
+    // Whole local days ("YYYY-MM-DD"), `to` inclusive and defaulting to `from`
+    blackouts: [{
+        _id: false,
+        from: { type: String, required: true },
+        to: { type: String },
+        reason: { type: String, trim: true }
+    }],
+    updatedBy: { type: String },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// A reserved call, linked to the contact record it created. `sequence` is the
+// iCalendar SEQUENCE of the last invite sent, so updates replace it in calendars.
+const BookingSchema = new mongoose.Schema({
+    contact: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact', required: true },
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    notes: { type: String, trim: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    // Every minute from start to end, in minutes since the epoch (see the index below)
+    minutes: { type: [Number], required: true, select: false },
+    // The visitor's time zone, used for the times in their emails
+    timezone: { type: String },
+    status: {
+        type: String,
+        enum: ['confirmed', 'cancelled'],
+        default: 'confirmed'
+    },
+    sequence: { type: Number, default: 0 },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: String },
+    cancelReason: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// No minute belongs to two confirmed bookings: this is what stops overlapping bookings,
+// whether two visitors race for one slot or slots of different lengths cross
+BookingSchema.index({ minutes: 1 }, { unique: true, partialFilterExpression: { status: 'confirmed' } });
+BookingSchema.index({ status: 1, start: 1 });
+
+const AdminSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, trim: true },
+    email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    password: { type: String, required: true },
+    role: { type: String, enum: ['admin', 'moderator'], default: 'admin' },
+    lastLogin: { type: Date },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockUntil: { type: Date },
+    passwordChangedAt: { type: Date },
+    // TOTP two-factor auth; totpPendingSecret holds a secret until its first code is confirmed
+    totpEnabled: { type: Boolean, default: false },
+    totpSecret: { type: String },
+    totpPendingSecret: { type: String },
+    totpLastStep: { type: Number },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Passwords are always stored as bcrypt hashes
+AdminSchema.pre('save', async function () {
+    if (!this.isModified('password')) return;
+    this.password = await bcrypt.hash(this.password, 12);
+    if (!this.isNew) this.passwordChangedAt = new Date();
+});
+
+AdminSchema.methods.comparePassword = function (password) {
+    return bcrypt.compare(String(password || ''), this.password);
+};
+
+AdminSchema.methods.toJSON = function () {
+    const admin = this.toObject();
+    delete admin.password;
+    delete admin.totpSecret;
+    delete admin.totpPendingSecret;
+    delete admin.totpLastStep;
+    delete admin.__v;
+    return admin;
+};
+
+// Refresh tokens are stored hashed. Each login starts a `family`; rotating a token
+// revokes it and issues the next one in the same family.
+const RefreshTokenSchema = new mongoose.Schema({
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true },
+    userAgent: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    replacedBy: { type: String }
+});
+
+RefreshTokenSchema.index({ admin: 1, family: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuditLogSchema = new mongoose.Schema({
+    actor: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+        username: { type: String },
+        role: { type: String }
+    },
+    action: { type: String, required: true },
+    targetModel: { type: String },
+    targetId: { type: String },
+    changes: { type: mongoose.Schema.Types.Mixed },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    ipAddress: { type: String },
+    userAgent: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+AuditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+// Models
+const Contact = mongoose.model('Contact', ContactSchema);
+const ReplySnippet = mongoose.model('ReplySnippet', ReplySnippetSchema);
+const Visitor = mongoose.model('Visitor', VisitorSchema);
+const PageView = mongoose.model('PageView', PageViewSchema);
+const AnalyticsSalt = mongoose.model('AnalyticsSalt', AnalyticsSaltSchema);
+const Project = mongoose.model('Project', ProjectSchema);
+const Blog = mongoose.model('Blog', BlogSchema);
+const BlogRevision = mongoose.model('BlogRevision', BlogRevisionSchema);
+const Admin = mongoose.model('Admin', AdminSchema);
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+const EmailOutbox = mongoose.model('EmailOutbox', EmailOutboxSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const Media = mongoose.model('Media', MediaSchema);
+const Comment = mongoose.model('Comment', CommentSchema);
+const BlogLike = mongoose.model('BlogLike', BlogLikeSchema);
+const Subscriber = mongoose.model('Subscriber', SubscriberSchema);
+const Campaign = mongoose.model('Campaign', CampaignSchema);
+const Experience = mongoose.model('Experience', ExperienceSchema);
+const Education = mongoose.model('Education', EducationSchema);
+const Skill = mongoose.model('Skill', SkillSchema);
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+const Availability = mongoose.model('Availability', AvailabilitySchema);
+const Booking = mongoose.model('Booking', BookingSchema);
+
+module.exports = {
+    Contact,
+    ReplySnippet,
+    Visitor,
+    PageView,
+    AnalyticsSalt,
+    Project,
+    Blog,
+    BlogRevision,
+    Admin,
+    RefreshToken,
+    EmailOutbox,
+    AuditLog,
+    Media,
+    Comment,
+    BlogLike,
+    Subscriber,
+    Campaign,
+    Experience,
+    Education,
+    Skill,
+    Webhook,
+    WebhookDelivery,
+    Availability,
+    Booking
+};
@@ -0,0 +1,846 @@
+// Request schemas for every API route, grouped like the routes in app.js.
+// Each one is passed to `validate` (lib/schema) on its route and also feeds the
+// OpenAPI document served at /api/docs/openapi.json.
+const { string, integer, boolean, date, objectId, array, object } = require('../lib/schema');
+const { parseGithubUrl } = require('../lib/github');
+const { validatePassword, ROLE_PERMISSIONS } = require('../lib/auth');
+const { WEBHOOK_EVENTS } = require('../lib/webhooks');
+const { isValidTimezone } = require('../lib/timezone');
+
+const CONTACT_STATUSES = ['new', 'read', 'replied', 'archived', 'spam'];
+const PROJECT_STATUSES = ['planning', 'in-progress', 'completed', 'on-hold'];
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const SUBSCRIBER_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+const CAMPAIGN_STATUSES = ['scheduled', 'sending', 'completed', 'cancelled'];
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed', 'cancelled'];
+const BOOKING_STATUSES = ['confirmed', 'cancelled'];
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Shared pieces
+const idParams = object({ id: objectId({ required: true }) });
+const slugParams = object({ slug: string({ required: true, max: 200 }) });
+
+const paginated = (defaultLimit, fields = {}) => object({
+    ...fields,
+    page: integer({ min: 1, default: 1 }),
+    limit: integer({ min: 1, max: 100, default: defaultLimit, description: 'Results per page' })
+});
+
+const email = (options = {}) => string({ format: 'email', max: 254, lowercase: true, ...options });
+const password = (options = {}) => string({ trim: false, max: 200, ...options });
+const newPassword = (options = {}) => password({ check: validatePassword, description: 'At least 10 characters', ...options });
+const totpCode = (options = {}) => string({ max: 10, description: '6-digit code from the authenticator app', ...options });
+const tagList = (options = {}) => array(string({ max: 50 }), { csv: true, max: 30, ...options });
+
+// Any http(s) URL, including localhost (format: 'uri' insists on a public host name)
+const receiverUrl = (options = {}) => string({
+    max: 2000,
+    description: 'http(s) URL that receives the POSTs',
+    check: (value) => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'Must be a valid http(s) URL';
+        } catch (error) {
+            return 'Must be a valid http(s) URL';
+        }
+    },
+    ...options
+});
+const webhookEvents = (options = {}) => array(string({ enum: WEBHOOK_EVENTS }), { csv: true, min: 1, unique: true, ...options });
+
+// Bot traps shared by the public forms: a hidden field people leave empty and a
+// token from GET /api/<form>/token
+const spamFields = {
+    website: string({ description: 'Honeypot: leave empty' }),
+    formToken: string({ max: 1000, description: 'Token issued when the form was loaded' })
+};
+
+const reportQuery = {
+    from: date({ description: 'Start of the range (default: 30 days before `to`)' }),
+    to: date({ description: 'End of the range (default: now)' }),
+    granularity: string({ enum: ['hour', 'day', 'week', 'month'], default: 'day' }),
+    timezone: string({ max: 64, default: 'UTC', description: 'IANA time zone, e.g. Asia/Kolkata' }),
+    limit: integer({ min: 1, max: 100, default: 10, description: 'Rows in "top" breakdowns' })
+};
+
+// PUT/POST resets omitted optional fields; PATCH (`partial`) only touches what is sent
+const projectBody = ({ partial = false, update = true } = {}) => object({
+    title: string({ required: !partial, min: 1, max: 200 }),
+    description: string({ required: !partial, min: 1, max: 5000 }),
+    githubUrl: string({
+        max: 500,
+        default: partial ? undefined : '',
+        check: (value) => (parseGithubUrl(value) ? null : 'Must be a github.com repository URL')
+    }),
+    liveUrl: string({ format: 'uri', max: 500, default: partial ? undefined : '' }),
+    status: string({ enum: PROJECT_STATUSES }),
+    technologies: array(string({ max: 50 }), { csv: true, max: 30, default: partial ? undefined : [] }),
+    featured: boolean({ default: partial ? undefined : false }),
+    order: integer(),
+    ...(update ? { removeImage: boolean({ description: 'Remove the current image (ignored when a new one is uploaded)' }) } : {})
+});
+
+const blogBody = ({ partial = false, revision = true } = {}) => object({
+    title: string({ required: !partial, min: 1, max: 200 }),
+    content: string({ required: !partial, min: 1, max: 200000, description: 'Markdown' }),
+    slug: string({ nullable: true, max: 200, description: 'Generated from the title when omitted' }),
+    excerpt: string({ nullable: true, max: 1000, default: partial ? undefined : '' }),
+    featuredImage: string({ nullable: true, max: 2000, default: partial ? undefined : '' }),
+    tags: tagList({ default: partial ? undefined : [] }),
+    published: boolean({ default: partial ? undefined : false }),
+    publishedAt: date({
+        nullable: true,
+        default: partial ? undefined : null,
+        description: 'A future date schedules the post; publishing without one means now'
+    }),
+    ...(revision ? { revisionNote: string({ max: 200 }) } : {})
+});
+
+// JSON Resume dates: a year, a month or a day
+const RESUME_DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+const resumeDate = (options = {}) => string({
+    max: 10,
+    pattern: RESUME_DATE,
+    patternMessage: 'Must be a date such as 2024, 2024-06 or 2024-06-15',
+    ...options
+});
+const resumeList = (options = {}) => array(string({ max: 500 }), { max: 30, ...options });
+
+// Fields every resume entry has; `partial` is PATCH
+const resumeEntryFields = (partial) => ({
+    order: integer({ default: partial ? undefined : 0, description: 'Lower comes first' }),
+    visible: boolean({ default: partial ? undefined : true, description: 'Hidden entries stay out of the public resume' })
+});
+
+const experienceBody = ({ partial = false } = {}) => object({
+    position: string({ required: !partial, min: 1, max: 200 }),
+    organization: string({ required: !partial, min: 1, max: 200 }),
+    description: string({ max: 200, description: 'One line about the organization' }),
+    location: string({ max: 200 }),
+    url: string({ format: 'uri', max: 500 }),
+    summary: string({ max: 5000 }),
+    highlights: resumeList({ default: partial ? undefined : [] }),
+    startDate: resumeDate({ required: !partial, min: 1 }),
+    endDate: resumeDate({ nullable: true, description: 'Empty while ongoing' }),
+    ...resumeEntryFields(partial)
+});
+
+const educationBody = ({ partial = false } = {}) => object({
+    institution: string({ required: !partial, min: 1, max: 200 }),
+    studyType: string({ max: 100, example: 'B.Tech' }),
+    area: string({ max: 200, example: 'Engineering' }),
+    location: string({ max: 200 }),
+    url: string({ format: 'uri', max: 500 }),
+    score: string({ max: 50 }),
+    summary: string({ max: 5000 }),
+    courses: resumeList({ default: partial ? undefined : [] }),
+    startDate: resumeDate({ required: !partial, min: 1 }),
+    endDate: resumeDate({ nullable: true, description: 'Empty while ongoing' }),
+    ...resumeEntryFields(partial)
+});
+
+const skillBody = ({ partial = false } = {}) => object({
+    name: string({ required: !partial, min: 1, max: 100, example: 'Leadership' }),
+    level: string({ max: 50 }),
+    keywords: array(string({ max: 100 }), { csv: true, max: 50, default: partial ? undefined : [] }),
+    icon: string({ max: 100, pattern: /^[\w -]+$/, description: 'Font Awesome class, e.g. "fas fa-code"' }),
+    ...resumeEntryFields(partial)
+});
+
+const timezone = (options = {}) => string({
+    max: 64,
+    description: 'IANA time zone, e.g. Asia/Kolkata',
+    check: (value) => (isValidTimezone(value) ? null : 'Must be an IANA time zone, e.g. Asia/Kolkata'),
+    ...options
+});
+
+// Booking hours: "HH:MM" on a 24-hour clock, with 24:00 for the end of the day
+const timeOfDay = (options = {}) => string({
+    required: true,
+    pattern: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/,
+    patternMessage: 'Must be a time such as 09:30',
+    ...options
+});
+const calendarDay = (options = {}) => string({
+    pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    patternMessage: 'Must be a date such as 2024-06-15',
+    ...options
+});
+
+const weeklyHours = object({
+    day: integer({ required: true, min: 0, max: 6, description: '0 is Sunday' }),
+    start: timeOfDay(),
+    end: timeOfDay()
+}, { check: (hours) => (!hours.start || !hours.end || hours.start < hours.end ? null : 'End must be after start') });
+
+const blackout = object({
+    from: calendarDay({ required: true }),
+    to: calendarDay({ description: 'Last day (inclusive); defaults to `from`' }),
+    reason: string({ max: 200 })
+}, { check: (days) => (!days.to || days.from <= days.to ? null : 'The last day must not be before the first') });
+
+// list/create/update/delete for one kind of resume entry
+const resumeSection = (noun, body) => ({
+    list: { summary: `List ${noun} entries`, description: 'Hidden entries included.', tags: ['Resume management'] },
+    create: { summary: `Add a ${noun} entry`, tags: ['Resume management'], status: 201, body: body() },
+    update: { summary: `Update a ${noun} entry`, tags: ['Resume management'], params: idParams, body: body({ partial: true }) },
+    delete: { summary: `Delete a ${noun} entry`, tags: ['Resume management'], params: idParams }
+});
+
+module.exports = {
+    system: {
+        health: { summary: 'Health check', tags: ['System'] },
+        openapi: { summary: 'OpenAPI document', tags: ['System'] },
+        docs: { summary: 'API documentation page', tags: ['System'], contentType: 'text/html' }
+    },
+
+    contact: {
+        token: { summary: 'Issue a contact form token', tags: ['Contact'] },
+        submit: {
+            summary: 'Send a message through the contact form',
+            tags: ['Contact'],
+            body: object({
+                name: string({ required: true, max: 100 }),
+                email: email({ required: true }),
+                subject: string({ required: true, max: 200 }),
+                message: string({ required: true, min: 10, max: 5000 }),
+                ...spamFields
+            })
+        }
+    },
+
+    analytics: {
+        summary: {
+            summary: 'Analytics dashboard',
+            description: 'Totals plus every breakdown for the range.',
+            tags: ['Analytics'],
+            query: object(reportQuery)
+        },
+        breakdown: {
+            summary: 'Export a single analytics breakdown',
+            tags: ['Analytics'],
+            params: object({ breakdown: string({ required: true, max: 50 }) }),
+            query: object({
+                ...reportQuery,
+                format: string({ enum: ['json', 'csv'], default: 'json' })
+            })
+        }
+    },
+
+    projects: {
+        list: {
+            summary: 'List projects',
+            tags: ['Projects'],
+            query: object({
+                featured: boolean({ description: 'Only featured projects' }),
+                status: string({ enum: PROJECT_STATUSES }),
+                limit: integer({ min: 1, max: 100 })
+            })
+        },
+        create: {
+            summary: 'Create a project',
+            tags: ['Projects'],
+            status: 201,
+            file: 'image',
+            body: projectBody({ update: false })
+        },
+        reorder: {
+            summary: 'Reorder projects',
+            description: 'Sets each project\'s `order` from its position in `ids`.',
+            tags: ['Projects'],
+            body: object({ ids: array(objectId(), { required: true, csv: true, min: 1, max: 500 }) })
+        },
+        syncAll: { summary: 'Refresh GitHub metadata for every project', tags: ['Projects'] },
+        sync: {
+            summary: 'Refresh a project\'s GitHub metadata',
+            tags: ['Projects'],
+            params: idParams,
+            responses: { 502: 'GitHub could not be reached' }
+        },
+        replace: { summary: 'Replace a project', tags: ['Projects'], params: idParams, file: 'image', body: projectBody() },
+        update: { summary: 'Update a project', tags: ['Projects'], params: idParams, file: 'image', body: projectBody({ partial: true }) },
+        delete: { summary: 'Delete a project', tags: ['Projects'], params: idParams }
+    },
+
+    blog: {
+        list: {
+            summary: 'List blog posts',
+            description: 'Drafts and scheduled posts are included for signed-in admins unless `published=true`.',
+            tags: ['Blog'],
+            query: object({
+                published: boolean({ description: 'Only live posts' }),
+                limit: integer({ min: 1, max: 100 })
+            })
+        },
+        get: { summary: 'Get a blog post', tags: ['Blog'], params: slugParams },
+        like: { summary: 'Like a blog post', tags: ['Blog'], params: slugParams },
+        unlike: { summary: 'Remove a like', tags: ['Blog'], params: slugParams }
+    },
+
+    comments: {
+        token: { summary: 'Issue a comment form token', tags: ['Comments'] },
+        list: { summary: 'Approved comments of a post, as a tree', tags: ['Comments'], params: slugParams },
+        create: {
+            summary: 'Submit a comment',
+            description: 'Comments are held for moderation.',
+            tags: ['Comments'],
+            status: 201,
+            params: slugParams,
+            body: object({
+                name: string({ required: true, max: 100 }),
+                email: email({ required: true }),
+                content: string({ required: true, max: 2000 }),
+                parentId: objectId({ description: 'The comment being replied to' }),
+                ...spamFields
+            })
+        }
+    },
+
+    search: {
+        query: {
+            summary: 'Search blog posts and projects',
+            tags: ['Search'],
+            query: object({
+                q: string({ required: true, max: 200, label: 'Search query', description: 'Supports "quoted phrases" and -excluded words' }),
+                type: string({ enum: ['blog', 'project'] }),
+                tag: string({ max: 50 }),
+                technology: string({ max: 50 }),
+                page: integer({ min: 1, default: 1 }),
+                limit: integer({ min: 1, max: 50, default: 10 })
+            })
+        }
+    },
+
+    feeds: {
+        rss: { summary: 'RSS 2.0 feed of blog posts', tags: ['Feeds'], contentType: 'application/rss+xml' },
+        atom: { summary: 'Atom feed of blog posts', tags: ['Feeds'], contentType: 'application/atom+xml' },
+        json: { summary: 'JSON Feed of blog posts', tags: ['Feeds'], contentType: 'application/feed+json' },
+        sitemap: { summary: 'Sitemap', tags: ['Feeds'], contentType: 'application/xml' },
+        robots: { summary: 'robots.txt for this host', tags: ['Feeds'], contentType: 'text/plain' }
+    },
+
+    blogPages: {
+        index: { summary: 'Blog index page', tags: ['Blog'], contentType: 'text/html' },
+        post: {
+            summary: 'Blog post page',
+            description: 'Counts a view, like GET /api/blog/{slug}.',
+            tags: ['Blog'],
+            params: slugParams,
+            contentType: 'text/html'
+        }
+    },
+
+    newsletter: {
+        subscribe: {
+            summary: 'Subscribe to new posts',
+            description: 'Sends a confirmation email (double opt-in). The response is the same whether or not the address was already subscribed.',
+            tags: ['Newsletter'],
+            body: object({
+                email: email({ required: true }),
+                source: string({ max: 100, description: 'Where the form was shown' }),
+                website: spamFields.website
+            })
+        },
+        confirm: {
+            summary: 'Confirm a subscription',
+            tags: ['Newsletter'],
+            contentType: 'text/html',
+            query: object({ token: string({ max: 2000 }) })
+        },
+        unsubscribePage: {
+            summary: 'Unsubscribe confirmation page',
+            tags: ['Newsletter'],
+            contentType: 'text/html',
+            query: object({ token: string({ max: 2000 }) })
+        },
+        unsubscribe: {
+            summary: 'Unsubscribe',
+            description: 'Also the RFC 8058 one-click target; the token may be sent in the query or the body.',
+            tags: ['Newsletter'],
+            contentType: 'text/html',
+            query: object({ token: string({ max: 2000 }) }),
+            body: object({ token: string({ max: 2000 }) })
+        }
+    },
+
+    auth: {
+        login: {
+            summary: 'Sign in',
+            tags: ['Auth'],
+            body: object({
+                username: string({ required: true, max: 100 }),
+                password: password({ required: true }),
+                totp: totpCode({ description: 'Required when two-factor authentication is enabled' })
+            }),
+            responses: { 401: 'Invalid credentials or two-factor code', 423: 'Account temporarily locked' }
+        },
+        refresh: {
+            summary: 'Exchange a refresh token for new tokens',
+            tags: ['Auth'],
+            body: object({ refreshToken: string({ required: true, max: 500 }) }),
+            responses: { 401: 'Invalid, expired or reused refresh token' }
+        },
+        logout: {
+            summary: 'Sign out',
+            tags: ['Auth'],
+            body: object({ refreshToken: string({ max: 500 }) })
+        }
+    },
+
+    account: {
+        me: { summary: 'Own account', tags: ['Account'] },
+        changePassword: {
+            summary: 'Change own password',
+            description: 'Signs out every other session.',
+            tags: ['Account'],
+            body: object({
+                currentPassword: password({ required: true }),
+                newPassword: newPassword({ required: true })
+            })
+        },
+        sessions: { summary: 'List own sessions', tags: ['Account'] },
+        revokeSession: {
+            summary: 'Revoke one of own sessions',
+            tags: ['Account'],
+            params: object({ family: string({ required: true, max: 100 }) })
+        },
+        twoFactorSetup: {
+            summary: 'Start two-factor setup',
+            tags: ['Account'],
+            responses: { 409: 'Two-factor authentication is already enabled' }
+        },
+        twoFactorEnable: {
+            summary: 'Enable two-factor authentication',
+            tags: ['Account'],
+            body: object({ code: totpCode({ required: true }) })
+        },
+        twoFactorDisable: {
+            summary: 'Disable two-factor authentication',
+            tags: ['Account'],
+            body: object({
+                password: password({ required: true }),
+                code: totpCode({ required: true })
+            })
+        }
+    },
+
+    admins: {
+        list: { summary: 'List admin accounts', tags: ['Admins'] },
+        create: {
+            summary: 'Create an admin account',
+            tags: ['Admins'],
+            status: 201,
+            body: object({
+                username: string({ required: true, max: 100 }),
+                email: email({ required: true }),
+                password: newPassword({ required: true }),
+                role: string({ enum: ROLES, default: 'admin' })
+            }),
+            responses: { 409: 'Username or email is already in use' }
+        },
+        update: {
+            summary: 'Update an admin account',
+            description: 'A new password or role signs the account out everywhere.',
+            tags: ['Admins'],
+            params: idParams,
+            body: object({
+                email: email({ min: 1 }),
+                role: string({ enum: ROLES }),
+                password: newPassword(),
+                unlock: boolean({ description: 'Clear a lock from failed logins' })
+            }),
+            responses: { 409: 'Email is already in use' }
+        },
+        revokeSessions: { summary: 'Sign an admin out everywhere', tags: ['Admins'], params: idParams },
+        delete: { summary: 'Delete an admin account', tags: ['Admins'], params: idParams }
+    },
+
+    contacts: {
+        list: {
+            summary: 'List contact messages',
+            description: 'Suspected spam is left out unless `status=spam`.',
+            tags: ['Contacts'],
+            query: paginated(10, { status: string({ enum: CONTACT_STATUSES }) })
+        },
+        update: {
+            summary: 'Set a contact message\'s status',
+            tags: ['Contacts'],
+            params: idParams,
+            body: object({ status: string({ required: true, enum: CONTACT_STATUSES }) })
+        },
+        get: { summary: 'Get a contact message and its reply thread', tags: ['Contacts'], params: idParams },
+        reply: {
+            summary: 'Reply to a contact message',
+            description: 'The body comes from `message` or a saved snippet; both may use {{ name }}, {{ email }} and {{ subject }} placeholders.',
+            tags: ['Contacts'],
+            status: 201,
+            params: idParams,
+            body: object({
+                message: string({ max: 20000 }),
+                subject: string({ max: 200 }),
+                snippetId: objectId()
+            })
+        }
+    },
+
+    replySnippets: {
+        list: { summary: 'List reply snippets', tags: ['Reply snippets'] },
+        create: {
+            summary: 'Create a reply snippet',
+            tags: ['Reply snippets'],
+            status: 201,
+            body: object({
+                name: string({ required: true, max: 100 }),
+                subject: string({ max: 200 }),
+                body: string({ required: true, max: 20000 })
+            }),
+            responses: { 409: 'A reply snippet with this name already exists' }
+        },
+        update: {
+            summary: 'Update a reply snippet',
+            tags: ['Reply snippets'],
+            params: idParams,
+            body: object({
+                name: string({ min: 1, max: 100 }),
+                subject: string({ max: 200 }),
+                body: string({ min: 1, max: 20000 })
+            }),
+            responses: { 409: 'A reply snippet with this name already exists' }
+        },
+        delete: { summary: 'Delete a reply snippet', tags: ['Reply snippets'], params: idParams }
+    },
+
+    moderation: {
+        list: {
+            summary: 'List comments for moderation',
+            description: 'Defaults to the pending queue; `status=all` lists everything.',
+            tags: ['Comment moderation'],
+            query: paginated(20, {
+                status: string({ enum: [...COMMENT_STATUSES, 'all'], default: 'pending' }),
+                blog: objectId({ description: 'Only comments on this post' })
+            })
+        },
+        moderate: {
+            summary: 'Set the status of several comments',
+            tags: ['Comment moderation'],
+            body: object({
+                ids: array(objectId(), { required: true, csv: true, min: 1, max: 500 }),
+                status: string({ required: true, enum: COMMENT_STATUSES })
+            })
+        },
+        update: {
+            summary: 'Set a comment\'s status',
+            tags: ['Comment moderation'],
+            params: idParams,
+            body: object({ status: string({ required: true, enum: COMMENT_STATUSES }) })
+        },
+        delete: { summary: 'Delete a comment and its replies', tags: ['Comment moderation'], params: idParams }
+    },
+
+    blogAdmin: {
+        list: {
+            summary: 'List blog posts (admin)',
+            tags: ['Blog management'],
+            query: paginated(10, { status: string({ enum: ['draft', 'scheduled', 'published'] }) })
+        },
+        get: { summary: 'Get a blog post with its Markdown source', tags: ['Blog management'], params: idParams },
+        create: {
+            summary: 'Create a blog post',
+            tags: ['Blog management'],
+            status: 201,
+            body: blogBody({ revision: false }),
+            responses: { 409: 'A blog post with this slug already exists' }
+        },
+        replace: {
+            summary: 'Replace a blog post',
+            tags: ['Blog management'],
+            params: idParams,
+            body: blogBody(),
+            responses: { 409: 'A blog post with this slug already exists' }
+        },
+        update: {
+            summary: 'Update a blog post',
+            tags: ['Blog management'],
+            params: idParams,
+            body: blogBody({ partial: true }),
+            responses: { 409: 'A blog post with this slug already exists' }
+        },
+        delete: { summary: 'Delete a blog post', tags: ['Blog management'], params: idParams },
+        revisions: { summary: 'List a blog post\'s revisions', tags: ['Blog management'], params: idParams },
+        revision: {
+            summary: 'Get a revision',
+            tags: ['Blog management'],
+            params: object({ id: objectId({ required: true }), version: integer({ required: true, min: 1 }) })
+        },
+        diff: {
+            summary: 'Diff a revision',
+            description: 'Against another revision (`against`) or the current post.',
+            tags: ['Blog management'],
+            params: object({ id: objectId({ required: true }), version: integer({ required: true, min: 1 }) }),
+            query: object({ against: integer({ min: 1, description: 'Version to compare with' }) })
+        },
+        restore: {
+            summary: 'Restore a revision',
+            tags: ['Blog management'],
+            params: object({ id: objectId({ required: true }), version: integer({ required: true, min: 1 }) }),
+            responses: { 409: 'A blog post with this slug already exists' }
+        }
+    },
+
+    media: {
+        list: {
+            summary: 'List media',
+            tags: ['Media'],
+            query: paginated(20, {
+                tag: string({ max: 50 }),
+                q: string({ max: 200, description: 'Part of the file name or alt text' })
+            })
+        },
+        orphans: { summary: 'List media nothing references', tags: ['Media'] },
+        sweep: {
+            summary: 'Delete orphaned media',
+            tags: ['Media'],
+            body: object({ dryRun: boolean({ default: false, description: 'Only report what would be deleted' }) })
+        },
+        get: { summary: 'Get a media item', tags: ['Media'], params: idParams },
+        upload: {
+            summary: 'Upload an image',
+            tags: ['Media'],
+            status: 201,
+            file: 'file',
+            fileRequired: true,
+            body: object({
+                alt: string({ max: 500 }),
+                tags: tagList()
+            })
+        },
+        update: {
+            summary: 'Update a media item',
+            tags: ['Media'],
+            params: idParams,
+            body: object({
+                alt: string({ max: 500 }),
+                tags: tagList({ description: 'Replaces the list' })
+            })
+        },
+        delete: {
+            summary: 'Delete a media item',
+            tags: ['Media'],
+            params: idParams,
+            query: object({ force: boolean({ default: false, description: 'Delete even if it is still in use' }) }),
+            responses: { 409: 'The media is still in use' }
+        }
+    },
+
+    newsletterAdmin: {
+        subscribers: {
+            summary: 'List subscribers',
+            tags: ['Newsletter management'],
+            query: paginated(20, {
+                status: string({ enum: SUBSCRIBER_STATUSES }),
+                q: string({ max: 200, description: 'Part of the email address' })
+            })
+        },
+        exportSubscribers: {
+            summary: 'Export subscribers',
+            tags: ['Newsletter management'],
+            contentType: 'text/csv',
+            query: object({
+                status: string({ enum: SUBSCRIBER_STATUSES }),
+                q: string({ max: 200 }),
+                format: string({ enum: ['csv', 'json'], default: 'csv' })
+            })
+        },
+        deleteSubscriber: { summary: 'Delete a subscriber', tags: ['Newsletter management'], params: idParams },
+        campaigns: {
+            summary: 'List campaigns',
+            tags: ['Newsletter management'],
+            query: paginated(20, { status: string({ enum: CAMPAIGN_STATUSES }) })
+        },
+        campaign: { summary: 'Campaign delivery report', tags: ['Newsletter management'], params: idParams },
+        cancelCampaign: {
+            summary: 'Cancel a campaign',
+            tags: ['Newsletter management'],
+            params: idParams,
+            responses: { 409: 'The campaign has already finished' }
+        }
+    },
+
+    outbox: {
+        list: {
+            summary: 'List queued and sent emails',
+            tags: ['Email outbox'],
+            query: paginated(20, { status: string({ enum: OUTBOX_STATUSES }) })
+        },
+        retry: { summary: 'Retry a failed email', tags: ['Email outbox'], params: idParams }
+    },
+
+    resume: {
+        get: {
+            summary: 'Resume',
+            description: 'In [JSON Resume](https://jsonresume.org/schema) format.',
+            tags: ['Resume']
+        },
+        pdf: { summary: 'Resume as PDF', tags: ['Resume'], contentType: 'application/pdf' },
+        html: { summary: 'Printable resume', tags: ['Resume'], contentType: 'text/html' }
+    },
+
+    experience: resumeSection('experience', experienceBody),
+    education: resumeSection('education', educationBody),
+    skills: resumeSection('skill', skillBody),
+
+    booking: {
+        token: { summary: 'Issue a booking form token', tags: ['Booking'] },
+        slots: {
+            summary: 'Open call slots',
+            description: 'Slot times are UTC; `timezone` is the owner\'s, which the weekly hours are set in.',
+            tags: ['Booking'],
+            query: object({
+                from: date({ description: 'Start of the range (default: now)' }),
+                to: date({ description: 'End of the range (default: 14 days after `from`, at most 62)' })
+            })
+        },
+        create: {
+            summary: 'Book a call',
+            description: 'Confirmation emails carry an .ics invite. The booking is also recorded as a contact message.',
+            tags: ['Booking'],
+            status: 201,
+            body: object({
+                start: date({ required: true, description: 'Start of one of the open slots' }),
+                name: string({ required: true, max: 100 }),
+                email: email({ required: true }),
+                notes: string({ max: 2000, description: 'What the call is about' }),
+                timezone: timezone({ description: 'The visitor\'s time zone, for the times in their emails' }),
+                ...spamFields
+            }),
+            responses: { 409: 'The slot is not (or no longer) available' }
+        }
+    },
+
+    bookings: {
+        list: {
+            summary: 'List bookings',
+            tags: ['Bookings'],
+            query: paginated(20, {
+                status: string({ enum: BOOKING_STATUSES }),
+                from: date({ description: 'Calls starting at or after' }),
+                to: date({ description: 'Calls starting before' })
+            })
+        },
+        cancel: {
+            summary: 'Cancel a booking',
+            description: 'Emails the visitor a cancellation that removes the call from their calendar, unless `notify` is false.',
+            tags: ['Bookings'],
+            params: idParams,
+            body: object({
+                reason: string({ max: 500 }),
+                notify: boolean({ default: true })
+            }),
+            responses: { 409: 'The booking is already cancelled' }
+        },
+        availability: { summary: 'Get booking availability', tags: ['Bookings'] },
+        updateAvailability: {
+            summary: 'Update booking availability',
+            description: 'Lists (`weekly`, `blackouts`) replace the saved ones.',
+            tags: ['Bookings'],
+            body: object({
+                enabled: boolean({ description: 'Whether visitors can book' }),
+                timezone: timezone({ min: 1 }),
+                slotMinutes: integer({ min: 10, max: 240 }),
+                minNoticeHours: integer({ min: 0, max: 720 }),
+                maxDaysAhead: integer({ min: 1, max: 365 }),
+                location: string({ max: 500, description: 'Meeting link or place, shown in the invite' }),
+                weekly: array(weeklyHours, { max: 50 }),
+                blackouts: array(blackout, { max: 200 })
+            })
+        }
+    },
+
+    webhooks: {
+        list: { summary: 'List webhooks', tags: ['Webhooks'] },
+        get: { summary: 'Get a webhook', tags: ['Webhooks'], params: idParams },
+        create: {
+            summary: 'Register a webhook',
+            description: 'The response is the only time the signing secret is shown.',
+            tags: ['Webhooks'],
+            status: 201,
+            body: object({
+                name: string({ required: true, max: 100 }),
+                url: receiverUrl({ required: true }),
+                events: webhookEvents({ required: true }),
+                active: boolean({ default: true }),
+                description: string({ max: 500 })
+            })
+        },
+        update: {
+            summary: 'Update a webhook',
+            tags: ['Webhooks'],
+            params: idParams,
+            body: object({
+                name: string({ min: 1, max: 100 }),
+                url: receiverUrl({ min: 1 }),
+                events: webhookEvents(),
+                active: boolean(),
+                description: string({ max: 500 }),
+                rotateSecret: boolean({ description: 'Issue a new signing secret (returned once)' })
+            })
+        },
+        delete: { summary: 'Delete a webhook and its delivery log', tags: ['Webhooks'], params: idParams },
+        test: {
+            summary: 'Send a test delivery',
+            description: 'POSTs a sample `webhook.test` payload right away and returns the logged delivery.',
+            tags: ['Webhooks'],
+            params: idParams
+        },
+        deliveries: {
+            summary: 'Delivery log of a webhook',
+            tags: ['Webhooks'],
+            params: idParams,
+            query: paginated(20, {
+                status: string({ enum: DELIVERY_STATUSES }),
+                event: string({ max: 100 })
+            })
+        },
+        resend: { summary: 'Resend a delivery', tags: ['Webhooks'], status: 201, params: idParams }
+    },
+
+    backups: {
+        export: {
+            summary: 'Export the site as a bundle',
+            tags: ['Backups'],
+            query: object({
+                includeUploads: boolean({ default: true, description: 'Embed uploaded files (base64)' })
+            })
+        },
+        import: {
+            summary: 'Import a site bundle',
+            tags: ['Backups'],
+            file: 'bundle',
+            query: object({
+                dryRun: boolean({ default: false, description: 'Only report what would change' }),
+                onConflict: string({
+                    enum: ['skip', 'overwrite'],
+                    default: 'skip',
+                    description: 'What to do with documents and files that differ from the existing ones'
+                })
+            }),
+            responses: { 413: 'The bundle file is too large' }
+        }
+    },
+
+    audit: {
+        list: {
+            summary: 'Audit log',
+            tags: ['Audit log'],
+            query: paginated(50, {
+                actor: string({ max: 100, description: 'Username or admin id' }),
+                model: string({ max: 50 }),
+                action: string({ max: 100 }),
+                targetId: string({ max: 100 }),
+                from: date(),
+                to: date()
+            })
+        }
+    }
+};
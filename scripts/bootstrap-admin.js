@@ -0,0 +1,27 @@
+// Seeds the first admin account from ADMIN_USERNAME, ADMIN_EMAIL and ADMIN_PASSWORD.
+// Usage: npm run admin:bootstrap
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { Admin } = require('../models');
+const { bootstrapAdmin } = require('../lib/auth');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sujal_portfolio');
+
+    try {
+        const result = await bootstrapAdmin(Admin);
+        if (result.created) {
+            console.log(`Created admin "${result.admin.username}" <${result.admin.email}>`);
+        } else {
+            console.log(`Nothing to do: ${result.reason}`);
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch(error => {
+    console.error('Admin bootstrap failed:', error.message);
+    process.exit(1);
+});
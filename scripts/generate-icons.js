@@ -0,0 +1,68 @@
+// Generates the app icons the manifest and index.html point at from the profile photo.
+// The icons are committed; rerun this after changing the photo.
+// Usage: npm run icons
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE = path.join(ROOT, 'Sujal Freelancer PFP.jpg');
+
+// Maskable icons may be cropped to a circle 80% of their size, so the photo is
+// scaled down onto the theme colour to keep the face inside that zone
+const MASKABLE_SCALE = 0.8;
+const THEME_COLOR = '#667eea';
+// Quantized: full-colour PNGs of a photo are several times larger for no visible gain
+const PNG_OPTIONS = { palette: true, quality: 90, compressionLevel: 9 };
+
+const PNG_ICONS = [
+    { file: 'icon-192x192.png', size: 192, maskable: true },
+    { file: 'icon-512x512.png', size: 512, maskable: true },
+    { file: 'apple-touch-icon.png', size: 180 }
+];
+
+const squarePhoto = (size) => sharp(SOURCE)
+    .resize(size, size, { fit: 'cover', position: sharp.strategy.attention });
+
+const renderIcon = async ({ size, maskable }) => {
+    if (!maskable) return squarePhoto(size).png(PNG_OPTIONS).toBuffer();
+
+    const inner = Math.round(size * MASKABLE_SCALE);
+    return sharp({ create: { width: size, height: size, channels: 4, background: THEME_COLOR } })
+        .composite([{ input: await squarePhoto(inner).png().toBuffer(), gravity: 'center' }])
+        .png(PNG_OPTIONS)
+        .toBuffer();
+};
+
+// An .ico holding a single PNG image (supported by every current browser)
+const toIco = (png, size) => {
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(0, 0);
+    header.writeUInt16LE(1, 2); // icon
+    header.writeUInt16LE(1, 4); // one image
+
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(size, 0);
+    entry.writeUInt8(size, 1);
+    entry.writeUInt16LE(1, 4); // colour planes
+    entry.writeUInt16LE(32, 6); // bits per pixel
+    entry.writeUInt32LE(png.length, 8);
+    entry.writeUInt32LE(header.length + entry.length, 12);
+
+    return Buffer.concat([header, entry, png]);
+};
+
+const run = async () => {
+    for (const icon of PNG_ICONS) {
+        fs.writeFileSync(path.join(ROOT, icon.file), await renderIcon(icon));
+        console.log(`Wrote ${icon.file}`);
+    }
+
+    fs.writeFileSync(path.join(ROOT, 'favicon.ico'), toIco(await renderIcon({ size: 32 }), 32));
+    console.log('Wrote favicon.ico');
+};
+
+run().catch(error => {
+    console.error('Icon generation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,97 @@
+// Seeds the resume collections with the entries the site used to hard-code.
+// Collections that already have entries are left alone.
+// Usage: npm run resume:seed
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { Experience, Education, Skill } = require('../models');
+
+const EXPERIENCE = [
+    {
+        position: 'Founder',
+        organization: 'WishVault',
+        description: 'Instagram POD Apparel Store',
+        summary: 'Founded and managing a print-on-demand apparel business on Instagram. Handling end-to-end operations including branding, customer service, inventory management, and digital marketing strategies to build a growing customer base.',
+        startDate: '2024'
+    },
+    {
+        position: 'Founder',
+        organization: 'Innovate Together',
+        description: 'Community Startup',
+        summary: 'Building a community platform focused on business development, marketing strategies, and technology innovation. Organizing workshops, networking events, and mentorship programs for aspiring entrepreneurs and tech enthusiasts.',
+        startDate: '2024'
+    },
+    {
+        position: 'Content Creator',
+        organization: 'Katta with Tadka',
+        description: 'Instagram Entertainment Channel',
+        summary: 'Creating engaging meme content and vlogs, building community through humor and relatable content. Developing skills in content strategy, audience engagement, and social media marketing while entertaining thousands of followers.',
+        startDate: '2023'
+    },
+    {
+        position: 'YouTube Content Creator',
+        organization: 'Vimpy',
+        description: 'YouTube Meme Channel - 100K+ Subscribers',
+        summary: 'Built and managed a highly successful YouTube meme channel reaching over 100,000 subscribers. Gained extensive experience in content creation, video editing, audience building, SEO optimization, and digital marketing strategies.',
+        startDate: '2020',
+        endDate: '2023'
+    }
+];
+
+const EDUCATION = [
+    {
+        institution: 'Trinity Academy of Engineering',
+        studyType: 'B.Tech',
+        area: 'Engineering',
+        location: 'Pune',
+        summary: 'Pursuing Bachelor of Technology with focus on emerging technologies like AI and Machine Learning. Selected for college PR team, actively participating in technical events and innovation challenges. Expected graduation: 2028.',
+        startDate: '2024'
+    }
+];
+
+const SKILLS = [
+    {
+        name: 'Technical Skills',
+        icon: 'fas fa-code',
+        keywords: ['Python Programming', 'HTML/CSS', 'Website Design', 'Canva Design', 'AI/ML Concepts']
+    },
+    {
+        name: 'Leadership',
+        icon: 'fas fa-users',
+        keywords: ['Team Management', 'Project Planning', 'Community Building', 'PR & Communication', 'Event Organization']
+    },
+    {
+        name: 'Business',
+        icon: 'fas fa-chart-line',
+        keywords: ['Brand Strategy', 'Digital Marketing', 'E-commerce', 'Content Strategy', 'Social Media']
+    },
+    {
+        name: 'Strengths',
+        icon: 'fas fa-brain',
+        keywords: ['Consistent', 'Curious', 'Self-driven', 'Strategic Planning', 'Problem Solving']
+    }
+];
+
+// Entries keep the order they are listed in
+const seed = async (Model, entries) => {
+    if (await Model.estimatedDocumentCount()) return `${Model.modelName}: already has entries, skipped`;
+    await Model.insertMany(entries.map((entry, order) => ({ ...entry, order })));
+    return `${Model.modelName}: added ${entries.length}`;
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sujal_portfolio');
+
+    try {
+        console.log(await seed(Experience, EXPERIENCE));
+        console.log(await seed(Education, EDUCATION));
+        console.log(await seed(Skill, SKILLS));
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch(error => {
+    console.error('Resume seed failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+// Entry point: validates the configuration, connects to MongoDB, starts the
+// background jobs and listens. SIGTERM/SIGINT drain in-flight requests first.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { createApp } = require('./app');
+const { loadConfig, ConfigError } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    createLogger().error('Invalid configuration; refusing to start', { errors: error.errors });
+    process.exit(1);
+}
+
+const logger = createLogger({ level: config.LOG_LEVEL, file: config.LOG_FILE });
+
+// MongoDB Connection
+mongoose.connection.on('connected', () => {
+    logger.info('Connected to MongoDB');
+});
+
+mongoose.connection.on('error', (error) => {
+    logger.error('MongoDB connection error', { error });
+});
+
+mongoose.connect(config.MONGODB_URI).catch((error) => {
+    logger.error('Could not connect to MongoDB', { error });
+    process.exit(1);
+});
+
+const app = createApp({ db: mongoose.connection, config, logger });
+app.get('jobs').start();
+
+// Start server
+const server = app.listen(config.PORT, () => {
+    logger.info('Server started', { port: config.PORT, environment: config.NODE_ENV });
+});
+
+// Graceful shutdown: stop accepting connections, let in-flight requests finish,
+// then stop the pollers and close the database. Gives up after SHUTDOWN_TIMEOUT_MS.
+let shuttingDown = false;
+
+const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal });
+
+    setTimeout(() => {
+        logger.error('Shutdown timed out; exiting anyway');
+        process.exit(1);
+    }, config.SHUTDOWN_TIMEOUT_MS).unref();
+
+    server.close(async (closeError) => {
+        let exitCode = closeError ? 1 : 0;
+        try {
+            await app.get('jobs').stop();
+            await mongoose.connection.close();
+            logger.info('Shutdown complete');
+        } catch (error) {
+            logger.error('Shutdown error', { error });
+            exitCode = 1;
+        }
+        await logger.close();
+        process.exit(exitCode);
+    });
+    // Keep-alive sockets with no request in flight would otherwise hold close() open
+    server.closeIdleConnections();
+};
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,210 @@
+// Service worker: makes the site work offline.
+//
+// - The shell (page, styles, images, icons) is precached on install.
+// - Page navigations go to the network first and fall back to the cached page, or to
+//   offline.html for anything that was never cached.
+// - Other same-origin files, GET /api/projects and /api/blog are served
+//   stale-while-revalidate: the cached copy right away, refreshed in the background
+//   (the API answers unchanged data with a 304), so an edit shows up on the next visit.
+// - Contact form submissions that fail for lack of a connection are queued in
+//   IndexedDB and resent by Background Sync, or when the page reports it is back
+//   online in browsers without it.
+//
+// Bump VERSION when files are added to or removed from SHELL_FILES; edits to them are
+// picked up by the background refresh.
+const VERSION = 'v1';
+const SHELL_CACHE = `shell-${VERSION}`;
+const API_CACHE = `api-${VERSION}`;
+const CDN_CACHE = `cdn-${VERSION}`;
+const OFFLINE_PAGE = '/offline.html';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/style.css',
+    OFFLINE_PAGE,
+    '/manifest.json',
+    '/favicon.ico',
+    '/icon-192x192.png',
+    '/icon-512x512.png',
+    '/apple-touch-icon.png',
+    '/Sujal%20Freelancer%20PFP.jpg',
+    '/wish-vault-launch.jpg.png',
+    '/youtube-silver-playbutton.jpg'
+];
+
+// Paths (on the site or the API origin) served stale-while-revalidate
+const API_PATHS = [/^\/api\/projects$/, /^\/api\/blog(\/[^/]+)?$/];
+const CDN_HOSTS = ['cdnjs.cloudflare.com'];
+
+const CONTACT_PATH = '/api/contact';
+const CONTACT_SYNC_TAG = 'contact-outbox';
+const QUEUE_DB = 'portfolio-sw';
+const QUEUE_STORE = 'contact-outbox';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops the caches of earlier versions and retries anything left in the queue
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, API_CACHE, CDN_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+            .then(() => flushContactQueue().catch(() => {}))
+    );
+});
+
+// Contact outbox (IndexedDB)
+const openQueue = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs `work(store)` in a transaction and resolves with its request's result
+const withQueue = async (mode, work) => {
+    const db = await openQueue();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUE_STORE, mode);
+        const request = work(transaction.objectStore(QUEUE_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request && request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+const queueContact = (entry) => withQueue('readwrite', store => store.add(entry));
+const queuedContacts = () => withQueue('readonly', store => store.getAll());
+const dequeueContact = (id) => withQueue('readwrite', store => store.delete(id));
+
+const notifyClients = async (message) => {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+};
+
+// Resends every queued submission. Sent ones and ones the API rejects (4xx) leave the
+// queue; a network error or server error stops the run and rejects, so Background
+// Sync tries again later.
+let flushing = null;
+const flushContactQueue = () => {
+    if (flushing) return flushing;
+
+    flushing = (async () => {
+        for (const entry of await queuedContacts()) {
+            const response = await fetch(entry.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: entry.body
+            });
+            if (response.status >= 500) throw new Error(`Contact submission failed with ${response.status}`);
+
+            await dequeueContact(entry.id);
+            await notifyClients({ type: 'contact-synced', ok: response.ok });
+        }
+    })().finally(() => {
+        flushing = null;
+    });
+
+    return flushing;
+};
+
+const handleContactSubmission = async (request) => {
+    const body = await request.clone().text();
+    try {
+        return await fetch(request);
+    } catch (error) {
+        await queueContact({ url: request.url, body, queuedAt: Date.now() });
+        if (self.registration.sync) {
+            await self.registration.sync.register(CONTACT_SYNC_TAG).catch(() => {});
+        }
+        return new Response(JSON.stringify({
+            queued: true,
+            message: 'You are offline. Your message has been saved and will be sent as soon as you are back online.'
+        }), { status: 202, headers: { 'Content-Type': 'application/json' } });
+    }
+};
+
+// Caching strategies
+const staleWhileRevalidate = async (event, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+    const refresh = fetch(event.request).then(response => {
+        // Opaque (no-cors) CDN responses report status 0 but are still usable
+        if (response.ok || response.type === 'opaque') cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+};
+
+const networkFirstPage = async (request) => {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (new URL(request.url).pathname === '/') return (await caches.match('/index.html')) || caches.match(OFFLINE_PAGE);
+        return caches.match(OFFLINE_PAGE);
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname === CONTACT_PATH) {
+        event.respondWith(handleContactSubmission(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+        return;
+    }
+    // Signed-in (admin) responses can include drafts and are never cached
+    if (API_PATHS.some(path => path.test(url.pathname)) && !request.headers.has('Authorization')) {
+        event.respondWith(staleWhileRevalidate(event, API_CACHE));
+        return;
+    }
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+        return;
+    }
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === CONTACT_SYNC_TAG) event.waitUntil(flushContactQueue());
+});
+
+// Pages post { type: 'flush-contact-queue' } when they come back online
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'flush-contact-queue') {
+        event.waitUntil(flushContactQueue().catch(() => {}));
+    }
+});
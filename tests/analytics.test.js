@@ -0,0 +1,113 @@
+const { setupTestApp, waitFor } = require('./helpers');
+const { Blog, Contact, PageView, Visitor } = require('../models');
+
+describe('analytics', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs('moderator'));
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    // Tracking happens after the response, so wait for each page view to land
+    // before the next request (otherwise they could race into separate sessions)
+    const visit = async (...paths) => {
+        for (const path of paths) {
+            const before = await PageView.countDocuments();
+            await ctx.api.get(path).set('User-Agent', 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0');
+            await waitFor(async () => (await PageView.countDocuments()) > before);
+        }
+    };
+
+    const getAnalytics = (path, query = {}) => ctx.api
+        .get(path)
+        .query(query)
+        .set('Authorization', `Bearer ${token}`);
+
+    test('reports sessions, pages and conversions', async () => {
+        await Blog.create({ title: 'Hello', slug: 'hello', content: 'Hi', published: true, publishedAt: ctx.clock() });
+        await visit('/api/projects', '/api/blog', '/api/blog/hello');
+        await Contact.create({
+            name: 'Ada',
+            email: 'ada@example.com',
+            subject: 'Hi',
+            message: 'Hello there, nice site!',
+            createdAt: ctx.clock()
+        });
+        ctx.clock.advance(60 * 1000);
+
+        const res = await getAnalytics('/api/analytics').expect(200);
+
+        expect(res.body.totalVisitors).toBe(1);
+        expect(res.body.totalContacts).toBe(1);
+        expect(res.body.conversion).toEqual({ sessions: 1, contacts: 1, conversionRate: 1 });
+        expect(res.body.pages).toEqual(expect.arrayContaining([
+            { path: '/api/projects', views: 1, sessions: 1 },
+            { path: '/api/blog/hello', views: 1, sessions: 1 }
+        ]));
+        expect(res.body.blogViews).toEqual([expect.objectContaining({ slug: 'hello', views: 1 })]);
+        expect(res.body.browsers).toEqual([{ browser: 'Firefox', sessions: 1 }]);
+    });
+
+    test('counts views of the post page and the API together per post', async () => {
+        await Blog.create({ title: 'Hello', slug: 'hello', content: 'Hi', published: true, publishedAt: ctx.clock() });
+        await visit('/blog/hello', '/api/blog/hello', '/blog');
+        ctx.clock.advance(60 * 1000);
+
+        const res = await getAnalytics('/api/analytics/blogViews').expect(200);
+
+        expect(res.body.rows).toEqual([expect.objectContaining({ slug: 'hello', views: 2 })]);
+        expect((await Blog.findOne({ slug: 'hello' })).views).toBe(2);
+    });
+
+    test('groups page views from the same browser into one session', async () => {
+        await visit('/api/projects');
+        ctx.clock.advance(5 * 60 * 1000);
+        await visit('/api/projects');
+        ctx.clock.advance(60 * 1000);
+
+        const visitor = await Visitor.findOne();
+        expect(visitor.pageViews).toBe(2);
+        expect(visitor.sessionDuration).toBe(300);
+
+        const res = await getAnalytics('/api/analytics/pages').expect(200);
+        expect(res.body.rows).toEqual([{ path: '/api/projects', views: 2, sessions: 1 }]);
+    });
+
+    test('exports a breakdown as CSV', async () => {
+        await visit('/api/projects');
+        ctx.clock.advance(60 * 1000);
+
+        const res = await getAnalytics('/api/analytics/pages', { format: 'csv' }).expect(200);
+
+        expect(res.headers['content-type']).toMatch(/^text\/csv/);
+        expect(res.headers['content-disposition']).toMatch(/attachment; filename="pages-.+\.csv"/);
+        expect(res.text.split(/\r?\n/)[0]).toBe('path,views,sessions');
+    });
+
+    test('rejects unknown breakdowns and bad ranges', async () => {
+        await getAnalytics('/api/analytics/nonsense').expect(404);
+
+        const res = await getAnalytics('/api/analytics', { from: '2025-02-01', to: '2025-01-01' }).expect(400);
+        expect(res.body.message).toBe('from must be before to');
+    });
+
+    test('is only available to signed-in staff', async () => {
+        await ctx.api.get('/api/analytics').expect(401);
+    });
+
+    test('does not track visitors who opted out', async () => {
+        await ctx.api.get('/api/projects').set('DNT', '1').expect(200);
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(await PageView.countDocuments()).toBe(0);
+    });
+});
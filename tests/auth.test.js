@@ -0,0 +1,132 @@
+const { setupTestApp, PASSWORD } = require('./helpers');
+const { Admin, AuditLog } = require('../models');
+const { generateSecret, generateCode, timeStep } = require('../lib/totp');
+
+describe('admin auth', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const login = (username, password = PASSWORD) => ctx.api
+        .post('/api/admin/login')
+        .send({ username, password });
+
+    test('logs in and reads the account profile', async () => {
+        await Admin.create({ username: 'sujal', email: 'sujal@example.com', password: PASSWORD });
+
+        const res = await login('sujal').expect(200);
+        expect(res.body).toMatchObject({
+            expiresIn: '15m',
+            user: { username: 'sujal', email: 'sujal@example.com', role: 'admin', twoFactorEnabled: false }
+        });
+        expect(res.body.refreshToken).toEqual(expect.any(String));
+
+        const me = await ctx.api
+            .get('/api/admin/me')
+            .set('Authorization', `Bearer ${res.body.token}`)
+            .expect(200);
+        expect(me.body.username).toBe('sujal');
+
+        expect(await AuditLog.countDocuments({ action: 'auth.login' })).toBe(1);
+    });
+
+    test('rejects wrong passwords and unknown users alike', async () => {
+        await Admin.create({ username: 'sujal', email: 'sujal@example.com', password: PASSWORD });
+
+        const wrong = await login('sujal', 'not-the-password').expect(401);
+        const unknown = await login('nobody').expect(401);
+
+        expect(wrong.body.message).toBe('Invalid credentials');
+        expect(unknown.body.message).toBe('Invalid credentials');
+    });
+
+    test('locks the account after repeated failures until the lock expires', async () => {
+        await Admin.create({ username: 'sujal', email: 'sujal@example.com', password: PASSWORD });
+
+        for (let i = 0; i < 5; i++) {
+            await login('sujal', 'not-the-password').expect(401);
+        }
+        const locked = await login('sujal').expect(423);
+        expect(locked.body.lockedUntil).toBeDefined();
+
+        ctx.clock.advance(16 * 60 * 1000);
+        await login('sujal').expect(200);
+    });
+
+    test('rotates refresh tokens and revokes the family when one is reused', async () => {
+        const { refreshToken } = await ctx.loginAs();
+
+        const rotated = await ctx.api
+            .post('/api/admin/token/refresh')
+            .send({ refreshToken })
+            .expect(200);
+        expect(rotated.body.refreshToken).not.toBe(refreshToken);
+
+        const reused = await ctx.api
+            .post('/api/admin/token/refresh')
+            .send({ refreshToken })
+            .expect(401);
+        expect(reused.body.message).toBe('Refresh token has been revoked');
+
+        await ctx.api
+            .post('/api/admin/token/refresh')
+            .send({ refreshToken: rotated.body.refreshToken })
+            .expect(401);
+    });
+
+    test('logging out revokes the refresh token', async () => {
+        const { refreshToken } = await ctx.loginAs();
+
+        await ctx.api.post('/api/admin/logout').send({ refreshToken }).expect(200);
+        await ctx.api.post('/api/admin/token/refresh').send({ refreshToken }).expect(401);
+    });
+
+    test('requires a valid access token', async () => {
+        await ctx.api.get('/api/admin/me').expect(401);
+        await ctx.api.get('/api/admin/me').set('Authorization', 'Bearer not-a-token').expect(403);
+    });
+
+    test('refuses to disable two-factor auth with a code that was already used', async () => {
+        const secret = generateSecret();
+        await Admin.create({ username: 'sujal', email: 'sujal@example.com', password: PASSWORD, totpEnabled: true, totpSecret: secret });
+
+        const code = generateCode(secret);
+        const { body } = await ctx.api
+            .post('/api/admin/login')
+            .send({ username: 'sujal', password: PASSWORD, totp: code })
+            .expect(200);
+
+        const disable = (totp) => ctx.api
+            .post('/api/admin/me/2fa/disable')
+            .set('Authorization', `Bearer ${body.token}`)
+            .send({ password: PASSWORD, code: totp });
+
+        await disable(code).expect(400);
+        expect((await Admin.findOne({ username: 'sujal' })).totpEnabled).toBe(true);
+
+        await disable(generateCode(secret, timeStep() + 1)).expect(200);
+        expect((await Admin.findOne({ username: 'sujal' })).totpEnabled).toBe(false);
+    });
+
+    test('enforces role permissions', async () => {
+        const { token } = await ctx.loginAs('moderator');
+
+        await ctx.api
+            .get('/api/admin/contacts')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        const res = await ctx.api
+            .post('/api/projects')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Nope', description: 'Moderators cannot create projects' })
+            .expect(403);
+        expect(res.body.message).toBe('You do not have permission to do this');
+    });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupTestApp } = require('./helpers');
+const { Project, Blog, BlogRevision, Webhook, AuditLog } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('backups and site export/import', () => {
+    const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-backups-'));
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp({ BACKUP_DIR: backupDir });
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(async () => {
+        await ctx.reset();
+        fs.rmSync(backupDir, { recursive: true, force: true });
+    });
+
+    afterAll(() => ctx.teardown());
+
+    const createProject = (fields) => ctx.api
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Wish Vault', description: 'A gift registry', ...fields })
+        .expect(201);
+
+    const exportSite = async () => {
+        const res = await ctx.api
+            .get('/api/admin/export')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        return res.body;
+    };
+
+    const importSite = (bundle, query = {}) => ctx.api
+        .post('/api/admin/import')
+        .query(query)
+        .set('Authorization', `Bearer ${token}`)
+        .send(bundle);
+
+    test('restores deleted documents, with a dry run first', async () => {
+        await createProject();
+        const bundle = await exportSite();
+
+        expect(bundle).toMatchObject({ format: 'sujal-portfolio-bundle', version: 1, uploads: [] });
+        expect(bundle.collections.projects).toHaveLength(1);
+        expect(await AuditLog.countDocuments({ action: 'site.export' })).toBe(1);
+
+        await Project.deleteMany({});
+
+        const dryRun = await importSite(bundle, { dryRun: true }).expect(200);
+        expect(dryRun.body.report.collections.projects).toMatchObject({ total: 1, created: 1, skipped: 0 });
+        expect(dryRun.body.report.collections.admins).toMatchObject({ total: 1, unchanged: 1 });
+        expect(await Project.countDocuments()).toBe(0);
+
+        await importSite(bundle).expect(200);
+        const [project] = await Project.find().lean();
+        expect(project).toMatchObject({ title: 'Wish Vault', createdAt: expect.any(Date) });
+        expect(await AuditLog.countDocuments({ action: 'site.import' })).toBe(1);
+
+        const again = await importSite(bundle).expect(200);
+        expect(again.body.report.collections.projects).toMatchObject({ created: 0, unchanged: 1 });
+    });
+
+    test('reports conflicts and only replaces them when asked', async () => {
+        const { body } = await createProject();
+        const bundle = await exportSite();
+        await Project.updateOne({ _id: body.project._id }, { title: 'Renamed' });
+
+        const skipped = await importSite(bundle).expect(200);
+        expect(skipped.body.report.collections.projects.conflicts).toEqual([
+            { id: body.project._id, reason: 'A different version already exists', resolution: 'skipped' }
+        ]);
+        expect((await Project.findById(body.project._id)).title).toBe('Renamed');
+
+        const overwritten = await importSite(bundle, { onConflict: 'overwrite' }).expect(200);
+        expect(overwritten.body.report.collections.projects).toMatchObject({ updated: 1, skipped: 0 });
+        expect((await Project.findById(body.project._id)).title).toBe('Wish Vault');
+    });
+
+    test('skips documents that would break a unique field', async () => {
+        const bundle = await exportSite();
+        const [admin] = bundle.collections.admins;
+        bundle.collections.admins.push({ ...admin, _id: { $oid: '0123456789abcdef01234567' } });
+
+        const res = await importSite(bundle).expect(200);
+        expect(res.body.report.collections.admins).toMatchObject({ unchanged: 1, skipped: 1 });
+        expect(res.body.report.collections.admins.conflicts[0].reason).toMatch(/^username "admin"/);
+    });
+
+    test('includes posts with their revisions, and skips clashes on compound unique indexes', async () => {
+        await ctx.api
+            .post('/api/admin/blog')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Hello', content: 'First post', published: true })
+            .expect(201);
+        const bundle = await exportSite();
+        expect(bundle.collections.blogRevisions).toHaveLength(1);
+        ['comments', 'blogLikes', 'replySnippets', 'pageViews', 'subscribers', 'campaigns'].forEach(name => {
+            expect(bundle.collections[name]).toEqual(expect.any(Array));
+        });
+
+        await Blog.deleteMany({});
+        await BlogRevision.deleteMany({});
+        await importSite(bundle).expect(200);
+        expect(await BlogRevision.countDocuments()).toBe(1);
+
+        const [revision] = bundle.collections.blogRevisions;
+        bundle.collections.blogRevisions.push({ ...revision, _id: { $oid: '0123456789abcdef01234567' } });
+        const res = await importSite(bundle).expect(200);
+        expect(res.body.report.collections.blogRevisions).toMatchObject({ unchanged: 1, skipped: 1 });
+        expect(res.body.report.collections.blogRevisions.conflicts[0].reason).toMatch(/^blog \+ version /);
+    });
+
+    test('restores webhooks with their signing secrets', async () => {
+        const { body } = await ctx.api
+            .post('/api/admin/webhooks')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'CRM', url: 'https://crm.example.com/hooks', events: ['contact.created'] })
+            .expect(201);
+        const bundle = await exportSite();
+
+        await Webhook.deleteMany({});
+        await importSite(bundle).expect(200);
+
+        const webhook = await Webhook.findById(body.webhook._id).select('+secret');
+        expect(webhook).toMatchObject({ name: 'CRM', secret: body.secret });
+    });
+
+    test('makes an existing backup directory owner-only', async () => {
+        fs.mkdirSync(backupDir, { recursive: true });
+        fs.chmodSync(backupDir, 0o755);
+
+        await ctx.app.get('backups').run();
+
+        expect(fs.statSync(backupDir).mode & 0o777).toBe(0o700);
+    });
+
+    test('rejects anything that is not a bundle', async () => {
+        const res = await importSite({ format: 'something-else' }).expect(400);
+        expect(res.body.message).toBe('Not a site bundle');
+
+        const unknown = await exportSite();
+        unknown.collections.secrets = [];
+        await importSite(unknown).expect(400);
+    });
+
+    test('writes gzipped archives that can be imported, and prunes old ones', async () => {
+        await createProject();
+        const backups = ctx.app.get('backups');
+
+        const first = await backups.run();
+        expect(await backups.runIfDue()).toBeNull();
+
+        ctx.clock.advance(31 * DAY_MS);
+        const second = await backups.runIfDue();
+        expect(second.pruned).toEqual([first.name]);
+        expect((await backups.list()).map(archive => archive.name)).toEqual([second.name]);
+        // Archives hold password hashes and secrets
+        expect(fs.statSync(path.join(backupDir, second.name)).mode & 0o777).toBe(0o600);
+
+        await Project.deleteMany({});
+        const res = await ctx.api
+            .post('/api/admin/import')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('bundle', path.join(backupDir, second.name))
+            .expect(200);
+        expect(res.body.report.collections.projects.created).toBe(1);
+    });
+});
@@ -0,0 +1,144 @@
+const { setupTestApp } = require('./helpers');
+const { Blog } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('blog', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const createPost = (fields) => ctx.api
+        .post('/api/admin/blog')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Hello, World!', content: '# Hello\n\nFirst **post**.', ...fields });
+
+    test('serves published posts as rendered HTML and counts views', async () => {
+        const { body } = await createPost({ published: true, tags: 'intro, meta' }).expect(201);
+        expect(body.blog).toMatchObject({ slug: 'hello-world', tags: ['intro', 'meta'], published: true });
+
+        const list = await ctx.api.get('/api/blog').expect(200);
+        expect(list.body.map(post => post.slug)).toEqual(['hello-world']);
+
+        const post = await ctx.api.get('/api/blog/hello-world').expect(200);
+        expect(post.body.html).toContain('<strong>post</strong>');
+        expect(post.body.views).toBe(1);
+        expect(post.body.liked).toBe(false);
+    });
+
+    test('hides drafts from the public but not from admins', async () => {
+        await createPost().expect(201);
+
+        const list = await ctx.api.get('/api/blog').expect(200);
+        expect(list.body).toEqual([]);
+        await ctx.api.get('/api/blog/hello-world').expect(404);
+
+        const preview = await ctx.api
+            .get('/api/blog/hello-world')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(preview.body.views).toBe(0);
+    });
+
+    test('publishes scheduled posts once their date has passed', async () => {
+        const publishedAt = new Date(ctx.clock().getTime() + DAY_MS).toISOString();
+        await createPost({ published: true, publishedAt }).expect(201);
+
+        await ctx.api.get('/api/blog/hello-world').expect(404);
+
+        ctx.clock.advance(2 * DAY_MS);
+        const list = await ctx.api.get('/api/blog').expect(200);
+        expect(list.body.map(post => post.slug)).toEqual(['hello-world']);
+    });
+
+    test('serves the pages that feeds and the sitemap link to', async () => {
+        await createPost({ published: true }).expect(201);
+        await createPost({ title: 'Draft' }).expect(201);
+
+        const sitemap = await ctx.api.get('/sitemap.xml').expect(200);
+        const postUrl = /<loc>([^<]*\/blog\/hello-world)<\/loc>/.exec(sitemap.text)[1];
+        const path = new URL(postUrl).pathname;
+        expect(path).toBe('/blog/hello-world');
+
+        const page = await ctx.api.get(path).expect(200).expect('Content-Type', /html/);
+        expect(page.text).toContain('<title>Hello, World! – Sujal Javeri</title>');
+        expect(page.text).toContain(`<link rel="canonical" href="${postUrl}">`);
+        expect(page.text).toContain('<strong>post</strong>');
+        expect((await Blog.findOne({ slug: 'hello-world' })).views).toBe(1);
+
+        const index = await ctx.api.get('/blog').expect(200);
+        expect(index.text).toContain(`href="${postUrl}"`);
+        expect(index.text).not.toContain('Draft');
+        await ctx.api.get('/blog/draft').expect(404).expect('Content-Type', /html/);
+    });
+
+    test('keeps text that reads like an HTML entity in excerpts', async () => {
+        await createPost({ published: true, content: 'Write `&lt;` for < in HTML, & that is all.' }).expect(201);
+
+        const post = await ctx.api.get('/api/blog/hello-world').expect(200);
+        expect(post.body.excerpt).toBe('Write &lt; for < in HTML, & that is all.');
+    });
+
+    test('gives posts with the same title distinct slugs', async () => {
+        await createPost().expect(201);
+        const second = await createPost().expect(201);
+
+        expect(second.body.blog.slug).toBe('hello-world-2');
+    });
+
+    test('keeps a revision for every edit', async () => {
+        const { body } = await createPost().expect(201);
+        const id = body.blog._id;
+
+        await ctx.api
+            .patch(`/api/admin/blog/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ content: '# Hello\n\nEdited.', revisionNote: 'Fix wording' })
+            .expect(200);
+
+        const revisions = await ctx.api
+            .get(`/api/admin/blog/${id}/revisions`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(revisions.body.map(revision => [revision.version, revision.note])).toEqual([
+            [2, 'Fix wording'],
+            [1, 'Created']
+        ]);
+    });
+
+    test('counts one like per visitor', async () => {
+        await createPost({ published: true }).expect(201);
+
+        await ctx.api.post('/api/blog/hello-world/like').expect(200);
+        const again = await ctx.api.post('/api/blog/hello-world/like').expect(200);
+        expect(again.body).toEqual({ liked: true, likes: 1 });
+
+        const unliked = await ctx.api.delete('/api/blog/hello-world/like').expect(200);
+        expect(unliked.body.likes).toBe(0);
+        expect((await Blog.findOne({ slug: 'hello-world' })).likes).toBe(0);
+    });
+
+    test('validates the body', async () => {
+        const res = await ctx.api
+            .post('/api/admin/blog')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ content: 'No title', publishedAt: 'tomorrow-ish' })
+            .expect(400);
+
+        expect(res.body.errors).toEqual({
+            title: 'Title is required',
+            publishedAt: 'Must be a valid date'
+        });
+    });
+});
@@ -0,0 +1,204 @@
+const { setupTestApp } = require('./helpers');
+const { Booking, Contact, EmailOutbox, AuditLog } = require('../models');
+
+describe('call booking', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        // Every test books through the same rate-limited endpoint
+        ctx = await setupTestApp({ CONTACT_RATE_LIMIT_MAX: '100' });
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    // Hourly slots from 09:00 to 17:00 UTC every day
+    const openBookings = (fields = {}) => ctx.api
+        .put('/api/admin/bookings/availability')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+            enabled: true,
+            timezone: 'UTC',
+            slotMinutes: 60,
+            minNoticeHours: 2,
+            maxDaysAhead: 14,
+            location: 'https://meet.example.com/sujal',
+            weekly: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '09:00', end: '17:00' })),
+            ...fields
+        })
+        .expect(200);
+
+    const firstSlot = async () => {
+        const res = await ctx.api.get('/api/booking/slots').expect(200);
+        return res.body.slots[0];
+    };
+
+    // Resolves to the response, after checking its status when one is given
+    const book = async (start, fields = {}, status) => {
+        const res = await ctx.api.get('/api/booking/token').expect(200);
+        ctx.clock.advance(10 * 1000);
+        const booking = ctx.api
+            .post('/api/booking')
+            .send({
+                start,
+                name: 'Ada Lovelace',
+                email: 'ada@example.com',
+                notes: 'A new website for my startup',
+                timezone: 'Europe/London',
+                formToken: res.body.token,
+                ...fields
+            });
+        return status ? booking.expect(status) : booking;
+    };
+
+    test('lists open slots within the weekly hours, minus blackout days', async () => {
+        const tomorrow = new Date(ctx.clock().getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        await openBookings({ blackouts: [{ from: tomorrow, reason: 'Exams' }] });
+
+        const res = await ctx.api.get('/api/booking/slots').expect(200);
+
+        expect(res.body).toMatchObject({ open: true, timezone: 'UTC', slotMinutes: 60 });
+        expect(res.body.slots.length).toBeGreaterThan(0);
+        res.body.slots.forEach(slot => {
+            const start = new Date(slot.start);
+            expect(start.getUTCHours()).toBeGreaterThanOrEqual(9);
+            expect(start.getUTCHours()).toBeLessThan(17);
+            expect(start.getTime()).toBeGreaterThanOrEqual(ctx.clock().getTime() + 2 * 60 * 60 * 1000);
+            expect(slot.start.slice(0, 10)).not.toBe(tomorrow);
+        });
+    });
+
+    test('books a slot, links it to a contact and emails .ics invites', async () => {
+        await openBookings();
+        const slot = await firstSlot();
+
+        const res = await book(slot.start, {}, 201);
+
+        expect(res.body.booking).toMatchObject({ start: slot.start, end: slot.end, status: 'confirmed' });
+        const booking = await Booking.findById(res.body.booking._id);
+        const contact = await Contact.findById(booking.contact);
+        expect(contact).toMatchObject({ name: 'Ada Lovelace', status: 'new', message: 'A new website for my startup' });
+        expect(contact.subject).toMatch(/^Call booking: /);
+
+        const mails = await EmailOutbox.find().sort({ to: 1 });
+        expect(mails.map(mail => mail.to)).toEqual(['ada@example.com', 'owner@example.com']);
+        const [invite] = mails[0].attachments;
+        expect(invite.contentType).toBe('text/calendar; charset=utf-8; method=REQUEST');
+        expect(invite.content).toContain('METHOD:REQUEST');
+        expect(invite.content).toContain(`UID:booking-${booking._id}@`);
+        expect(invite.content).toContain('LOCATION:https://meet.example.com/sujal');
+        expect(mails[0].text).toContain('(Europe/London)');
+
+        const slots = await ctx.api.get('/api/booking/slots').expect(200);
+        expect(slots.body.slots.map(open => open.start)).not.toContain(slot.start);
+    });
+
+    test('lets only one of two simultaneous requests have a slot', async () => {
+        await openBookings();
+        const slot = await firstSlot();
+
+        const results = await Promise.all([
+            book(slot.start),
+            book(slot.start, { name: 'Grace Hopper', email: 'grace@example.com' })
+        ]);
+
+        expect(results.map(res => res.status).sort()).toEqual([201, 409]);
+        expect(await Booking.countDocuments({ status: 'confirmed' })).toBe(1);
+        expect(await Contact.countDocuments()).toBe(1);
+    });
+
+    test('refuses a booking that overlaps one made with a different slot length', async () => {
+        await openBookings();
+        const slot = await firstSlot();
+        await book(slot.start, {}, 201);
+
+        await openBookings({ slotMinutes: 30 });
+        const halfway = new Date(new Date(slot.start).getTime() + 30 * 60 * 1000).toISOString();
+        const slots = await ctx.api.get('/api/booking/slots').expect(200);
+        expect(slots.body.slots.map(open => open.start)).not.toContain(halfway);
+
+        const res = await book(halfway, { email: 'grace@example.com' }, 409);
+        expect(res.body.message).toMatch(/just been taken/);
+        expect(await Booking.countDocuments({ status: 'confirmed' })).toBe(1);
+    });
+
+    test('frees the slot again when the contact fails to save', async () => {
+        await openBookings();
+        const slot = await firstSlot();
+        const create = jest.spyOn(Contact, 'create').mockRejectedValueOnce(new Error('Disk full'));
+
+        try {
+            await book(slot.start, {}, 500);
+        } finally {
+            create.mockRestore();
+        }
+
+        expect(await Booking.countDocuments()).toBe(0);
+        await book(slot.start, {}, 201);
+    });
+
+    test('refuses times that are not open and bookings while closed', async () => {
+        await openBookings();
+        const slot = await firstSlot();
+        const offGrid = new Date(new Date(slot.start).getTime() + 15 * 60 * 1000).toISOString();
+
+        const res = await book(offGrid, {}, 409);
+        expect(res.body.message).toMatch(/not available/);
+
+        await openBookings({ enabled: false });
+        const closed = await ctx.api.get('/api/booking/slots').expect(200);
+        expect(closed.body).toMatchObject({ open: false, slots: [] });
+        await book(slot.start, {}, 409);
+    });
+
+    test('lets admins list and cancel bookings, notifying the visitor', async () => {
+        await openBookings();
+        const { body } = await book((await firstSlot()).start, {}, 201);
+        await EmailOutbox.deleteMany({});
+
+        const list = await ctx.api
+            .get('/api/admin/bookings?status=confirmed')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(list.body.totalBookings).toBe(1);
+        expect(list.body.bookings[0].contact.subject).toMatch(/^Call booking: /);
+
+        const cancel = () => ctx.api
+            .post(`/api/admin/bookings/${body.booking._id}/cancel`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ reason: 'Something came up' });
+
+        const res = await cancel().expect(200);
+        expect(res.body.booking).toMatchObject({ status: 'cancelled', cancelledBy: 'admin', sequence: 1 });
+
+        const mail = await EmailOutbox.findOne();
+        expect(mail.to).toBe('ada@example.com');
+        expect(mail.text).toContain('Something came up');
+        expect(mail.attachments[0].content).toContain('METHOD:CANCEL');
+        expect(mail.attachments[0].content).toContain('SEQUENCE:1');
+        expect(await AuditLog.countDocuments({ action: 'booking.cancel' })).toBe(1);
+
+        await cancel().expect(409);
+    });
+
+    test('validates availability and keeps booking management to admins', async () => {
+        const res = await ctx.api
+            .put('/api/admin/bookings/availability')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ timezone: 'Mars/Olympus', weekly: [{ day: 1, start: '17:00', end: '09:00' }] })
+            .expect(400);
+        expect(res.body.errors).toEqual({
+            timezone: 'Must be an IANA time zone, e.g. Asia/Kolkata',
+            'weekly.0': 'End must be after start'
+        });
+
+        const { token: moderatorToken } = await ctx.loginAs('moderator');
+        await ctx.api.get('/api/admin/bookings').set('Authorization', `Bearer ${moderatorToken}`).expect(403);
+    });
+});
@@ -0,0 +1,54 @@
+const { setupTestApp } = require('./helpers');
+
+describe('HTTP caching of public GETs', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const createProject = (title) => ctx.api
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title, description: 'A gift registry' })
+        .expect(201);
+
+    test('revalidates with ETags and answers unchanged data with a 304', async () => {
+        await createProject('Wish Vault');
+
+        const first = await ctx.api
+            .get('/api/projects')
+            .expect(200)
+            .expect('Cache-Control', 'public, max-age=0, must-revalidate');
+        expect(first.headers.etag).toBeDefined();
+        expect(first.headers.vary).toMatch(/Authorization/);
+
+        await ctx.api.get('/api/projects').set('If-None-Match', first.headers.etag).expect(304);
+
+        await createProject('Innovate Together');
+        const changed = await ctx.api.get('/api/projects').set('If-None-Match', first.headers.etag).expect(200);
+        expect(changed.headers.etag).not.toBe(first.headers.etag);
+        expect(changed.body).toHaveLength(2);
+    });
+
+    test('never stores signed-in responses', async () => {
+        await ctx.api
+            .get('/api/blog')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200)
+            .expect('Cache-Control', 'private, no-store');
+    });
+
+    test('lets the resume be cached for a few minutes', async () => {
+        await ctx.api.get('/api/resume').expect(200).expect('Cache-Control', 'public, max-age=300, must-revalidate');
+    });
+});
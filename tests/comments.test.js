@@ -0,0 +1,113 @@
+const { setupTestApp } = require('./helpers');
+const { Blog, Comment } = require('../models');
+
+describe('blog comments', () => {
+    let ctx;
+    let token;
+    let blog;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+        blog = await Blog.create({ title: 'Hello', slug: 'hello', content: 'Hi', published: true, publishedAt: ctx.clock() });
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    // The endpoint allows 5 comments per 15 minutes from one address, so the
+    // tests below post at most 5 between them and seed deeper threads directly
+    const comment = async (fields = {}, status = 201) => {
+        const res = await ctx.api.get('/api/comments/token').expect(200);
+        ctx.clock.advance(10 * 1000);
+        return ctx.api
+            .post('/api/blog/hello/comments')
+            .send({ name: 'Ada', email: 'ada@example.com', content: 'Great post!', formToken: res.body.token, ...fields })
+            .expect(status);
+    };
+
+    const thread = async (length) => {
+        const comments = [];
+        for (let depth = 0; depth < length; depth++) {
+            comments.push(await Comment.create({
+                blog: blog._id,
+                parent: depth ? comments[depth - 1]._id : null,
+                depth,
+                name: `Reader ${depth}`,
+                email: `reader${depth}@example.com`,
+                content: `Comment ${depth}`,
+                status: 'approved'
+            }));
+        }
+        return comments;
+    };
+
+    const publicComments = async () => (await ctx.api.get('/api/blog/hello/comments').expect(200)).body;
+
+    test('holds comments for moderation and shows approved ones as a thread', async () => {
+        await comment();
+        expect(await publicComments()).toEqual({ comments: [], total: 0 });
+
+        const queue = await ctx.api
+            .get('/api/admin/comments')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(queue.body.comments).toEqual([expect.objectContaining({ name: 'Ada', status: 'pending', spamScore: 0 })]);
+        const [first] = queue.body.comments;
+
+        await ctx.api
+            .patch(`/api/admin/comments/${first._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ status: 'approved' })
+            .expect(200);
+        await comment({ name: 'Grace', content: 'Agreed!', parentId: first._id });
+        await ctx.api
+            .post('/api/admin/comments/moderate')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ ids: [(await Comment.findOne({ name: 'Grace' }))._id], status: 'approved' })
+            .expect(200);
+
+        const { comments, total } = await publicComments();
+        expect(total).toBe(2);
+        expect(comments).toEqual([
+            expect.objectContaining({
+                name: 'Ada',
+                replies: [expect.objectContaining({ name: 'Grace', depth: 1, replies: [] })]
+            })
+        ]);
+        expect(comments[0].email).toBeUndefined();
+    });
+
+    test('moves replies past the maximum depth up to an approved grandparent only', async () => {
+        const comments = await thread(5);
+        const deepest = comments[4];
+
+        await comment({ content: 'First reply', parentId: deepest._id });
+        const first = await Comment.findOne({ content: 'First reply' });
+        expect([String(first.parent), first.depth]).toEqual([String(comments[3]._id), 4]);
+
+        await Comment.updateOne({ _id: comments[3]._id }, { status: 'pending' });
+        await comment({ content: 'Second reply', parentId: deepest._id });
+        const second = await Comment.findOne({ content: 'Second reply' });
+        expect([String(second.parent), second.depth]).toEqual([String(deepest._id), 5]);
+    });
+
+    test('refuses replies to comments that are not approved, and deletes whole threads', async () => {
+        const [top, reply] = await thread(2);
+        await Comment.updateOne({ _id: reply._id }, { status: 'pending' });
+
+        const res = await comment({ parentId: reply._id }, 400);
+        expect(res.body.errors).toEqual({ parentId: 'Invalid parent comment' });
+
+        const deleted = await ctx.api
+            .delete(`/api/admin/comments/${top._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(deleted.body.deleted).toBe(2);
+        expect(await Comment.countDocuments()).toBe(0);
+    });
+});
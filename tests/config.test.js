@@ -0,0 +1,79 @@
+const { loadConfig, ConfigError } = require('../lib/config');
+
+const PRODUCTION = {
+    NODE_ENV: 'production',
+    JWT_SECRET: 'a'.repeat(48),
+    ALLOWED_ORIGINS: 'https://sujaljaveri.me'
+};
+
+const configErrors = (env) => {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        if (error instanceof ConfigError) return error.errors;
+        throw error;
+    }
+    return null;
+};
+
+describe('config', () => {
+    test('applies typed defaults', () => {
+        const config = loadConfig({});
+
+        expect(config).toMatchObject({
+            NODE_ENV: 'development',
+            PORT: 5000,
+            JWT_EXPIRES_IN: '15m',
+            MAX_FILE_SIZE: 5 * 1024 * 1024,
+            RATE_LIMIT_MAX_REQUESTS: 100,
+            ANALYTICS_ENABLED: true,
+            MEDIA_SWEEP_ENABLED: false,
+            TRUST_PROXY: false,
+            ALLOWED_ORIGINS: ['http://localhost:3000']
+        });
+        expect(Object.isFrozen(config)).toBe(true);
+    });
+
+    test('coerces environment strings', () => {
+        const config = loadConfig({
+            PORT: '8080',
+            ANALYTICS_ENABLED: 'false',
+            CONTACT_RATE_LIMIT_MAX: '3',
+            TRUST_PROXY: '1',
+            ALLOWED_ORIGINS: 'https://a.example, https://b.example',
+            FRONTEND_URL: 'https://c.example'
+        });
+
+        expect(config).toMatchObject({
+            PORT: 8080,
+            ANALYTICS_ENABLED: false,
+            CONTACT_RATE_LIMIT_MAX: 3,
+            TRUST_PROXY: 1,
+            ALLOWED_ORIGINS: ['https://a.example', 'https://b.example', 'https://c.example']
+        });
+        expect(loadConfig({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }).TRUST_PROXY).toEqual(['loopback', '10.0.0.0/8']);
+    });
+
+    test('reports every invalid setting at once', () => {
+        expect(configErrors({ PORT: 'eighty', LOG_LEVEL: 'loud', JWT_EXPIRES_IN: 'soon' })).toEqual({
+            PORT: 'Must be an integer',
+            LOG_LEVEL: 'Must be one of: silent, error, warn, info, debug',
+            JWT_EXPIRES_IN: 'Must be a duration such as 15m, 1h or 900'
+        });
+    });
+
+    test('refuses example or weak secrets in production', () => {
+        expect(loadConfig(PRODUCTION).NODE_ENV).toBe('production');
+
+        expect(configErrors({ ...PRODUCTION, JWT_SECRET: undefined }).JWT_SECRET).toBe('Required in production');
+        expect(configErrors({ ...PRODUCTION, JWT_SECRET: 'your-super-secret-jwt-key-change-this-in-production' }).JWT_SECRET)
+            .toBe('Must not be the example value');
+        expect(configErrors({ ...PRODUCTION, JWT_SECRET: 'short' }).JWT_SECRET).toMatch(/at least 32 characters/);
+        expect(configErrors({ ...PRODUCTION, EMAIL_PASS: 'your-app-password' }).EMAIL_PASS).toBe('Must not be the example value');
+        expect(configErrors({ ...PRODUCTION, ALLOWED_ORIGINS: '' }).ALLOWED_ORIGINS).toBe('Required in production');
+    });
+
+    test('drops the example GitHub token', () => {
+        expect(loadConfig({ GITHUB_TOKEN: 'your-github-personal-access-token' }).GITHUB_TOKEN).toBeUndefined();
+    });
+});
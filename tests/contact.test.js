@@ -0,0 +1,93 @@
+const { setupTestApp } = require('./helpers');
+const { Contact, EmailOutbox } = require('../models');
+
+describe('contact form', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const message = {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        subject: 'Collaboration',
+        message: 'I would love to work together on an analytical engine.'
+    };
+
+    // A form token that has been open long enough not to look like a bot
+    const formToken = async () => {
+        const res = await ctx.api.get('/api/contact/token').expect(200);
+        ctx.clock.advance(10 * 1000);
+        return res.body.token;
+    };
+
+    test('stores the message and emails the owner and the sender', async () => {
+        const token = await formToken();
+
+        const res = await ctx.api
+            .post('/api/contact')
+            .send({ ...message, formToken: token })
+            .expect(200);
+
+        expect(res.body.message).toMatch(/sent successfully/);
+
+        const contact = await Contact.findOne({ email: 'ada@example.com' });
+        expect(contact).toMatchObject({ name: 'Ada Lovelace', status: 'new', spamScore: 0 });
+
+        expect(await EmailOutbox.countDocuments({ status: 'pending' })).toBe(2);
+        await ctx.app.get('mailer').processOutbox();
+
+        const recipients = ctx.transport.sent.map(mail => mail.to).sort();
+        expect(recipients).toEqual(['ada@example.com', 'owner@example.com']);
+        const notification = ctx.transport.sent.find(mail => mail.to === 'owner@example.com');
+        expect(notification.subject).toBe('Portfolio Contact: Collaboration');
+        expect(notification.replyTo).toBe('ada@example.com');
+        expect(await EmailOutbox.countDocuments({ status: 'sent' })).toBe(2);
+    });
+
+    test('rejects invalid fields with per-field errors', async () => {
+        const res = await ctx.api
+            .post('/api/contact')
+            .send({ name: '', email: 'not-an-email', subject: 'Hi', message: 'short' })
+            .expect(400);
+
+        expect(res.body.errors).toEqual({
+            name: 'Name is required',
+            email: 'Invalid email format',
+            message: 'Message must be at least 10 characters'
+        });
+        expect(await Contact.countDocuments()).toBe(0);
+    });
+
+    test('keeps honeypot submissions as spam without sending email', async () => {
+        const token = await formToken();
+
+        await ctx.api
+            .post('/api/contact')
+            .send({ ...message, website: 'http://spam.example', formToken: token })
+            .expect(200);
+
+        const contact = await Contact.findOne();
+        expect(contact.status).toBe('spam');
+        expect(contact.spamReasons).toContain('honeypot');
+        expect(await EmailOutbox.countDocuments()).toBe(0);
+    });
+
+    test('flags submissions made the moment the form loaded', async () => {
+        const res = await ctx.api.get('/api/contact/token').expect(200);
+
+        await ctx.api
+            .post('/api/contact')
+            .send({ ...message, formToken: res.body.token })
+            .expect(200);
+
+        const contact = await Contact.findOne();
+        expect(contact.status).toBe('spam');
+        expect(contact.spamReasons).toContain('submitted-too-fast');
+    });
+});
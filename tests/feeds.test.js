@@ -0,0 +1,60 @@
+const { setupTestApp } = require('./helpers');
+
+describe('feeds and sitemap', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        // The static site and the API live on different hosts
+        ctx = await setupTestApp({ SITE_URL: 'https://example.com', API_URL: 'https://api.example.com' });
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const createPost = (fields) => ctx.api
+        .post('/api/admin/blog')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Hello, World!', content: 'First post', published: true, featuredImage: '/uploads/cover.jpg', ...fields })
+        .expect(201);
+
+    test('links the feeds and their images to the API host', async () => {
+        await createPost();
+
+        const rss = await ctx.api.get('/feed.xml').expect(200).expect('Content-Type', /rss/);
+        expect(rss.text).toContain('<atom:link href="https://api.example.com/feed.xml" rel="self"');
+        expect(rss.text).toContain('<link>https://api.example.com/blog/hello-world</link>');
+
+        const atom = await ctx.api.get('/atom.xml').expect(200);
+        expect(atom.text).toContain('<link rel="self" type="application/atom+xml" href="https://api.example.com/atom.xml"/>');
+        expect(atom.text).toContain('<id>https://api.example.com/</id>');
+
+        const json = JSON.parse((await ctx.api.get('/feed.json').expect(200)).text);
+        expect(json).toMatchObject({
+            feed_url: 'https://api.example.com/feed.json',
+            home_page_url: 'https://api.example.com/blog',
+            authors: [{ url: 'https://example.com' }]
+        });
+        expect(json.items[0].image).toBe('https://api.example.com/uploads/cover.jpg');
+    });
+
+    test('lists the home page on the site and posts on the API in the sitemap', async () => {
+        await createPost();
+
+        const sitemap = await ctx.api.get('/sitemap.xml').expect(200);
+        const locs = [...sitemap.text.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+        expect(locs).toEqual(['https://example.com/', 'https://api.example.com/blog', 'https://api.example.com/blog/hello-world']);
+    });
+
+    test('answers with 304 when the feed has not changed', async () => {
+        await createPost();
+
+        const first = await ctx.api.get('/feed.xml').expect(200);
+        await ctx.api.get('/feed.xml').set('If-None-Match', first.headers.etag).expect(304);
+    });
+});
@@ -0,0 +1,99 @@
+// Shared setup for the API tests: an in-memory MongoDB, a fake mail transport,
+// a clock the tests can move and an app built around all three.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createApp } = require('../app');
+const { loadConfig } = require('../lib/config');
+const { Admin } = require('../models');
+
+const PASSWORD = 'correct-horse-battery';
+
+// Collects messages instead of sending them
+const createFakeTransport = () => {
+    const sent = [];
+    return {
+        sent,
+        sendMail: async (message) => {
+            sent.push(message);
+            return { messageId: `<test-${sent.length}@localhost>` };
+        }
+    };
+};
+
+// Starts at the real time so database defaults (Date.now) stay in step
+const createClock = (start = new Date()) => {
+    let now = start.getTime();
+    const clock = () => new Date(now);
+    clock.advance = (ms) => {
+        now += ms;
+    };
+    return clock;
+};
+
+// Polls until `check` resolves truthy, for work the app does after responding
+const waitFor = async (check, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for condition');
+};
+
+// One database and app per test file; call reset() between tests
+const setupTestApp = async (config = {}) => {
+    const mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+    const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-uploads-'));
+    const transport = createFakeTransport();
+    const clock = createClock();
+    const app = createApp({
+        db: mongoose.connection,
+        transport,
+        clock,
+        config: loadConfig({
+            NODE_ENV: 'test',
+            LOG_LEVEL: 'silent',
+            JWT_SECRET: 'test-secret',
+            UPLOAD_DIR: uploadDir,
+            EMAIL_FROM: 'site@example.com',
+            CONTACT_NOTIFY_EMAIL: 'owner@example.com',
+            ...config
+        }),
+        githubFetcher: async () => {
+            throw new Error('GitHub is not available in tests');
+        }
+    });
+
+    const reset = async () => {
+        const collections = await mongoose.connection.db.collections();
+        await Promise.all(collections.map(collection => collection.deleteMany({})));
+        transport.sent.length = 0;
+    };
+
+    const teardown = async () => {
+        await app.get('jobs').stop();
+        await mongoose.disconnect();
+        await mongod.stop();
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    };
+
+    // Creates an account and logs it in through the API
+    const loginAs = async (role = 'admin', username = role) => {
+        const admin = await Admin.create({ username, email: `${username}@example.com`, password: PASSWORD, role });
+        const res = await request(app)
+            .post('/api/admin/login')
+            .send({ username, password: PASSWORD });
+        return { admin, token: res.body.token, refreshToken: res.body.refreshToken };
+    };
+
+    return { app, api: request(app), transport, clock, uploadDir, reset, teardown, loginAs };
+};
+
+module.exports = { setupTestApp, createFakeTransport, createClock, waitFor, PASSWORD };
@@ -0,0 +1,87 @@
+const sharp = require('sharp');
+const { setupTestApp } = require('./helpers');
+const { Media } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('media library', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const image = (width = 800) => sharp({
+        create: { width, height: width / 2, channels: 3, background: '#336699' }
+    }).jpeg().toBuffer();
+
+    const upload = (buffer, name = 'cover.jpg') => ctx.api
+        .post('/api/admin/media')
+        .set('Authorization', `Bearer ${token}`)
+        .field('alt', 'A blue cover')
+        .field('tags', 'covers, blog')
+        .attach('file', buffer, name);
+
+    test('stores an upload with responsive variants and finds it by tag', async () => {
+        const res = await upload(await image()).expect(201);
+
+        expect(res.body.media).toMatchObject({ mimeType: 'image/jpeg', width: 800, height: 400, alt: 'A blue cover', tags: ['covers', 'blog'] });
+        expect(res.body.media.variants.map(variant => `${variant.format}-${variant.width}`).sort()).toEqual([
+            'avif-320', 'avif-640', 'avif-800', 'webp-320', 'webp-640', 'webp-800'
+        ]);
+        await ctx.api.get(res.body.media.url).expect(200).expect('Content-Type', 'image/jpeg');
+
+        const list = await ctx.api
+            .get('/api/admin/media?tag=covers')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(list.body.media.map(item => item._id)).toEqual([res.body.media._id]);
+    });
+
+    test('rejects a file whose bytes are not an image, whatever its name says', async () => {
+        const res = await upload(Buffer.from('<?php echo "hi"; ?>'), 'shell.png').expect(400);
+
+        expect(res.body.message).toBe('Only JPEG, PNG, GIF, WebP and AVIF images are allowed');
+        expect(await Media.countDocuments()).toBe(0);
+    });
+
+    test('keeps media that posts still use and sweeps the rest once the grace period is over', async () => {
+        const used = (await upload(await image(400)).expect(201)).body.media;
+        const unused = (await upload(await image(400), 'spare.jpg').expect(201)).body.media;
+        await ctx.api
+            .post('/api/admin/blog')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Hello', content: `![Cover](${used.url})` })
+            .expect(201);
+
+        await ctx.api
+            .delete(`/api/admin/media/${used._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(409);
+
+        const early = await ctx.api.post('/api/admin/media/sweep').set('Authorization', `Bearer ${token}`).send({}).expect(200);
+        expect(early.body.media).toEqual([]);
+
+        ctx.clock.advance(2 * DAY_MS);
+        const dryRun = await ctx.api
+            .post('/api/admin/media/sweep')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ dryRun: true })
+            .expect(200);
+        expect(dryRun.body.media.map(item => item._id)).toEqual([unused._id]);
+        expect(await Media.countDocuments()).toBe(2);
+
+        await ctx.api.post('/api/admin/media/sweep').set('Authorization', `Bearer ${token}`).send({}).expect(200);
+        expect((await Media.find()).map(item => String(item._id))).toEqual([used._id]);
+        await ctx.api.get(unused.url).expect(404);
+    });
+});
@@ -0,0 +1,86 @@
+const { setupTestApp } = require('./helpers');
+const { Subscriber, Campaign, EmailOutbox } = require('../models');
+
+describe('newsletter', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp({ NEWSLETTER_BATCH_SIZE: '2', NEWSLETTER_BATCH_INTERVAL_SECONDS: '60' });
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    // The path and query of a link in a queued email's text
+    const linkIn = (mail, path) => new RegExp(`https?://[^/\\s]+(${path.replace('?', '\\?')}[^\\s]+)`).exec(mail.text)[1];
+
+    const subscribe = (fields) => ctx.api
+        .post('/api/subscribe')
+        .send({ email: 'ada@example.com', source: 'footer', ...fields })
+        .expect(200);
+
+    test('only confirms a subscription through the emailed link', async () => {
+        await subscribe();
+        expect(await Subscriber.findOne({ email: 'ada@example.com' })).toMatchObject({ status: 'pending', source: 'footer' });
+
+        const mail = await EmailOutbox.findOne({ to: 'ada@example.com' });
+        expect(mail.subject).toBe('Please confirm your subscription');
+
+        await ctx.api.get('/api/subscribe/confirm?token=not-a-token').expect(400);
+        expect((await Subscriber.findOne()).status).toBe('pending');
+
+        const confirmed = await ctx.api.get(linkIn(mail, '/api/subscribe/confirm?')).expect(200);
+        expect(confirmed.text).toContain('Subscription confirmed');
+        expect((await Subscriber.findOne()).status).toBe('confirmed');
+
+        await ctx.api.post(linkIn(mail, '/api/unsubscribe?')).expect(200);
+        expect((await Subscriber.findOne()).status).toBe('unsubscribed');
+    });
+
+    test('ignores submissions that fill the honeypot', async () => {
+        const res = await subscribe({ website: 'https://spam.example.com' });
+
+        expect(res.body.message).toMatch(/Check your inbox/);
+        expect(await Subscriber.countDocuments()).toBe(0);
+        expect(await EmailOutbox.countDocuments()).toBe(0);
+    });
+
+    test('announces a new post to confirmed subscribers in batches', async () => {
+        await Subscriber.create([
+            { email: 'one@example.com', status: 'confirmed' },
+            { email: 'two@example.com', status: 'confirmed' },
+            { email: 'three@example.com', status: 'confirmed' },
+            { email: 'pending@example.com', status: 'pending' },
+            { email: 'gone@example.com', status: 'unsubscribed' }
+        ]);
+        await ctx.api
+            .post('/api/admin/blog')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Hello, World!', content: 'First post', published: true })
+            .expect(201);
+        const newsletter = ctx.app.get('newsletter');
+        const announcements = () => EmailOutbox.find({ campaign: { $ne: null } }).sort({ to: 1 });
+
+        await newsletter.processCampaigns();
+        expect(await announcements()).toHaveLength(2);
+        expect(await Campaign.findOne()).toMatchObject({ status: 'sending', recipients: 2 });
+
+        // The next batch waits for the interval
+        await newsletter.processCampaigns();
+        expect(await announcements()).toHaveLength(2);
+
+        ctx.clock.advance(60 * 1000);
+        await newsletter.processCampaigns();
+        const mails = await announcements();
+        expect(mails.map(mail => mail.to)).toEqual(['one@example.com', 'three@example.com', 'two@example.com']);
+        expect(mails[0].subject).toBe('New post: Hello, World!');
+        expect(mails[0].headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+        expect(await Campaign.findOne()).toMatchObject({ status: 'completed', recipients: 3 });
+    });
+});
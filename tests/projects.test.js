@@ -0,0 +1,142 @@
+const sharp = require('sharp');
+const { setupTestApp } = require('./helpers');
+const { Project, AuditLog, Media } = require('../models');
+
+describe('projects', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const createProject = (fields) => ctx.api
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Wish Vault', description: 'A gift registry', ...fields });
+
+    test('creates a project with defaults and records it in the audit log', async () => {
+        const res = await createProject({ technologies: 'Node.js, React', githubUrl: 'https://github.com/sujal/wish-vault' })
+            .expect(201);
+
+        expect(res.body.project).toMatchObject({
+            title: 'Wish Vault',
+            technologies: ['Node.js', 'React'],
+            featured: false,
+            liveUrl: '',
+            image: null
+        });
+        expect(await AuditLog.countDocuments({ action: 'project.create' })).toBe(1);
+
+        const list = await ctx.api.get('/api/projects').expect(200);
+        expect(list.body.map(project => project.title)).toEqual(['Wish Vault']);
+    });
+
+    test('requires authentication to create', async () => {
+        await ctx.api.post('/api/projects').send({ title: 'Wish Vault', description: 'A gift registry' }).expect(401);
+        expect(await Project.countDocuments()).toBe(0);
+    });
+
+    test('validates the body', async () => {
+        const res = await ctx.api
+            .post('/api/projects')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ githubUrl: 'https://gitlab.com/sujal/wish-vault', featured: 'maybe' })
+            .expect(400);
+
+        expect(res.body.errors).toEqual({
+            title: 'Title is required',
+            description: 'Description is required',
+            githubUrl: 'Must be a github.com repository URL',
+            featured: 'Must be true or false'
+        });
+    });
+
+    test('PATCH changes only the fields sent, PUT resets the rest', async () => {
+        const { body } = await createProject({ featured: true, technologies: ['Go'] }).expect(201);
+        const id = body.project._id;
+
+        const patched = await ctx.api
+            .patch(`/api/projects/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ status: 'completed' })
+            .expect(200);
+        expect(patched.body.project).toMatchObject({ status: 'completed', featured: true, technologies: ['Go'] });
+
+        const replaced = await ctx.api
+            .put(`/api/projects/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Wish Vault 2', description: 'Rewritten' })
+            .expect(200);
+        expect(replaced.body.project).toMatchObject({ title: 'Wish Vault 2', featured: false, technologies: [] });
+    });
+
+    test('filters featured projects and honours the saved order', async () => {
+        const first = await createProject({ title: 'First', featured: true }).expect(201);
+        const second = await createProject({ title: 'Second', featured: true }).expect(201);
+        await createProject({ title: 'Third' }).expect(201);
+
+        await ctx.api
+            .put('/api/projects/order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ ids: [second.body.project._id, first.body.project._id] })
+            .expect(200);
+
+        const featured = await ctx.api.get('/api/projects?featured=true').expect(200);
+        expect(featured.body.map(project => project.title)).toEqual(['Second', 'First']);
+    });
+
+    test('stores an uploaded image in the media library', async () => {
+        const png = await sharp({
+            create: { width: 32, height: 32, channels: 3, background: '#336699' }
+        }).png().toBuffer();
+
+        const res = await ctx.api
+            .post('/api/projects')
+            .set('Authorization', `Bearer ${token}`)
+            .field('title', 'Wish Vault')
+            .field('description', 'A gift registry')
+            .field('featured', 'true')
+            .attach('image', png, 'cover.png')
+            .expect(201);
+
+        expect(res.body.project.featured).toBe(true);
+        expect(res.body.project.image).toMatch(/^\/uploads\//);
+        expect(await Media.countDocuments()).toBe(1);
+
+        await ctx.api.get(res.body.project.image).expect(200);
+    });
+
+    test('rejects uploads that are not images', async () => {
+        const res = await ctx.api
+            .post('/api/projects')
+            .set('Authorization', `Bearer ${token}`)
+            .field('title', 'Wish Vault')
+            .field('description', 'A gift registry')
+            .attach('image', Buffer.from('not an image'), 'notes.txt')
+            .expect(400);
+
+        expect(res.body.message).toBe('Only image files are allowed!');
+    });
+
+    test('deletes a project', async () => {
+        const { body } = await createProject().expect(201);
+
+        await ctx.api
+            .delete(`/api/projects/${body.project._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        await ctx.api
+            .delete(`/api/projects/${body.project._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(404);
+    });
+});
@@ -0,0 +1,113 @@
+const { setupTestApp } = require('./helpers');
+const { Experience, AuditLog } = require('../models');
+
+describe('resume', () => {
+    let ctx;
+    let token;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const create = (section, body) => ctx.api
+        .post(`/api/admin/resume/${section}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body)
+        .expect(201);
+
+    test('serves entries in JSON Resume format, leaving hidden ones out', async () => {
+        await create('experience', {
+            position: 'Founder',
+            organization: 'WishVault',
+            description: 'Instagram POD Apparel Store',
+            startDate: '2024-03',
+            highlights: ['Built the brand']
+        });
+        await create('experience', { position: 'YouTube Creator', organization: 'Vimpy', startDate: '2020', endDate: '2023' });
+        await create('experience', { position: 'Draft', organization: 'Hidden', startDate: '2025', visible: false });
+        await create('education', { institution: 'Trinity Academy of Engineering', studyType: 'B.Tech', area: 'Engineering', startDate: '2024' });
+        await create('skills', { name: 'Leadership', keywords: 'Team Management, Community Building', icon: 'fas fa-users' });
+        expect(await AuditLog.countDocuments({ action: 'experience.create' })).toBe(3);
+
+        const res = await ctx.api.get('/api/resume').expect(200);
+
+        expect(res.body.basics.name).toBe('Sujal Javeri');
+        expect(res.body.work).toEqual([
+            {
+                name: 'WishVault',
+                position: 'Founder',
+                description: 'Instagram POD Apparel Store',
+                startDate: '2024-03',
+                highlights: ['Built the brand']
+            },
+            { name: 'Vimpy', position: 'YouTube Creator', startDate: '2020', endDate: '2023' }
+        ]);
+        expect(res.body.education).toEqual([
+            { institution: 'Trinity Academy of Engineering', studyType: 'B.Tech', area: 'Engineering', startDate: '2024' }
+        ]);
+        expect(res.body.skills).toEqual([
+            { name: 'Leadership', keywords: ['Team Management', 'Community Building'], icon: 'fas fa-users' }
+        ]);
+    });
+
+    test('renders the same content as a PDF and a printable page', async () => {
+        await create('experience', { position: 'Founder', organization: 'WishVault', startDate: '2024' });
+
+        const pdf = await ctx.api
+            .get('/api/resume.pdf')
+            .buffer(true)
+            .parse((res, done) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => done(null, Buffer.concat(chunks)));
+            })
+            .expect(200)
+            .expect('Content-Type', 'application/pdf');
+        expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+        const html = await ctx.api.get('/api/resume.html').expect(200).expect('Content-Type', /html/);
+        expect(html.text).toContain('Founder – WishVault');
+        expect(html.text).toContain('2024 – Present');
+    });
+
+    test('updates and deletes entries', async () => {
+        const { body } = await create('experience', { position: 'Founder', organization: 'WishVault', startDate: '2024' });
+
+        await ctx.api
+            .patch(`/api/admin/resume/experience/${body.entry._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ endDate: '2025-01', order: 2 })
+            .expect(200);
+        expect(await Experience.findById(body.entry._id)).toMatchObject({ endDate: '2025-01', order: 2, position: 'Founder' });
+
+        await ctx.api
+            .delete(`/api/admin/resume/experience/${body.entry._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(await Experience.countDocuments()).toBe(0);
+    });
+
+    test('validates dates and requires admin rights', async () => {
+        const res = await ctx.api
+            .post('/api/admin/resume/experience')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ position: 'Founder', organization: 'WishVault', startDate: 'March 2024' })
+            .expect(400);
+        expect(res.body.errors).toEqual({ startDate: 'Must be a date such as 2024, 2024-06 or 2024-06-15' });
+
+        const { token: moderatorToken } = await ctx.loginAs('moderator');
+        await ctx.api
+            .post('/api/admin/resume/skills')
+            .set('Authorization', `Bearer ${moderatorToken}`)
+            .send({ name: 'Leadership' })
+            .expect(403);
+    });
+});
@@ -0,0 +1,64 @@
+const { setupTestApp } = require('./helpers');
+const { Blog, Project } = require('../models');
+
+describe('search', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+    });
+
+    beforeEach(async () => {
+        const publishedAt = ctx.clock();
+        await Blog.create([
+            { title: 'Notes on design', slug: 'design-notes', content: 'Why **design** matters.', tags: ['design'], published: true, publishedAt },
+            { title: 'Shipping fast', slug: 'shipping-fast', content: 'Good design helps, but shipping matters more.', tags: ['startups'], published: true, publishedAt },
+            { title: 'Design draft', slug: 'design-draft', content: 'Not ready yet.', published: false }
+        ]);
+        await Project.create({ title: 'Wish Vault', description: 'A gift registry with a clean design', technologies: ['React'] });
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(() => ctx.teardown());
+
+    const search = (query) => ctx.api.get('/api/search').query(query);
+
+    test('ranks title matches first, links posts to their pages and skips drafts', async () => {
+        const res = await search({ q: 'design' }).expect(200);
+
+        expect(res.body.totalResults).toBe(3);
+        expect(res.body.results.map(result => result.title)).not.toContain('Design draft');
+        expect(res.body.results[0]).toMatchObject({
+            type: 'blog',
+            url: expect.stringMatching(/\/blog\/design-notes$/),
+            titleHtml: 'Notes on <mark>design</mark>'
+        });
+        expect(res.body.facets).toMatchObject({ types: { blog: 2, project: 1 } });
+    });
+
+    test('filters by type and tag and pages through results', async () => {
+        const projects = await search({ q: 'design', type: 'project' }).expect(200);
+        expect(projects.body.results.map(result => result.title)).toEqual(['Wish Vault']);
+
+        const tagged = await search({ q: 'design', tag: 'startups' }).expect(200);
+        expect(tagged.body.results.map(result => result.title)).toEqual(['Shipping fast']);
+
+        const first = await search({ q: 'design', limit: 2 }).expect(200);
+        const second = await search({ q: 'design', limit: 2, page: 2 }).expect(200);
+        expect(second.body).toMatchObject({ totalPages: 2, currentPage: 2 });
+        expect([...first.body.results, ...second.body.results].map(result => result.title).sort()).toEqual([
+            'Notes on design', 'Shipping fast', 'Wish Vault'
+        ]);
+    });
+
+    test('validates the query like every other route', async () => {
+        const res = await search({ q: ' ', type: 'video', limit: 51 }).expect(400);
+
+        expect(res.body.errors).toEqual({
+            q: 'Search query is required',
+            type: 'Must be one of: blog, project',
+            limit: 'Must be between 1 and 50'
+        });
+    });
+});
@@ -0,0 +1,242 @@
+const http = require('http');
+const { setupTestApp, waitFor } = require('./helpers');
+const { verifySignature } = require('../lib/webhooks');
+const { WebhookDelivery, Webhook } = require('../models');
+
+// A local receiver that records every request and answers with `status`
+const startReceiver = async () => {
+    const receiver = { requests: [], status: 200 };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.statusCode = receiver.status;
+            res.end(receiver.status < 300 ? 'ok' : 'unavailable');
+        });
+    });
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+    return receiver;
+};
+
+describe('webhooks', () => {
+    let ctx;
+    let token;
+    let receiver;
+
+    beforeAll(async () => {
+        ctx = await setupTestApp();
+        receiver = await startReceiver();
+    });
+
+    beforeEach(async () => {
+        ({ token } = await ctx.loginAs());
+        receiver.requests.length = 0;
+        receiver.status = 200;
+    });
+
+    afterEach(() => ctx.reset());
+
+    afterAll(async () => {
+        await new Promise(resolve => receiver.server.close(resolve));
+        await ctx.teardown();
+    });
+
+    const register = (events = ['contact.created']) => ctx.api
+        .post('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'CRM', url: receiver.url, events })
+        .expect(201);
+
+    const submitContact = async () => {
+        const res = await ctx.api.get('/api/contact/token').expect(200);
+        ctx.clock.advance(10 * 1000);
+        await ctx.api
+            .post('/api/contact')
+            .send({
+                name: 'Ada',
+                email: 'ada@example.com',
+                subject: 'Project enquiry',
+                message: 'Could we talk about a new website?',
+                formToken: res.body.token
+            })
+            .expect(200);
+    };
+
+    test('registers a webhook and shows its secret only once', async () => {
+        const res = await register();
+
+        expect(res.body.secret).toMatch(/^whsec_/);
+        expect(res.body.webhook.secret).toBeUndefined();
+
+        const list = await ctx.api.get('/api/admin/webhooks').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(list.body.webhooks).toHaveLength(1);
+        expect(list.body.webhooks[0].secret).toBeUndefined();
+        expect(list.body.events).toContain('blog.published');
+    });
+
+    test('validates the URL and events', async () => {
+        const res = await ctx.api
+            .post('/api/admin/webhooks')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'CRM', url: 'ftp://example.com', events: ['contact.deleted'] })
+            .expect(400);
+
+        expect(res.body.errors).toEqual({
+            url: 'Must be a valid http(s) URL',
+            'events.0': 'Must be one of: contact.created, contact.status_changed, blog.published, project.created'
+        });
+    });
+
+    test('sends signed contact.created deliveries', async () => {
+        const { body } = await register();
+        await submitContact();
+
+        await waitFor(() => receiver.requests.length === 1);
+        const [request] = receiver.requests;
+        const payload = JSON.parse(request.body);
+
+        expect(request.headers['x-webhook-event']).toBe('contact.created');
+        expect(payload).toMatchObject({ event: 'contact.created', data: { name: 'Ada', status: 'new' } });
+        expect(verifySignature(body.secret, request.headers['x-webhook-signature'], request.body, { now: ctx.clock() })).toBe(true);
+
+        await waitFor(async () => (await WebhookDelivery.findOne()).status === 'delivered');
+    });
+
+    test('retries failed deliveries with backoff and can resend them', async () => {
+        const { body } = await register();
+        receiver.status = 503;
+        await submitContact();
+
+        await waitFor(async () => (await WebhookDelivery.findOne({ attempts: 1, status: 'pending' })) !== null);
+        const failed = await WebhookDelivery.findOne();
+        expect(failed.toObject()).toMatchObject({ responseStatus: 503, lastError: 'Receiver responded with 503' });
+        expect(failed.nextAttemptAt.getTime()).toBeGreaterThan(ctx.clock().getTime());
+
+        receiver.status = 200;
+        ctx.clock.advance(60 * 1000);
+        await ctx.app.get('webhooks').processDeliveries();
+        expect((await WebhookDelivery.findById(failed._id)).status).toBe('delivered');
+        expect(receiver.requests.map(request => JSON.parse(request.body).id)).toEqual([failed.payload.id, failed.payload.id]);
+
+        const resent = await ctx.api
+            .post(`/api/admin/webhooks/deliveries/${failed._id}/resend`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(201);
+        await waitFor(() => receiver.requests.length === 3);
+
+        const log = await ctx.api
+            .get(`/api/admin/webhooks/${body.webhook._id}/deliveries`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(log.body.totalDeliveries).toBe(2);
+        expect(log.body.deliveries.find(delivery => delivery._id === resent.body.delivery._id).resentFrom).toBe(String(failed._id));
+    });
+
+    test('only notifies webhooks subscribed to the event', async () => {
+        await register(['project.created']);
+        await submitContact();
+        await ctx.api
+            .post('/api/projects')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Wish Vault', description: 'A gift registry' })
+            .expect(201);
+
+        await waitFor(() => receiver.requests.length === 1);
+        expect(JSON.parse(receiver.requests[0].body)).toMatchObject({ event: 'project.created', data: { title: 'Wish Vault' } });
+    });
+
+    describe('blog.published', () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+
+        const createPost = (fields) => ctx.api
+            .post('/api/admin/blog')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Hello, World!', content: 'First post', ...fields })
+            .expect(201);
+
+        const updatePost = (id, fields) => ctx.api
+            .patch(`/api/admin/blog/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send(fields)
+            .expect(200);
+
+        const deliverDue = async () => {
+            ctx.clock.advance(2 * DAY_MS);
+            await ctx.app.get('webhooks').processDeliveries();
+        };
+
+        test('withdraws the announcement of a scheduled post that is unpublished', async () => {
+            await register(['blog.published']);
+            const publishedAt = new Date(ctx.clock().getTime() + DAY_MS).toISOString();
+            const { body } = await createPost({ published: true, publishedAt });
+            expect(await WebhookDelivery.countDocuments({ status: 'pending' })).toBe(1);
+
+            await updatePost(body.blog._id, { published: false });
+            await deliverDue();
+
+            expect(receiver.requests).toHaveLength(0);
+            expect((await WebhookDelivery.findOne()).status).toBe('cancelled');
+        });
+
+        test('moves the announcement with the post and sends it once', async () => {
+            await register(['blog.published']);
+            const { body } = await createPost({ published: true, publishedAt: new Date(ctx.clock().getTime() + DAY_MS).toISOString() });
+
+            const later = new Date(ctx.clock().getTime() + 3 * DAY_MS).toISOString();
+            await updatePost(body.blog._id, { publishedAt: later, title: 'Hello again' });
+            await deliverDue();
+            expect(receiver.requests).toHaveLength(0);
+
+            await deliverDue();
+            await waitFor(() => receiver.requests.length === 1);
+            expect(JSON.parse(receiver.requests[0].body).data).toMatchObject({ title: 'Hello again', publishedAt: later });
+
+            // Unpublishing and republishing a post that went out announces nothing new
+            await updatePost(body.blog._id, { published: false });
+            await updatePost(body.blog._id, { published: true });
+            await ctx.app.get('webhooks').processDeliveries();
+            expect(receiver.requests).toHaveLength(1);
+        });
+
+        test('withdraws the announcement of a scheduled post that is deleted', async () => {
+            await register(['blog.published']);
+            const { body } = await createPost({ published: true, publishedAt: new Date(ctx.clock().getTime() + DAY_MS).toISOString() });
+
+            await ctx.api.delete(`/api/admin/blog/${body.blog._id}`).set('Authorization', `Bearer ${token}`).expect(200);
+            await deliverDue();
+
+            expect(receiver.requests).toHaveLength(0);
+            expect(await WebhookDelivery.countDocuments({ status: 'cancelled' })).toBe(1);
+        });
+    });
+
+    test('sends a test payload and reports the result', async () => {
+        const { body } = await register();
+
+        const ok = await ctx.api
+            .post(`/api/admin/webhooks/${body.webhook._id}/test`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(ok.body.delivery).toMatchObject({ event: 'webhook.test', status: 'delivered', responseStatus: 200 });
+
+        receiver.status = 500;
+        const failed = await ctx.api
+            .post(`/api/admin/webhooks/${body.webhook._id}/test`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(failed.body).toMatchObject({
+            message: 'Test delivery failed: Receiver responded with 500',
+            delivery: { status: 'failed', attempts: 1 }
+        });
+        expect((await Webhook.findById(body.webhook._id)).lastDeliveryStatus).toBe('failed');
+    });
+
+    test('is limited to admins', async () => {
+        const { token: moderatorToken } = await ctx.loginAs('moderator');
+        await ctx.api.get('/api/admin/webhooks').set('Authorization', `Bearer ${moderatorToken}`).expect(403);
+    });
+});